@@ -0,0 +1,215 @@
+/* a11y.js - keyboard and screen-reader support shared by every page
+   - announce(): polite live region for values and status messages
+   - keyboardMap(): arrow keys move between states on a Leaflet choropleth (and its inset tiles), Enter opens, Space toggles
+   - every Chart.js chart gets a collapsed "Data table" alternative that follows its data (global plugin)
+   - high-contrast mode: data-contrast="high" on <html>, remembered in localStorage, toggled by .contrast-toggle buttons; colors come from theme.js
+   - load after theme.js and before the page script
+   - exposes window.A11y
+*/
+(function(){
+  const CONTRAST_KEY = 'contrast';
+
+  // ---------- live region ----------
+  let live = null;
+  function announce(message) {
+    if (!live) {
+      live = document.createElement('div');
+      live.className = 'sr-only';
+      live.setAttribute('role', 'status');
+      live.setAttribute('aria-live', 'polite');
+      document.body.appendChild(live);
+    }
+    // clear first so repeating the same text is read again
+    live.textContent = '';
+    setTimeout(() => { live.textContent = message; }, 30);
+  }
+
+  // ---------- keyboard choropleth ----------
+  const KEY_DIRS = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+
+  // centre of an item in map-container pixels: a Leaflet layer, or an element drawn over the map (an inset tile)
+  function pointOf(map, it) {
+    if (!it.el) return map.latLngToContainerPoint(it.layer.getBounds().getCenter());
+    const r = it.el.getBoundingClientRect(), c = map.getContainer().getBoundingClientRect();
+    return { x: r.left + r.width / 2 - c.left, y: r.top + r.height / 2 - c.top };
+  }
+
+  // nearest state in the pressed direction (screen space), preferring ones straight ahead
+  function neighbour(map, items, from, dir) {
+    const at = it => pointOf(map, it);
+    const p0 = at(from);
+    let best = null, bestScore = Infinity;
+    items.forEach(it => {
+      if (it === from) return;
+      const p = at(it);
+      const along = (p.x - p0.x) * dir[0] + (p.y - p0.y) * dir[1];
+      if (along <= 0) return;
+      const across = Math.abs((p.x - p0.x) * dir[1] - (p.y - p0.y) * dir[0]);
+      const score = along + across * 2;
+      if (score < bestScore) { bestScore = score; best = it; }
+    });
+    return best;
+  }
+
+  /* make a Leaflet map's container a keyboard widget over its state layers.
+     opts: { label, items() → [{ name, layer } | { name, el }], describe(name) → text, onFocus(name|null), onOpen(name), onToggle(name) }
+     an item with `el` is placed by that element (an inset inside the map container) rather than its layer
+     returns { focused() } */
+  function keyboardMap(map, opts) {
+    const el = map.getContainer();
+    let focused = null;
+    el.setAttribute('tabindex', '0');
+    el.setAttribute('role', 'application');
+    el.setAttribute('aria-roledescription', 'map');
+    el.setAttribute('aria-label', opts.label || 'Map');
+
+    const sorted = () => opts.items().slice().sort((a, b) => a.name.localeCompare(b.name));
+    function focus(it) {
+      focused = it ? it.name : null;
+      if (opts.onFocus) opts.onFocus(focused);
+      if (it) announce(opts.describe ? opts.describe(it.name) : it.name);
+    }
+
+    el.addEventListener('keydown', e => {
+      const items = sorted();
+      if (!items.length) return;
+      const cur = items.find(it => it.name === focused);
+      let next = null;
+      if (KEY_DIRS[e.key]) next = cur ? neighbour(map, items, cur, KEY_DIRS[e.key]) || cur : items[0];
+      else if (e.key === 'Home') next = items[0];
+      else if (e.key === 'End') next = items[items.length - 1];
+      else if (e.key === 'Enter' && cur) { e.preventDefault(); if (opts.onOpen) opts.onOpen(cur.name); return; }
+      else if (e.key === ' ' && cur) { e.preventDefault(); if (opts.onToggle) opts.onToggle(cur.name); announce(opts.describe ? opts.describe(cur.name) : cur.name); return; }
+      else if (e.key === 'Escape') { focus(null); return; }
+      else if (e.key === '+' || e.key === '=') { map.zoomIn(); return; }
+      else if (e.key === '-') { map.zoomOut(); return; }
+      else if (/^[a-z]$/i.test(e.key) && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        // type-ahead: next state starting with the letter
+        const k = e.key.toLowerCase();
+        const start = cur ? items.indexOf(cur) + 1 : 0;
+        next = items.slice(start).concat(items.slice(0, start)).find(it => it.name.toLowerCase().startsWith(k)) || null;
+        if (!next) return;
+      } else return;
+      e.preventDefault();
+      focus(next);
+    });
+    el.addEventListener('focus', () => {
+      if (!focused) announce(`${opts.label || 'Map'}. Use the arrow keys to move between states, Enter to open one, Space to add it to the comparison.`);
+    });
+    el.addEventListener('blur', () => { if (focused) focus(null); });
+    return { focused: () => focused };
+  }
+
+  // ---------- chart data tables ----------
+  function fmt(v) {
+    if (v == null) return '—';
+    if (Array.isArray(v)) {
+      const nums = v.filter(Number.isFinite);
+      return nums.length ? `${fmt(Math.min(...nums))}–${fmt(Math.max(...nums))} (n=${nums.length})` : '—';
+    }
+    if (typeof v === 'object') return fmt(v.y != null ? v.y : v.v);
+    return Number.isFinite(v) ? v.toLocaleString(undefined, { maximumFractionDigits: 2 }) : String(v);
+  }
+
+  // nearest title above the canvas: a small-multiple panel's own title before its card's
+  function chartTitle(canvas) {
+    for (let node = canvas.parentNode; node && node.querySelector; node = node.parentNode) {
+      const t = node.querySelector(':scope > .small-multiple-title, :scope > .chart-title, :scope > .section-title');
+      if (t && t.firstChild) return t.firstChild.textContent.trim();
+      if (node.classList.contains('card')) break;
+    }
+    return canvas.id || 'Chart';
+  }
+
+  // { head: [...], rows: [[...]] } for the chart's current data
+  function chartGrid(chart) {
+    const datasets = chart.data.datasets || [];
+    if (chart.config.type === 'matrix') {
+      const xs = chart.options.scales.x.labels || [], ys = chart.options.scales.y.labels || [];
+      const rows = ys.map(y => [y].concat(xs.map(() => '—')));
+      (datasets[0] ? datasets[0].data : []).forEach(d => { if (rows[d.y]) rows[d.y][d.x + 1] = fmt(d.v); });
+      return { head: [''].concat(xs), rows };
+    }
+    const labels = chart.data.labels || [];
+    if (labels.length) {
+      const cols = datasets.filter(ds => (ds.data || []).some(v => v != null));
+      return {
+        head: [''].concat(cols.map(ds => ds.statuses ? (ds.statusFor ? `${ds.statusFor} status` : 'Status') : (ds.label || 'Value'))),
+        rows: labels.map((l, i) => [String(l)].concat(cols.map(ds => (ds.statuses ? (Datasets.STATUS_TEXT[ds.statuses[i]] || '') : fmt(ds.data[i])))))
+      };
+    }
+    // scatter: one row per point
+    const rows = [];
+    datasets.forEach(ds => (ds.data || []).forEach(p => rows.push([ds.label || '', fmt(p.x), fmt(p.y)])));
+    return { head: ['Series', 'x', 'y'], rows };
+  }
+
+  function renderChartTable(chart) {
+    const canvas = chart.canvas;
+    if (!canvas || !canvas.parentNode || !canvas.closest) return;
+    const grid = chartGrid(chart);
+    const sig = JSON.stringify(grid);
+    if (canvas._a11ySig === sig) return;
+    canvas._a11ySig = sig;
+
+    const title = chartTitle(canvas);
+    canvas.setAttribute('role', 'img');
+    canvas.setAttribute('aria-label', `${title}. The data table after the chart lists its values.`);
+    const host = canvas.parentNode;
+    let details = host.nextElementSibling;
+    if (!details || !details.classList.contains('chart-data')) {
+      details = document.createElement('details');
+      details.className = 'chart-data';
+      details.innerHTML = '<summary>Data table</summary><div class="chart-data-scroll"><table><caption></caption><thead></thead><tbody></tbody></table></div>';
+      host.insertAdjacentElement('afterend', details);
+    }
+    details.querySelector('caption').textContent = title;
+    const headRow = document.createElement('tr');
+    grid.head.forEach(h => { const th = document.createElement('th'); th.scope = 'col'; th.textContent = h; headRow.appendChild(th); });
+    details.querySelector('thead').replaceChildren(headRow);
+    const tbody = details.querySelector('tbody');
+    tbody.replaceChildren(...grid.rows.map(r => {
+      const tr = document.createElement('tr');
+      r.forEach((c, i) => {
+        const cell = document.createElement(i === 0 ? 'th' : 'td');
+        if (i === 0) cell.scope = 'row';
+        cell.textContent = c;
+        tr.appendChild(cell);
+      });
+      return tr;
+    }));
+  }
+
+  const chartTablePlugin = {
+    id: 'a11yDataTable',
+    afterUpdate(chart) {
+      try { renderChartTable(chart); } catch (err) { console.warn('[a11y] chart data table failed', err); }
+    }
+  };
+  if (window.Chart && typeof Chart.register === 'function') Chart.register(chartTablePlugin);
+
+  // ---------- high contrast ----------
+  const highContrast = () => document.documentElement.getAttribute('data-contrast') === 'high';
+
+  function setContrast(on) {
+    document.documentElement.setAttribute('data-contrast', on ? 'high' : 'normal');
+    localStorage.setItem(CONTRAST_KEY, on ? 'high' : 'normal');
+    document.querySelectorAll('.contrast-toggle').forEach(b => b.setAttribute('aria-pressed', String(!!on)));
+    window.dispatchEvent(new CustomEvent('contrastchange', { detail: { high: !!on } }));
+    // chart text / grid colors and page redraws come from the theme palette
+    if (window.Theme) Theme.refresh();
+  }
+
+  setContrast(localStorage.getItem(CONTRAST_KEY) === 'high');
+  document.addEventListener('click', e => {
+    const btn = e.target.closest && e.target.closest('.contrast-toggle');
+    if (btn) setContrast(!highContrast());
+  });
+
+  window.A11y = {
+    announce,
+    keyboardMap,
+    highContrast,
+    setContrast
+  };
+})();
@@ -0,0 +1,88 @@
+/* anomaly.js - flags state-years that sit far from a state's own history
+   - 'residual': robust z-score of residuals from a Theil–Sen trend line
+   - 'jump': robust z-score of year-over-year changes
+   - robust z = 0.6745 · (x − median) / MAD (Iglewicz & Hoaglin); 3.5 is their suggested cut-off
+   - exposes window.Anomaly used by map.js and state.js
+*/
+(function(){
+  const DEFAULT_THRESHOLD = 3.5;
+  const MIN_POINTS = 5;
+
+  const METHODS = {
+    residual: { label: 'Distance from trend' },
+    jump: { label: 'Year-over-year jump' }
+  };
+
+  function median(arr) {
+    if (!arr.length) return null;
+    const s = arr.slice().sort((a, b) => a - b);
+    const m = Math.floor(s.length / 2);
+    return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+  }
+
+  // robust z-scores; falls back to the mean absolute deviation when more than half the values tie
+  function robustZ(values) {
+    const med = median(values);
+    const dev = values.map(v => Math.abs(v - med));
+    const mad = median(dev);
+    if (mad > 0) return values.map(v => 0.6745 * (v - med) / mad);
+    const meanAD = dev.reduce((s, d) => s + d, 0) / dev.length;
+    if (meanAD > 0) return values.map(v => (v - med) / (1.253314 * meanAD));
+    return values.map(() => 0);
+  }
+
+  // Theil–Sen line: median pairwise slope, median intercept
+  function theilSen(pts) {
+    const slopes = [];
+    for (let i = 0; i < pts.length; i++) {
+      for (let j = i + 1; j < pts.length; j++) slopes.push((pts[j].y - pts[i].y) / (pts[j].x - pts[i].x));
+    }
+    const slope = median(slopes);
+    const intercept = median(pts.map(pt => pt.y - slope * pt.x));
+    return x => intercept + slope * x;
+  }
+
+  // [{ year, value, expected, score }] for points at or beyond `threshold`
+  function detect(years, values, opts) {
+    const o = Object.assign({ method: 'residual', threshold: DEFAULT_THRESHOLD }, opts || {});
+    const pts = years.map((y, i) => ({ x: Number(y), y: values[i] }))
+                     .filter(pt => Number.isFinite(pt.x) && pt.y != null && Number.isFinite(Number(pt.y)))
+                     .map(pt => ({ x: pt.x, y: Number(pt.y) }))
+                     .sort((a, b) => a.x - b.x);
+    if (pts.length < MIN_POINTS) return [];
+
+    let candidates;
+    if (o.method === 'jump') {
+      // change per year between consecutive reported years
+      const steps = pts.slice(1).map((pt, i) => ({ pt, prev: pts[i], d: (pt.y - pts[i].y) / (pt.x - pts[i].x) }));
+      const typical = median(steps.map(s => s.d));
+      const z = robustZ(steps.map(s => s.d));
+      candidates = steps.map((s, i) => ({ year: s.pt.x, value: s.pt.y, expected: s.prev.y + typical * (s.pt.x - s.prev.x), score: z[i] }));
+    } else {
+      const line = theilSen(pts);
+      const z = robustZ(pts.map(pt => pt.y - line(pt.x)));
+      candidates = pts.map((pt, i) => ({ year: pt.x, value: pt.y, expected: line(pt.x), score: z[i] }));
+    }
+    return candidates.filter(c => Math.abs(c.score) >= o.threshold);
+  }
+
+  // run detect() for every state of a pivot[state][year]; adds `state` to each hit
+  function scanPivot(pivot, years, states, opts) {
+    const out = [];
+    states.forEach(s => {
+      const row = pivot[s] || {};
+      detect(years, years.map(y => row[y] != null ? row[y] : null), opts).forEach(a => out.push(Object.assign({ state: s }, a)));
+    });
+    return out;
+  }
+
+  function keyOf(state, year) { return `${state}|${year}`; }
+
+  window.Anomaly = {
+    DEFAULT_THRESHOLD,
+    METHODS,
+    detect,
+    scanPivot,
+    keyOf
+  };
+})();
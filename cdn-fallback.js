@@ -0,0 +1,31 @@
+/* cdn-fallback.js - loads a library from jsdelivr when its vendor/ copy is missing (e.g. a partial deploy)
+   - include right after the vendor/ script tags with data-libs="xlsx chart leaflet" (whichever the page uses)
+   - runs synchronously so the page scripts that follow still see the globals
+   - the pinned versions match vendor/README.md
+*/
+(function(){
+  const CDN = 'https://cdn.jsdelivr.net/npm/';
+  const LIBS = {
+    xlsx: { loaded: () => typeof XLSX !== 'undefined', scripts: ['xlsx@0.18.5/dist/xlsx.full.min.js'] },
+    chart: {
+      loaded: () => typeof Chart !== 'undefined',
+      scripts: [
+        'chart.js@4.4.0/dist/chart.umd.min.js',
+        'chartjs-chart-matrix@1.1.0/dist/chartjs-chart-matrix.min.js',
+        'chartjs-plugin-zoom@2.0.1/dist/chartjs-plugin-zoom.min.js'
+      ]
+    },
+    leaflet: { loaded: () => typeof L !== 'undefined', styles: ['leaflet@1.9.4/dist/leaflet.css'], scripts: ['leaflet@1.9.4/dist/leaflet.js'] },
+    jspdf: { loaded: () => typeof jspdf !== 'undefined', scripts: ['jspdf@2.5.1/dist/jspdf.umd.min.js'] }
+  };
+
+  const me = document.currentScript;
+  const wanted = ((me && me.getAttribute('data-libs')) || '').split(/\s+/).filter(k => LIBS[k]);
+  wanted.forEach(k => {
+    const lib = LIBS[k];
+    if (lib.loaded()) return;
+    console.warn(`[cdn-fallback] vendor/ copy of ${k} missing, loading it from the CDN`);
+    (lib.styles || []).forEach(href => document.write(`<link rel="stylesheet" href="${CDN}${href}">`));
+    lib.scripts.forEach(src => document.write(`<script src="${CDN}${src}"><\/script>`));
+  });
+})();
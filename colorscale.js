@@ -0,0 +1,292 @@
+/* colorscale.js - classed color scales + legend shared by the choropleth, bar chart and heatmap
+   - classification methods: equal interval, quantile, Jenks natural breaks, standard deviation, log
+   - sequential and diverging palettes (ColorBrewer / viridis); diverging scales are centred on zero
+   - grey for "no data", grey hatching for values suppressed in the source (SVG and canvas variants)
+   - exposes window.ColorScale
+*/
+(function(){
+  const NO_DATA_COLOR = '#efefef';
+  const SUPPRESSED_COLOR = '#9ca3af'; // stripe colour, and the flat fallback where patterns aren't available
+  const HATCH_ID = 'hatch-suppressed';
+
+  // anchors run low → high; diverging anchors run negative → zero → positive
+  const PALETTES = {
+    ylorrd: { label: 'Yellow–Orange–Red', type: 'sequential', cbSafe: true, colors: ['#ffffcc', '#ffeda0', '#fed976', '#feb24c', '#fd8d3c', '#fc4e2a', '#e31a1c', '#bd0026', '#800026'] },
+    blues: { label: 'Blues', type: 'sequential', cbSafe: true, colors: ['#f7fbff', '#deebf7', '#c6dbef', '#9ecae1', '#6baed6', '#4292c6', '#2171b5', '#08519c', '#08306b'] },
+    ylgnbu: { label: 'Yellow–Green–Blue', type: 'sequential', cbSafe: true, colors: ['#ffffd9', '#edf8b1', '#c7e9b4', '#7fcdbb', '#41b6c4', '#1d91c0', '#225ea8', '#253494', '#081d58'] },
+    viridis: { label: 'Viridis', type: 'sequential', cbSafe: true, colors: ['#fde725', '#b5de2b', '#6ece58', '#35b779', '#1f9e89', '#26828e', '#31688e', '#3e4989', '#482878', '#440154'] },
+    classic: { label: 'Classic teal–red', type: 'sequential', cbSafe: false, colors: ['rgb(30,230,200)', 'rgb(220,50,80)'] },
+    rdbu: { label: 'Blue–Red', type: 'diverging', cbSafe: true, colors: ['#2166ac', '#4393c3', '#92c5de', '#d1e5f0', '#f7f7f7', '#fddbc7', '#f4a582', '#d6604d', '#b2182b'] },
+    puor: { label: 'Purple–Orange', type: 'diverging', cbSafe: true, colors: ['#542788', '#8073ac', '#b2abd2', '#d8daeb', '#f7f7f7', '#fee0b6', '#fdb863', '#e08214', '#b35806'] },
+    brbg: { label: 'Teal–Brown', type: 'diverging', cbSafe: true, colors: ['#01665e', '#35978f', '#80cdc1', '#c7eae5', '#f5f5f5', '#f6e8c3', '#dfc27d', '#bf812d', '#8c510a'] },
+    rdylgn: { label: 'Green–Yellow–Red', type: 'diverging', cbSafe: false, colors: ['#1a9850', '#66bd63', '#a6d96a', '#d9ef8b', '#ffffbf', '#fee08b', '#fdae61', '#f46d43', '#d73027'] }
+  };
+
+  const METHODS = {
+    equal: 'Equal interval',
+    quantile: 'Quantile',
+    jenks: 'Natural breaks (Jenks)',
+    stddev: 'Standard deviation',
+    log: 'Logarithmic'
+  };
+
+  const DEFAULTS = { sequential: 'ylorrd', diverging: 'rdbu' };
+
+  // ---------- color interpolation ----------
+  function parseColor(c) {
+    const s = String(c).trim();
+    if (s[0] === '#') {
+      const h = s.length === 4 ? s.slice(1).split('').map(x => x + x).join('') : s.slice(1);
+      return [0, 2, 4].map(i => parseInt(h.slice(i, i + 2), 16));
+    }
+    const m = s.match(/\d+(\.\d+)?/g) || [0, 0, 0];
+    return m.slice(0, 3).map(Number);
+  }
+
+  // color at t ∈ [0,1] along the palette anchors
+  function sample(anchors, t) {
+    const x = Math.max(0, Math.min(1, t)) * (anchors.length - 1);
+    const i = Math.min(anchors.length - 2, Math.floor(x));
+    const a = parseColor(anchors[i]), b = parseColor(anchors[i + 1]);
+    const f = x - i;
+    return `rgb(${a.map((v, k) => Math.round(v + (b[k] - v) * f)).join(',')})`;
+  }
+
+  // ---------- break computation ----------
+  function quantile(sorted, q) {
+    if (!sorted.length) return 0;
+    const pos = (sorted.length - 1) * q;
+    const lo = Math.floor(pos), hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+  }
+
+  function equalBreaks(min, max, n) {
+    const step = (max - min) / n;
+    return Array.from({ length: n + 1 }, (_, i) => i === n ? max : min + step * i);
+  }
+
+  function quantileBreaks(sorted, n) {
+    return Array.from({ length: n + 1 }, (_, i) => quantile(sorted, i / n));
+  }
+
+  // Jenks natural breaks (Fisher/Jenks dynamic programming on the sorted values)
+  function jenksBreaks(sorted, n) {
+    const len = sorted.length;
+    if (len <= n) return [sorted[0]].concat(sorted);
+    const lower = Array.from({ length: len + 1 }, () => new Array(n + 1).fill(0));
+    const variance = Array.from({ length: len + 1 }, () => new Array(n + 1).fill(Infinity));
+    for (let j = 1; j <= n; j++) { lower[1][j] = 1; variance[1][j] = 0; }
+    for (let l = 2; l <= len; l++) {
+      let s1 = 0, s2 = 0, w = 0, v = 0;
+      for (let m = 1; m <= l; m++) {
+        const i3 = l - m + 1;
+        const val = sorted[i3 - 1];
+        w++; s1 += val; s2 += val * val;
+        v = s2 - (s1 * s1) / w;
+        const i4 = i3 - 1;
+        if (i4 !== 0) {
+          for (let j = 2; j <= n; j++) {
+            if (variance[l][j] >= v + variance[i4][j - 1]) {
+              lower[l][j] = i3;
+              variance[l][j] = v + variance[i4][j - 1];
+            }
+          }
+        }
+      }
+      lower[l][1] = 1;
+      variance[l][1] = v;
+    }
+    const breaks = new Array(n + 1);
+    breaks[n] = sorted[len - 1];
+    breaks[0] = sorted[0];
+    let k = len;
+    for (let j = n; j >= 2; j--) {
+      const id = lower[k][j] - 2;
+      breaks[j - 1] = sorted[Math.max(0, id)];
+      k = lower[k][j] - 1;
+    }
+    return breaks;
+  }
+
+  // class edges at mean ± 0.5, 1.5, ... standard deviations, clipped to the data range
+  function stddevBreaks(sorted, n) {
+    const mean = sorted.reduce((a, b) => a + b, 0) / sorted.length;
+    const sd = Math.sqrt(sorted.reduce((a, b) => a + (b - mean) * (b - mean), 0) / sorted.length) || 1;
+    const min = sorted[0], max = sorted[sorted.length - 1];
+    const inner = [];
+    for (let i = 1; i < n; i++) inner.push(mean + (i - n / 2) * sd);
+    return [min].concat(inner.filter(b => b > min && b < max), [max]);
+  }
+
+  // geometric steps between the smallest positive value and the maximum
+  function logBreaks(sorted, n) {
+    const min = sorted[0], max = sorted[sorted.length - 1];
+    const lo = sorted.find(v => v > 0);
+    if (!(max > 0) || lo == null || lo === max) return equalBreaks(min, max, n);
+    const a = Math.log10(lo), b = Math.log10(max);
+    const inner = [];
+    for (let i = 1; i < n; i++) inner.push(Math.pow(10, a + (b - a) * i / n));
+    return [min].concat(inner.filter(x => x > min && x < max), [max]);
+  }
+
+  function computeBreaks(values, method, n) {
+    const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+    if (!sorted.length) return [0, 0];
+    if (sorted[0] === sorted[sorted.length - 1]) return [sorted[0], sorted[0]];
+    let breaks;
+    if (method === 'quantile') breaks = quantileBreaks(sorted, n);
+    else if (method === 'jenks') breaks = jenksBreaks(sorted, n);
+    else if (method === 'stddev') breaks = stddevBreaks(sorted, n);
+    else if (method === 'log') breaks = logBreaks(sorted, n);
+    else breaks = equalBreaks(sorted[0], sorted[sorted.length - 1], n);
+    // strictly increasing edges (repeated values collapse classes)
+    return breaks.filter((b, i) => i === 0 || b > breaks[i - 1]);
+  }
+
+  // ---------- scale ----------
+  function palettesFor(diverging) {
+    return Object.keys(PALETTES).filter(k => PALETTES[k].type === (diverging ? 'diverging' : 'sequential'));
+  }
+
+  function resolvePalette(key, diverging) {
+    const p = PALETTES[key];
+    if (p && (p.type === 'diverging') === !!diverging) return key;
+    return diverging ? DEFAULTS.diverging : DEFAULTS.sequential;
+  }
+
+  /* Build a classed scale from the values it has to represent.
+     opts: { method, classes, palette, diverging }
+     Diverging scales classify |v| and mirror the edges. An even class count splits at zero; an odd
+     count makes the smallest |v| class a neutral band around zero in the palette's midpoint colour. */
+  function build(values, opts) {
+    const o = Object.assign({ method: 'equal', classes: 5, palette: null, diverging: false }, opts || {});
+    const paletteKey = resolvePalette(o.palette, o.diverging);
+    const anchors = PALETTES[paletteKey].colors;
+    const n = Math.max(2, Math.min(9, Number(o.classes) || 5));
+    const neutral = !!o.diverging && n % 2 === 1;
+    let breaks, colors, edges;
+
+    if (o.diverging) {
+      const side = computeBreaks([0].concat(values.filter(Number.isFinite).map(Math.abs)), o.method, Math.ceil(n / 2));
+      side[0] = 0;
+      edges = side.length > 1 && side[side.length - 1] > 0 ? side : [0, 1];
+      // one |v| class can't be both the neutral band and a side
+      if (neutral && edges.length < 3) edges = [0, edges[1] / 2, edges[1]];
+      breaks = edges.slice(1).reverse().map(b => -b).concat(neutral ? edges.slice(1) : edges);
+      const m = edges.length - 1 - (neutral ? 1 : 0);
+      const neg = Array.from({ length: m }, (_, i) => sample(anchors, 0.5 * i / m));
+      const pos = Array.from({ length: m }, (_, j) => sample(anchors, 0.5 + 0.5 * (j + 1) / m));
+      colors = neg.concat(neutral ? [sample(anchors, 0.5)] : [], pos);
+    } else {
+      breaks = computeBreaks(values, o.method, n);
+      const m = Math.max(1, breaks.length - 1);
+      colors = Array.from({ length: m }, (_, i) => sample(anchors, m === 1 ? 1 : i / (m - 1)));
+    }
+
+    function classIndex(v) {
+      if (v == null || !Number.isFinite(Number(v))) return -1;
+      const x = Number(v);
+      if (o.diverging) {
+        // |x| class, edges going to the class nearer zero; 0 is neutral, or the first positive class
+        let j = edges.length - 2;
+        for (let i = 1; i < edges.length - 1; i++) if (Math.abs(x) <= edges[i]) { j = i - 1; break; }
+        const mid = (colors.length - (neutral ? 1 : 0)) / 2;
+        if (neutral) return j === 0 ? mid : (x < 0 ? mid - j : mid + j);
+        return x < 0 ? mid - 1 - j : mid + j;
+      }
+      for (let i = 1; i < breaks.length - 1; i++) if (x <= breaks[i]) return i - 1;
+      return colors.length - 1;
+    }
+    function colorFor(v) {
+      const i = classIndex(v);
+      return i < 0 ? NO_DATA_COLOR : colors[i];
+    }
+
+    return { method: o.method, palette: paletteKey, diverging: !!o.diverging, breaks, colors, classIndex, colorFor, noDataColor: NO_DATA_COLOR };
+  }
+
+  // ---------- suppressed-value hatching ----------
+  // adds the hatch <pattern> to an SVG (e.g. Leaflet's overlay svg) once; returns the fill to use
+  function svgHatch(svgEl) {
+    const url = `url(#${HATCH_ID})`;
+    if (!svgEl || svgEl.querySelector('#' + HATCH_ID)) return url;
+    const ns = 'http://www.w3.org/2000/svg';
+    let defs = svgEl.querySelector('defs');
+    if (!defs) { defs = document.createElementNS(ns, 'defs'); svgEl.insertBefore(defs, svgEl.firstChild); }
+    const pat = document.createElementNS(ns, 'pattern');
+    pat.setAttribute('id', HATCH_ID);
+    pat.setAttribute('patternUnits', 'userSpaceOnUse');
+    pat.setAttribute('width', '6'); pat.setAttribute('height', '6');
+    pat.setAttribute('patternTransform', 'rotate(45)');
+    pat.innerHTML = `<rect width="6" height="6" fill="${NO_DATA_COLOR}"></rect><line x1="0" y1="0" x2="0" y2="6" stroke="${SUPPRESSED_COLOR}" stroke-width="3"></line>`;
+    defs.appendChild(pat);
+    return url;
+  }
+
+  // CanvasPattern for Chart.js backgrounds (heatmap cells, placeholder bars)
+  let canvasPattern = null;
+  function canvasHatch(ctx) {
+    if (canvasPattern) return canvasPattern;
+    try {
+      const c = document.createElement('canvas');
+      c.width = 8; c.height = 8;
+      const g = c.getContext('2d');
+      g.fillStyle = NO_DATA_COLOR; g.fillRect(0, 0, 8, 8);
+      g.strokeStyle = SUPPRESSED_COLOR; g.lineWidth = 2;
+      g.beginPath(); g.moveTo(0, 8); g.lineTo(8, 0); g.moveTo(-2, 2); g.lineTo(2, -2); g.moveTo(6, 10); g.lineTo(10, 6); g.stroke();
+      canvasPattern = (ctx || g).createPattern(c, 'repeat') || SUPPRESSED_COLOR;
+    } catch (e) {
+      canvasPattern = SUPPRESSED_COLOR;
+    }
+    return canvasPattern;
+  }
+
+  // ---------- legend ----------
+  /* Swatch list with class ranges plus "No data" and "Suppressed" entries.
+     opts: { title, format: v => string, note } */
+  function renderLegend(el, scale, opts) {
+    if (!el || !scale) return;
+    const o = Object.assign({ title: '', format: v => String(v), note: '' }, opts || {});
+    const items = scale.colors.map((c, i) => {
+      const a = scale.breaks[i], b = scale.breaks[i + 1];
+      const range = a === b ? o.format(a) : `${o.format(a)} – ${o.format(b)}`;
+      return `<li><span class="legend-swatch" style="background:${c}"></span>${Util.escapeHtml(range)}</li>`;
+    });
+    items.push(`<li><span class="legend-swatch legend-nodata" style="background:${scale.noDataColor}"></span>No data</li>`);
+    items.push('<li><span class="legend-swatch legend-suppressed"></span>Suppressed</li>');
+    el.innerHTML = (o.title ? `<div class="legend-title">${Util.escapeHtml(o.title)}</div>` : '')
+      + `<ul class="legend-list">${items.join('')}</ul>`
+      + `<div class="note">${Util.escapeHtml(METHODS[scale.method] || scale.method)} · ${Util.escapeHtml(PALETTES[scale.palette].label)}${o.note ? ' · ' + Util.escapeHtml(o.note) : ''}</div>`;
+  }
+
+  // fill palette <select> with the palettes that fit the current (sequential/diverging) view
+  function populatePaletteSelect(selectEl, diverging, selected) {
+    if (!selectEl) return resolvePalette(selected, diverging);
+    const chosen = resolvePalette(selected, diverging);
+    selectEl.innerHTML = '';
+    palettesFor(diverging).forEach(k => {
+      const o = document.createElement('option');
+      o.value = k;
+      o.textContent = PALETTES[k].label + (PALETTES[k].cbSafe ? ' (colorblind-safe)' : '');
+      selectEl.appendChild(o);
+    });
+    selectEl.value = chosen;
+    return chosen;
+  }
+
+  window.ColorScale = {
+    NO_DATA_COLOR,
+    SUPPRESSED_COLOR,
+    PALETTES,
+    METHODS,
+    DEFAULTS,
+    build,
+    computeBreaks,
+    palettesFor,
+    resolvePalette,
+    renderLegend,
+    populatePaletteSelect,
+    svgHatch,
+    canvasHatch
+  };
+})();
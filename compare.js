@@ -0,0 +1,299 @@
+/* compare.js - state-versus-state comparison view
+   - 2–8 states from ?states=A,B (typed in here or shift-clicked on the map's choropleth)
+   - overlaid line chart, grouped bars per year, small multiples and a summary table
+   - takes the same disease / year / metric parameters as state.html
+*/
+
+const p = new URLSearchParams(window.location.search);
+const diseaseKey = p.get('disease');
+const selectedYear = p.get('year') ? Number(p.get('year')) : null;
+let metric = p.get('metric') || sessionStorage.getItem('lastMetric') || 'cases';
+let compareStates = (p.get('states') || '').split(',').map(s => s.trim()).filter(Boolean);
+
+const MIN_STATES = 2;
+const MAX_STATES = 8;
+// series colors follow the light / dark palette (theme.js)
+const seriesColor = i => { const s = Theme.colors().series; return s[i % s.length]; };
+
+if (!diseaseKey) {
+  const titleEl = document.getElementById('compareTitle');
+  if (titleEl) titleEl.textContent = 'Missing parameters';
+  throw new Error('Missing parameter: disease');
+}
+
+/* helpers */
+function stateLink(state) {
+  let href = `state.html?state=${encodeURIComponent(state)}&disease=${encodeURIComponent(diseaseKey)}&metric=${encodeURIComponent(metric)}`;
+  if (selectedYear) href += `&year=${encodeURIComponent(selectedYear)}`;
+  return href;
+}
+
+/* keep the picked states (and metric) in the URL so the view can be shared */
+function syncUrl() {
+  const q = new URLSearchParams(window.location.search);
+  if (compareStates.length) q.set('states', compareStates.join(',')); else q.delete('states');
+  q.set('metric', metric);
+  history.replaceState(null, '', `${window.location.pathname}?${q.toString().replace(/%2C/g, ',')}`);
+}
+
+/* data */
+let current = { dataset: null, rows: [], years: [], states: [], pivot: null };
+
+// exact (case-insensitive) match against the dataset's state names
+function resolveState(name) {
+  const want = String(name || '').trim().toLowerCase();
+  return current.states.find(s => s.toLowerCase() === want) || null;
+}
+
+/* { years, series: [{ state, values, statuses }] } for the picked states under the current metric;
+   statuses[i] is 'ok', 'suppressed' (withheld in the source) or 'missing' (no usable row) */
+function compareSeries() {
+  const years = current.years;
+  const { pivot, aaPivot, suppressed } = current.pivot;
+  const series = compareStates.map(state => {
+    const values = years.map(y => {
+      const v = Metrics.valueFor(metric, pivot[state][y], state, y, aaPivot[state][y]);
+      return v != null ? v : null;
+    });
+    const statuses = years.map(y => (pivot[state][y] != null ? 'ok' : (suppressed[state][y] ? 'suppressed' : 'missing')));
+    return { state, values, statuses };
+  });
+  return { years, series };
+}
+
+// stand-in points/bars for one state's years without a value (grey = no data, hatched = suppressed), outlined in the state's color
+function gapDataset(s, i, ctx, base) {
+  const statuses = s.statuses.map(st => (st === 'ok' ? null : st));
+  if (!statuses.some(Boolean)) return null;
+  return Object.assign({
+    label: s.state,
+    statusFor: s.state,
+    data: statuses.map(st => (st ? 0 : null)),
+    statuses,
+    backgroundColor: statuses.map(st => (st === 'suppressed' ? ColorScale.canvasHatch(ctx) : ColorScale.NO_DATA_COLOR)),
+    borderColor: seriesColor(i),
+    borderWidth: 1
+  }, base || {});
+}
+
+// gap datasets stay out of the legend; their tooltip line says why the value is absent
+const notGap = (item, data) => !data.datasets[item.datasetIndex].statuses;
+function tooltipLabel(ctx) {
+  const prefix = ctx.dataset.label ? `${ctx.dataset.label}: ` : '';
+  if (ctx.dataset.statuses) return prefix + Datasets.STATUS_TEXT[ctx.dataset.statuses[ctx.dataIndex]];
+  return prefix + Metrics.formatValue(metric, ctx.raw);
+}
+
+/* charts */
+function drawLine(years, series) {
+  Util.safeDestroy(window._compareLine);
+  const el = document.getElementById('compareLine');
+  if (!el) return;
+  const ctx = el.getContext('2d');
+  const datasets = series.map((s, i) => ({
+    label: s.state, data: s.values, borderColor: seriesColor(i), backgroundColor: seriesColor(i),
+    fill: false, tension: 0.25, spanGaps: false, // leave missing / suppressed years as visible breaks
+    pointRadius: years.map(y => y === selectedYear ? 5 : 2)
+  }));
+  series.forEach((s, i) => {
+    const gaps = gapDataset(s, i, ctx, { showLine: false, pointRadius: 6, pointHoverRadius: 7, pointStyle: 'rectRot' });
+    if (gaps) { gaps.pointBackgroundColor = gaps.backgroundColor; datasets.push(gaps); }
+  });
+  window._compareLine = new Chart(ctx, {
+    type: 'line',
+    data: { labels: years, datasets },
+    options: {
+      responsive:true, maintainAspectRatio:false,
+      interaction: { mode: 'index', intersect: false },
+      plugins: { legend: { labels: { filter: notGap } }, tooltip: { callbacks: { label: tooltipLabel } } },
+      scales: { y: { beginAtZero: true, title: { display: true, text: Metrics.label(metric) }, ticks: { callback: Util.formatTick } } }
+    }
+  });
+}
+
+function drawGroupedBars(years, series) {
+  Util.safeDestroy(window._compareBar);
+  const el = document.getElementById('compareBar');
+  if (!el) return;
+  const ctx = el.getContext('2d');
+  const suggestedMax = Util.roundUpNice(Math.max(...series.flatMap(s => s.values.filter(Number.isFinite)), 0) * 1.08);
+  // a short stand-in bar in each state's slot, stacked by state so it lines up with that state's bars
+  const datasets = series.map((s, i) => ({ label: s.state, data: s.values, backgroundColor: seriesColor(i), maxBarThickness: 18, stack: s.state }));
+  series.forEach((s, i) => {
+    const gaps = gapDataset(s, i, ctx, { maxBarThickness: 18, stack: s.state });
+    if (gaps) { gaps.data = gaps.statuses.map(st => (st ? suggestedMax * 0.04 : null)); datasets.push(gaps); }
+  });
+  window._compareBar = new Chart(ctx, {
+    type: 'bar',
+    data: { labels: years, datasets },
+    options: {
+      responsive:true, maintainAspectRatio:false,
+      plugins: { legend: { labels: { filter: notGap } }, tooltip: { callbacks: { title: items => items && items.length ? `Year ${items[0].label}` : '', label: tooltipLabel } } },
+      scales: { y: { beginAtZero: true, suggestedMax, ticks: { callback: Util.formatTick } }, x: { ticks: { autoSkip: true, maxRotation: 30 } } }
+    }
+  });
+}
+
+// one small line chart per state, all on the same y-range so panels compare at a glance
+let multiples = [];
+function drawSmallMultiples(years, series) {
+  multiples.forEach(Util.safeDestroy);
+  multiples = [];
+  const wrap = document.getElementById('compareMultiples');
+  if (!wrap) return;
+  wrap.innerHTML = '';
+  const finite = series.flatMap(s => s.values.filter(Number.isFinite));
+  const yMax = Util.roundUpNice(Math.max(...finite, 0) * 1.08);
+  series.forEach((s, i) => {
+    const cell = document.createElement('div');
+    cell.className = 'small-multiple';
+    cell.innerHTML = `<a class="small-multiple-title" href="${stateLink(s.state)}">${Util.escapeHtml(s.state)}</a><div style="height:150px"><canvas></canvas></div>`;
+    wrap.appendChild(cell);
+    const ctx = cell.querySelector('canvas').getContext('2d');
+    const datasets = [{ data: s.values, borderColor: seriesColor(i), backgroundColor: 'transparent', pointRadius: 0, tension: 0.25, spanGaps: false }];
+    const gaps = gapDataset(s, i, ctx, { label: '', showLine: false, pointRadius: 4, pointHoverRadius: 5, pointStyle: 'rectRot' });
+    if (gaps) { gaps.pointBackgroundColor = gaps.backgroundColor; datasets.push(gaps); }
+    multiples.push(new Chart(ctx, {
+      type: 'line',
+      data: { labels: years, datasets },
+      options: {
+        responsive:true, maintainAspectRatio:false,
+        plugins: { legend: { display: false }, tooltip: { callbacks: { label: tooltipLabel } } },
+        scales: { y: { beginAtZero: true, max: yMax || undefined, ticks: { callback: Util.formatTick, maxTicksLimit: 4 } }, x: { ticks: { maxTicksLimit: 4, maxRotation: 0 } } }
+      }
+    }));
+  });
+}
+
+// latest value, peak year and change since the first reported year, per state
+function summarize(years, values) {
+  const points = years.map((y, i) => ({ year: y, v: values[i] })).filter(pt => Number.isFinite(pt.v));
+  if (!points.length) return null;
+  const first = points[0], latest = points[points.length - 1];
+  const peak = points.reduce((a, b) => (b.v > a.v ? b : a));
+  const atYear = selectedYear ? points.find(pt => pt.year === selectedYear) : null;
+  return { first, latest, peak, atYear, change: latest.v - first.v, pct: first.v !== 0 ? (latest.v - first.v) / first.v * 100 : null };
+}
+
+function formatChange(d, pct) {
+  const sign = d > 0 ? '+' : (d < 0 ? '−' : '±');
+  return `${sign}${Metrics.formatValue(metric, Math.abs(d))}` + (pct == null ? '' : ` (${sign}${Math.abs(pct).toFixed(1)}%)`);
+}
+
+function renderTable(years, series) {
+  const table = document.getElementById('compareTable');
+  if (!table) return;
+  const cols = ['State'].concat(selectedYear ? [`${selectedYear}`] : [], ['Latest', 'Peak year', 'Change since first year']);
+  const th = '<tr>' + cols.map(c => `<th style="padding:8px;text-align:left">${c}</th>`).join('') + '</tr>';
+  const body = series.map(s => {
+    const sum = summarize(years, s.values);
+    const link = `<a href="${stateLink(s.state)}">${Util.escapeHtml(s.state)}</a>`;
+    if (!sum) return `<tr><td style="padding:8px">${link}</td><td style="padding:8px" colspan="${cols.length - 1}">No data</td></tr>`;
+    const cells = [link]
+      .concat(selectedYear ? [sum.atYear ? Metrics.formatValue(metric, sum.atYear.v) : 'No data'] : [])
+      .concat([
+        `${Metrics.formatValue(metric, sum.latest.v)} (${sum.latest.year})`,
+        `${sum.peak.year} — ${Metrics.formatValue(metric, sum.peak.v)}`,
+        `${formatChange(sum.change, sum.pct)} since ${sum.first.year}`
+      ]);
+    return '<tr>' + cells.map(c => `<td style="padding:8px">${c}</td>`).join('') + '</tr>';
+  }).join('');
+  table.innerHTML = th + body;
+}
+
+function renderAll() {
+  renderChips();
+  const ready = compareStates.length >= MIN_STATES;
+  const { years, series } = compareSeries();
+  drawLine(years, series);
+  drawGroupedBars(years, series);
+  drawSmallMultiples(years, series);
+  renderTable(years, series);
+  const countEl = document.getElementById('compareCount');
+  if (countEl) countEl.textContent = ready ? `${compareStates.length} of ${MAX_STATES} states` : `Pick at least ${MIN_STATES} states (up to ${MAX_STATES})`;
+}
+
+/* state picker */
+function renderChips() {
+  const wrap = document.getElementById('compareChips');
+  if (!wrap) return;
+  wrap.innerHTML = '';
+  compareStates.forEach((state, i) => {
+    const chip = document.createElement('span');
+    chip.className = 'compare-chip';
+    chip.style.borderColor = seriesColor(i);
+    chip.innerHTML = `<a href="${stateLink(state)}">${Util.escapeHtml(state)}</a>`;
+    const rm = document.createElement('button');
+    rm.type = 'button';
+    rm.textContent = '×';
+    rm.title = `Remove ${state}`;
+    rm.addEventListener('click', () => {
+      compareStates = compareStates.filter(s => s !== state);
+      syncUrl();
+      renderAll();
+    });
+    chip.appendChild(rm);
+    wrap.appendChild(chip);
+  });
+}
+
+function addState(name) {
+  const state = resolveState(name);
+  if (!state) { alert(`No data for "${name}" in ${current.dataset ? current.dataset.name : diseaseKey}`); return; }
+  if (compareStates.includes(state)) return;
+  if (compareStates.length >= MAX_STATES) { alert(`You can compare up to ${MAX_STATES} states`); return; }
+  compareStates.push(state);
+  syncUrl();
+  renderAll();
+}
+
+const stateInput = document.getElementById('compareStateInput');
+const addBtn = document.getElementById('compareAdd');
+function addFromInput() {
+  if (!stateInput || !stateInput.value.trim()) return;
+  addState(stateInput.value);
+  stateInput.value = '';
+}
+if (addBtn) addBtn.addEventListener('click', addFromInput);
+if (stateInput) stateInput.addEventListener('keydown', e => { if (e.key === 'Enter') addFromInput(); });
+
+/* main loader */
+async function loadCompare() {
+  try {
+    const { dataset, rows, years, states, cachedAt } = await Datasets.loadRows(diseaseKey);
+    current = { dataset, rows, years, states, pivot: Datasets.pivot(rows) };
+    document.getElementById('compareTitle').textContent = `Compare States — ${dataset.name}`;
+    const sourceEl = document.getElementById('compareSource');
+    if (sourceEl) sourceEl.textContent = `${dataset.name} · Source: ${Datasets.citation(dataset)}` + (cachedAt ? ` · offline copy, ${Offline.describeAge(cachedAt)}` : '');
+    const list = document.getElementById('compareStateList');
+    if (list) list.innerHTML = current.states.map(s => `<option value="${Util.escapeHtml(s)}">`).join('');
+
+    // drop unknown names and anything past the limit
+    compareStates = Array.from(new Set(compareStates.map(resolveState).filter(Boolean))).slice(0, MAX_STATES);
+    await Metrics.loadPopulation();
+    metric = Metrics.syncMetricSelect(document.getElementById('metricSelectCompare'), rows, metric);
+    syncUrl();
+    renderAll();
+  } catch (err) {
+    console.error('[compare.js] loadCompare error:', err);
+    const table = document.getElementById('compareTable');
+    if (table) table.innerHTML = `<tr><td>Error loading data: ${Util.escapeHtml(err.message)}</td></tr>`;
+  }
+}
+
+/* metric toggle */
+const metricSelectCompare = document.getElementById('metricSelectCompare');
+if (metricSelectCompare) {
+  metricSelectCompare.addEventListener('change', () => {
+    metric = metricSelectCompare.value;
+    sessionStorage.setItem('lastMetric', metric);
+    syncUrl();
+    renderAll();
+  });
+}
+
+// charts pick up the new palette; the data stays in memory
+window.addEventListener('themechange', () => { if (current.dataset) renderAll(); });
+
+Offline.register();
+loadCompare();
@@ -0,0 +1,504 @@
+/* correlate.js - how two diseases relate across states, and every disease against every other
+   - ?x=<disease>&y=<disease>&year=…&from=…&metric=…&method=… (from is optional; values are then averaged over from…year)
+   - scatter of the two diseases by state with a least-squares line, Pearson / Spearman and labelled outliers; a point opens state.html
+   - matrix of all datasets for the selected year (chartjs-chart-matrix, a table without it); a cell puts that pair in the scatter
+   - states are matched through Metrics.canonicalName so datasets that spell a state differently still line up
+*/
+
+const p = new URLSearchParams(window.location.search);
+let xKey = p.get('x') || sessionStorage.getItem('lastDisease') || 'HIV';
+let yKey = p.get('y');
+let selectedYear = p.get('year') ? Number(p.get('year')) : null;
+let fromYear = p.get('from') ? Number(p.get('from')) : null;
+let metric = Metrics.METRICS[p.get('metric')] ? p.get('metric') : 'rate'; // case counts mostly follow population, so rates are the default here
+let method = Correlation.METHODS[p.get('method')] ? p.get('method') : 'pearson';
+
+/* helpers */
+const formatR = v => (v == null ? '—' : v.toFixed(2));
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+function hasMatrixPlugin() {
+  return !!window.Chart && (Chart.registry && typeof Chart.registry.getController === 'function' ? !!Chart.registry.getController('matrix') : !!Chart.controllers && !!Chart.controllers.matrix);
+}
+
+function rangeLabel() {
+  return fromYear ? `${fromYear}–${selectedYear}` : String(selectedYear);
+}
+
+function stateLink(state) {
+  const name = current.x.names[state] || state;
+  return `state.html?state=${encodeURIComponent(name)}&disease=${encodeURIComponent(xKey)}&diseases=${encodeURIComponent(yKey)}&metric=${encodeURIComponent(metric)}&year=${encodeURIComponent(selectedYear)}`;
+}
+
+// keep the pair, years, metric and coefficient in the URL
+function syncUrl() {
+  const q = new URLSearchParams();
+  q.set('x', xKey);
+  q.set('y', yKey);
+  q.set('year', selectedYear);
+  if (fromYear) q.set('from', fromYear);
+  q.set('metric', metric);
+  if (method !== 'pearson') q.set('method', method);
+  history.replaceState(null, '', `${window.location.pathname}?${q.toString()}`);
+  const back = document.getElementById('backToMap');
+  if (back) back.href = `map.html?disease=${encodeURIComponent(xKey)}&year=${encodeURIComponent(selectedYear)}&metric=${encodeURIComponent(metric)}`;
+}
+
+/* data */
+// one promise per dataset key: canonical state → year → cases / age-adjusted rate, and the dataset's own spelling of each state
+const tables = {};
+function loadPivot(key) {
+  if (!tables[key]) {
+    tables[key] = (async () => {
+      const { dataset, file, rows, years, cachedAt } = await Datasets.loadRows(key);
+      if (!rows || !rows.length) throw new Error('No data rows found in ' + file);
+      // keyed by canonical name so the two datasets line up; names keeps the spelling shown in the UI
+      const { pivot, aaPivot } = Datasets.pivot(rows, r => Metrics.canonicalName(r.state));
+      const names = {};
+      rows.forEach(r => { const s = Metrics.canonicalName(r.state); if (pivot[s] && !names[s]) names[s] = r.state; });
+      return { key, dataset, file, years, names, pivot, aaPivot, hasAgeAdjusted: !!Metrics.ageAdjustedColumn(rows), cachedAt };
+    })();
+    tables[key].catch(() => { delete tables[key]; });
+  }
+  return tables[key];
+}
+
+// state → metric value, averaged over the given years the state has values for
+function stateValues(table, years) {
+  const out = {};
+  Object.keys(table.pivot).forEach(s => {
+    const vs = years.map(y => Metrics.valueFor(metric, table.pivot[s][y], s, y, table.aaPivot[s][y])).filter(Number.isFinite);
+    if (vs.length) out[s] = vs.reduce((a, b) => a + b, 0) / vs.length;
+  });
+  return out;
+}
+
+let current = null; // { x, y, years, points, result }
+
+async function loadPair() {
+  await Metrics.loadPopulation();
+  const list = await Datasets.listDatasets();
+  if (!list.length) throw new Error('No datasets listed in datasets.json');
+  if (!list.some(d => d.key === xKey)) xKey = list[0].key;
+  if (!yKey || yKey === xKey || !list.some(d => d.key === yKey)) yKey = (list.find(d => d.key !== xKey) || list[0]).key;
+  await Datasets.populateSelect(document.getElementById('xSelect'), xKey);
+  await Datasets.populateSelect(document.getElementById('ySelect'), yKey);
+
+  const [x, y] = await Promise.all([loadPivot(xKey), loadPivot(yKey)]);
+  const years = x.years.filter(yr => y.years.includes(yr));
+  if (!years.length) throw new Error(`${x.dataset.name} and ${y.dataset.name} have no years in common`);
+  current = { x, y, years };
+  if (!years.includes(selectedYear)) selectedYear = years[years.length - 1];
+  if (fromYear && (fromYear >= selectedYear || !years.includes(fromYear))) fromYear = null;
+  populateYearSelects();
+  syncMetricSelect();
+  renderScatter();
+  if (!matrixView || matrixView.year !== selectedYear || matrixView.metric !== metric || matrixView.method !== method) renderMatrix();
+  else drawMatrix();
+}
+
+function populateYearSelects() {
+  const yearSel = document.getElementById('yearSelectCorr');
+  if (yearSel) {
+    yearSel.innerHTML = '';
+    current.years.forEach(y => {
+      const o = document.createElement('option');
+      o.value = y;
+      o.textContent = y;
+      yearSel.appendChild(o);
+    });
+    yearSel.value = selectedYear;
+  }
+  const fromSel = document.getElementById('fromSelect');
+  if (fromSel) {
+    fromSel.innerHTML = '';
+    const single = document.createElement('option');
+    single.value = '';
+    single.textContent = 'Single year';
+    fromSel.appendChild(single);
+    current.years.filter(y => y < selectedYear).forEach(y => {
+      const o = document.createElement('option');
+      o.value = y;
+      o.textContent = `From ${y}`;
+      fromSel.appendChild(o);
+    });
+    fromSel.value = fromYear ? String(fromYear) : '';
+  }
+}
+
+// age-adjusted rates only when both datasets carry them
+function syncMetricSelect() {
+  const sel = document.getElementById('metricSelectCorr');
+  const available = m => m !== 'ageAdjusted' || (current.x.hasAgeAdjusted && current.y.hasAgeAdjusted);
+  if (!available(metric)) metric = 'rate';
+  if (!sel) return;
+  Array.from(sel.options).forEach(o => {
+    o.disabled = !available(o.value);
+    o.title = o.disabled ? 'Not provided by both datasets' : '';
+  });
+  sel.value = metric;
+}
+
+/* scatter */
+function renderScatter() {
+  const years = current.years.filter(y => y >= (fromYear || selectedYear) && y <= selectedYear);
+  current.points = Correlation.pairs(stateValues(current.x, years), stateValues(current.y, years));
+  current.result = Correlation.analyze(current.points);
+  document.getElementById('scatterTitle').textContent = `${current.y.dataset.name} vs ${current.x.dataset.name} — by state, ${rangeLabel()}`;
+  drawScatter();
+  renderStats();
+  syncUrl();
+}
+
+// names beside the outlier points
+const outlierLabels = {
+  id: 'outlierLabels',
+  afterDatasetsDraw(chart) {
+    const ctx = chart.ctx;
+    chart.data.datasets.forEach((ds, i) => {
+      if (!ds.labelPoints || !chart.isDatasetVisible(i)) return;
+      ctx.save();
+      ctx.font = '12px Arial, sans-serif';
+      ctx.fillStyle = Theme.colors().text;
+      ctx.textBaseline = 'middle';
+      chart.getDatasetMeta(i).data.forEach((el, j) => ctx.fillText(ds.data[j].state, el.x + 8, el.y));
+      ctx.restore();
+    });
+  }
+};
+
+function drawScatter() {
+  Util.safeDestroy(window._corrScatter);
+  const el = document.getElementById('corrScatter');
+  if (!el) return;
+  const colors = Theme.colors();
+  const { points, result } = current;
+  const xName = current.x.dataset.name, yName = current.y.dataset.name;
+  const outliers = new Set(result.outliers);
+  const asPoint = pt => ({ x: pt.x, y: pt.y, state: pt.label });
+  const datasets = [
+    { label: 'States', data: points.filter(pt => !outliers.has(pt.label)).map(asPoint), backgroundColor: colors.point, pointRadius: 5, pointHoverRadius: 7 },
+    { label: 'Outliers', data: points.filter(pt => outliers.has(pt.label)).map(asPoint), backgroundColor: colors.alert, pointRadius: 6, pointHoverRadius: 8, labelPoints: true }
+  ];
+  if (result.line) {
+    const xs = points.map(pt => pt.x);
+    const at = x => ({ x, y: result.line.intercept + result.line.slope * x });
+    datasets.push({ type: 'line', label: 'Least-squares line', data: [at(Math.min(...xs)), at(Math.max(...xs))], borderColor: colors.primary, borderWidth: 2, pointRadius: 0, pointHitRadius: 0, fill: false });
+  }
+  const axis = name => ({ title: { display: true, text: `${name} — ${Metrics.label(metric)}` }, ticks: { callback: Util.formatTick } });
+  window._corrScatter = new Chart(el.getContext('2d'), {
+    type: 'scatter',
+    data: { datasets },
+    options: {
+      responsive: true, maintainAspectRatio: false,
+      plugins: {
+        legend: { labels: { filter: item => item.text !== 'Outliers' || outliers.size > 0 } },
+        tooltip: {
+          filter: item => !!item.raw.state,
+          callbacks: {
+            title: items => items[0].raw.state,
+            label: ctx => [`${xName}: ${Metrics.formatValue(metric, ctx.raw.x)}`, `${yName}: ${Metrics.formatValue(metric, ctx.raw.y)}`]
+          }
+        }
+      },
+      scales: { x: axis(xName), y: axis(yName) },
+      onClick: (evt, elements) => {
+        const hit = elements.map(e => datasets[e.datasetIndex].data[e.index]).find(d => d && d.state);
+        if (hit) window.location.href = stateLink(hit.state);
+      }
+    },
+    plugins: [outlierLabels]
+  });
+}
+
+function renderStats() {
+  const { points, result } = current;
+  const statsEl = document.getElementById('corrStats');
+  const noteEl = document.getElementById('corrNote');
+  const notes = [];
+  if (result.n < Correlation.MIN_PAIRS || result.pearson == null) {
+    statsEl.textContent = `Not enough states with values for both diseases (${result.n})`;
+  } else {
+    const line = result.line;
+    statsEl.textContent = `${plural(result.n, 'state')} · Pearson r = ${formatR(result.pearson)} (${Correlation.formatP(result.pPearson)})`
+      + ` · Spearman ρ = ${formatR(result.spearman)} (${Correlation.formatP(result.pSpearman)})`
+      + (line ? ` · slope ${line.slope.toPrecision(3)}, R² = ${formatR(line.r2)}` : '');
+    notes.push(`Across states the two show ${Correlation.describe(result.pearson)}.`);
+    if (result.outliers.length) notes.push(`Outliers, more than ${Correlation.OUTLIER_Z} standard errors from the line: ${result.outliers.join(', ')}.`);
+  }
+  if (fromYear) notes.push(`Each state's value is its average over the years from ${fromYear} to ${selectedYear} it has data for.`);
+  const onlyOne = Object.keys(current.x.pivot).concat(Object.keys(current.y.pivot)).filter(s => !points.some(pt => pt.label === s));
+  const skipped = new Set(onlyOne).size;
+  if (skipped) notes.push(`${plural(skipped, 'state')} without a value for both diseases left out.`);
+  if (metric === 'cases') notes.push('Case counts mostly follow population size, so they tend to correlate whatever the disease; rates compare like with like.');
+  const cached = [current.x, current.y].filter(t => t.cachedAt);
+  if (cached.length) notes.push(`Offline copy, ${Offline.describeAge(Math.min(...cached.map(t => t.cachedAt)))}.`);
+  noteEl.textContent = notes.join(' ');
+  A11y.announce(statsEl.textContent);
+}
+
+/* matrix */
+let matrixView = null; // { year, metric, method, series: [{ key, name, values }], grid, failed }
+let matrixToken = 0;
+let matrixChart = null;
+
+async function renderMatrix() {
+  const token = ++matrixToken;
+  const year = selectedYear;
+  try {
+    const list = await Datasets.listDatasets();
+    const loaded = await Promise.allSettled(list.map(d => loadPivot(d.key)));
+    if (token !== matrixToken) return; // a newer year / metric took over
+    const failed = list.filter((d, i) => loaded[i].status === 'rejected').map(d => d.name || d.key);
+    const series = loaded.filter(r => r.status === 'fulfilled').map(r => ({
+      key: r.value.key, name: r.value.dataset.name || r.value.key, values: stateValues(r.value, [year])
+    }));
+    matrixView = { year, metric, method, series, grid: Correlation.matrix(series, method), failed };
+    drawMatrix();
+  } catch (err) {
+    console.error('[correlate.js] matrix error:', err);
+    const el = document.getElementById('matrixNote');
+    if (el) el.textContent = `Error building the matrix: ${err.message || err}`;
+  }
+}
+
+// fixed −1…1 classes, blue for negative through red for positive
+function matrixScale() {
+  return ColorScale.build([-1, 1], { diverging: true, method: 'equal', classes: 8 });
+}
+
+// r in each cell, light text on the dark ends of the scale
+const cellLabels = {
+  id: 'corrCellLabels',
+  afterDatasetsDraw(chart) {
+    const ds = chart.data.datasets[0];
+    const ctx = chart.ctx;
+    ctx.save();
+    ctx.font = '12px Arial, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    chart.getDatasetMeta(0).data.forEach((el, i) => {
+      const dp = ds.data[i];
+      if (!dp || dp.v == null) return;
+      const { x, y, width, height } = el.getProps(['x', 'y', 'width', 'height'], true);
+      ctx.fillStyle = Math.abs(dp.v) > 0.6 ? '#ffffff' : '#111827';
+      ctx.fillText(formatR(dp.v), x + width / 2, y + height / 2);
+    });
+    ctx.restore();
+  }
+};
+
+function drawMatrix() {
+  if (!matrixView) return;
+  const { series, grid, year } = matrixView;
+  const names = series.map(s => s.name);
+  const scale = matrixScale();
+  const wrapper = document.getElementById('corrMatrixWrapper');
+  const canvas = document.getElementById('corrMatrix');
+  const isPair = (a, b) => (a === xKey && b === yKey) || (a === yKey && b === xKey);
+  document.getElementById('matrixTitle').textContent = `Correlation matrix — all diseases, ${year} (${Correlation.METHODS[method]})`;
+  renderMatrixLegend(scale);
+  renderMatrixNote();
+
+  Util.safeDestroy(matrixChart);
+  matrixChart = null;
+  const fallback = wrapper.querySelector('.heatmap-fallback');
+  try {
+    if (!hasMatrixPlugin()) throw new Error('matrix plugin not loaded');
+    if (fallback) fallback.remove();
+    canvas.style.display = '';
+    const data = [];
+    series.forEach((a, yi) => series.forEach((b, xi) => data.push({ x: xi, y: yi, v: grid[yi][xi].r, n: grid[yi][xi].n })));
+    const cell = ctx => ctx.dataset.data[ctx.dataIndex];
+    const chosen = ctx => { const dp = cell(ctx); return !!dp && isPair(series[dp.x].key, series[dp.y].key); };
+    matrixChart = new Chart(canvas.getContext('2d'), {
+      type: 'matrix',
+      data: {
+        datasets: [{
+          label: Correlation.METHODS[method],
+          data,
+          width: ({ chart }) => Math.max(6, (chart.chartArea.width / names.length) - 2),
+          height: ({ chart }) => Math.max(6, (chart.chartArea.height / names.length) - 2),
+          backgroundColor: ctx => { const dp = cell(ctx); return scale.colorFor(dp ? dp.v : null); },
+          borderColor: ctx => (chosen(ctx) ? Theme.colors().outline : 'transparent'),
+          borderWidth: ctx => (chosen(ctx) ? 3 : 0)
+        }]
+      },
+      options: {
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { display: false },
+          tooltip: {
+            callbacks: {
+              title: items => { const dp = items[0].raw; return `${names[dp.y]} × ${names[dp.x]}`; },
+              label: item => (item.raw.v == null
+                ? `Fewer than ${Correlation.MIN_PAIRS} states with both (${item.raw.n})`
+                : `${Correlation.METHODS[method]} = ${formatR(item.raw.v)} · ${plural(item.raw.n, 'state')}`)
+            }
+          }
+        },
+        scales: {
+          x: { type: 'category', labels: names, position: 'bottom', offset: true, grid: { display: false }, ticks: { autoSkip: false, maxRotation: 45 } },
+          y: { type: 'category', labels: names, offset: true, grid: { display: false }, ticks: { autoSkip: false } }
+        },
+        onClick: (evt, elements) => {
+          if (!elements.length) return;
+          const dp = data[elements[0].index];
+          if (dp.x !== dp.y) pickPair(series[dp.x].key, series[dp.y].key);
+        }
+      },
+      plugins: [cellLabels]
+    });
+  } catch (err) {
+    console.warn('matrix plugin missing or error — fallback table:', err);
+    canvas.style.display = 'none';
+    let fb = fallback;
+    if (!fb) {
+      fb = document.createElement('div');
+      fb.className = 'heatmap-fallback';
+      fb.style.cssText = 'padding:10px; background:transparent; overflow:auto; max-height:100%;';
+      wrapper.appendChild(fb);
+    }
+    // one row per disease; clicking a row plots it against the x-axis disease
+    DataTable.render(fb, {
+      columns: [{ key: 'name', label: 'Disease', type: 'text', cellStyle: () => ({ fontWeight: 600, textAlign: 'left' }) }].concat(series.map((s, xi) => ({
+        key: s.key,
+        label: s.name,
+        type: 'number',
+        format: formatR,
+        cellStyle: row => ({ background: scale.colorFor(row[s.key]), outline: isPair(row.key, s.key) ? `2px solid ${Theme.colors().outline}` : '' }),
+        cellTitle: row => `${plural(grid[row.index][xi].n, 'state')} with both`
+      }))),
+      rows: series.map((s, yi) => Object.assign({ index: yi, key: s.key, name: s.name }, ...series.map((b, xi) => ({ [b.key]: grid[yi][xi].r })))),
+      pageSize: 0,
+      rowKey: r => r.key,
+      onRowClick: row => { if (row.key !== xKey) pickPair(xKey, row.key); }
+    });
+  }
+}
+
+function renderMatrixLegend(scale) {
+  const el = document.getElementById('corrMatrixLegend');
+  if (!el) return;
+  const items = scale.colors.map((c, i) => `<li><span class="legend-swatch" style="background:${c}"></span>${formatR(scale.breaks[i])} – ${formatR(scale.breaks[i + 1])}</li>`);
+  items.push(`<li><span class="legend-swatch legend-nodata" style="background:${scale.noDataColor}"></span>Fewer than ${Correlation.MIN_PAIRS} states</li>`);
+  el.innerHTML = `<ul class="legend-list" style="margin-top:10px;">${items.join('')}</ul>`;
+}
+
+function renderMatrixNote() {
+  const el = document.getElementById('matrixNote');
+  if (!el) return;
+  const { series, failed, year } = matrixView;
+  const notes = [`Each cell compares the states that have ${year} values for both diseases. Click a cell to plot that pair above.`];
+  const empty = series.filter(s => !Object.keys(s.values).length).map(s => s.name);
+  if (empty.length) notes.push(`No ${year} ${Metrics.METRICS[metric].short} values in: ${empty.join(', ')}.`);
+  if (failed.length) notes.push(`Could not load: ${failed.join(', ')}.`);
+  el.textContent = notes.join(' ');
+}
+
+function pickPair(x, y) {
+  xKey = x;
+  yKey = y;
+  loadPair().catch(showError);
+  window.scrollTo({ top: 0, behavior: 'smooth' });
+}
+
+function showError(err) {
+  console.error('[correlate.js] load error:', err);
+  const el = document.getElementById('corrStats');
+  if (el) el.textContent = `Error loading data: ${err.message || err}`;
+}
+
+/* controls */
+const xSelect = document.getElementById('xSelect');
+const ySelect = document.getElementById('ySelect');
+// picking the other side's disease swaps the two
+if (xSelect) xSelect.addEventListener('change', () => {
+  if (xSelect.value === yKey) yKey = xKey;
+  xKey = xSelect.value;
+  loadPair().catch(showError);
+});
+if (ySelect) ySelect.addEventListener('change', () => {
+  if (ySelect.value === xKey) xKey = yKey;
+  yKey = ySelect.value;
+  loadPair().catch(showError);
+});
+const yearSelectCorr = document.getElementById('yearSelectCorr');
+if (yearSelectCorr) yearSelectCorr.addEventListener('change', () => {
+  selectedYear = Number(yearSelectCorr.value);
+  if (fromYear && fromYear >= selectedYear) fromYear = null;
+  populateYearSelects();
+  renderScatter();
+  renderMatrix();
+});
+const fromSelect = document.getElementById('fromSelect');
+if (fromSelect) fromSelect.addEventListener('change', () => {
+  fromYear = fromSelect.value ? Number(fromSelect.value) : null;
+  renderScatter();
+});
+const metricSelectCorr = document.getElementById('metricSelectCorr');
+if (metricSelectCorr) {
+  metricSelectCorr.value = metric;
+  metricSelectCorr.addEventListener('change', () => {
+    metric = metricSelectCorr.value;
+    renderScatter();
+    renderMatrix();
+  });
+}
+const matrixMethod = document.getElementById('matrixMethod');
+if (matrixMethod) {
+  matrixMethod.value = method;
+  matrixMethod.addEventListener('change', () => {
+    method = matrixMethod.value;
+    syncUrl();
+    renderMatrix();
+  });
+}
+
+window.addEventListener('themechange', () => {
+  if (current && current.points) drawScatter();
+  drawMatrix();
+});
+
+/* export */
+Exporter.addChartButtons(document.querySelector('main'), () => `${xKey}-vs-${yKey}`);
+
+function sources(tablesUsed) {
+  return tablesUsed.map(t => `${t.dataset.name}: ${Datasets.citation(t.dataset)}`).join('; ');
+}
+
+function scatterTable() {
+  if (!current || !current.points) throw new Error('no data loaded yet');
+  const { x, y, points, result } = current;
+  const outliers = new Set(result.outliers);
+  return {
+    name: `${xKey}-vs-${yKey}-${rangeLabel()}-${metric}`,
+    meta: {
+      disease: `${y.dataset.name} vs ${x.dataset.name}`, year: rangeLabel(), metric: Metrics.label(metric),
+      view: `State values · Pearson r ${formatR(result.pearson)} · Spearman ρ ${formatR(result.spearman)} · n ${result.n}`,
+      sourceFile: `${x.file}, ${y.file}`, source: sources([x, y])
+    },
+    columns: ['State', x.dataset.name, y.dataset.name, 'Outlier'],
+    rows: points.map(pt => [x.names[pt.label] || pt.label, pt.x, pt.y, outliers.has(pt.label) ? 'yes' : ''])
+  };
+}
+
+function matrixTable() {
+  if (!matrixView) throw new Error('the matrix is still loading');
+  const { series, grid, year } = matrixView;
+  return {
+    name: `correlation-matrix-${year}-${matrixView.metric}-${matrixView.method}`,
+    meta: { disease: 'All datasets', year, metric: Metrics.label(matrixView.metric), view: `Correlation matrix (${Correlation.METHODS[matrixView.method]})` },
+    columns: ['Disease'].concat(series.map(s => s.name)),
+    rows: series.map((s, yi) => [s.name].concat(grid[yi].map(c => (c.r == null ? null : Number(c.r.toFixed(4))))))
+  };
+}
+
+Exporter.addDataMenu(document.getElementById('exportMenu'), [
+  { label: 'Scatter points (state values)', table: scatterTable },
+  { label: 'Correlation matrix (selected year)', table: matrixTable }
+]);
+
+/* start loading */
+Offline.register();
+loadPair().catch(showError);
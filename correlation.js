@@ -0,0 +1,133 @@
+/* correlation.js - how two sets of state values move together
+   - pearson() on the values, spearman() on their ranks (ties share the average rank)
+   - least-squares line with R²; outliers are states whose standardized residual is beyond ±OUTLIER_Z
+   - p-values use Fisher's z transform, an approximation that is fair from about ten states up
+   - matrix(): pairwise coefficients over the states both series have, null below MIN_PAIRS
+   - exposes window.Correlation used by correlate.js
+*/
+(function(){
+  const MIN_PAIRS = 5;
+  const OUTLIER_Z = 2;
+  const METHODS = { pearson: 'Pearson r', spearman: 'Spearman ρ' };
+
+  const finite = v => v != null && Number.isFinite(Number(v));
+  const mean = vs => vs.reduce((a, b) => a + b, 0) / vs.length;
+
+  // [{ label, x, y }] for the keys present (and numeric) in both objects
+  function pairs(xs, ys) {
+    return Object.keys(xs).filter(k => finite(xs[k]) && ys && finite(ys[k])).map(k => ({ label: k, x: Number(xs[k]), y: Number(ys[k]) }));
+  }
+
+  function pearson(xs, ys) {
+    const n = Math.min(xs.length, ys.length);
+    if (n < 3) return null;
+    const mx = mean(xs), my = mean(ys);
+    let sxy = 0, sxx = 0, syy = 0;
+    for (let i = 0; i < n; i++) {
+      sxy += (xs[i] - mx) * (ys[i] - my);
+      sxx += (xs[i] - mx) ** 2;
+      syy += (ys[i] - my) ** 2;
+    }
+    if (!sxx || !syy) return null; // one side doesn't vary
+    return Math.max(-1, Math.min(1, sxy / Math.sqrt(sxx * syy)));
+  }
+
+  // 1-based ranks, ties get the average of the ranks they span
+  function ranks(vs) {
+    const order = vs.map((v, i) => i).sort((a, b) => vs[a] - vs[b]);
+    const out = new Array(vs.length);
+    for (let i = 0; i < order.length;) {
+      let j = i;
+      while (j + 1 < order.length && vs[order[j + 1]] === vs[order[i]]) j++;
+      for (let k = i; k <= j; k++) out[order[k]] = (i + j) / 2 + 1;
+      i = j + 1;
+    }
+    return out;
+  }
+
+  function spearman(xs, ys) { return pearson(ranks(xs), ranks(ys)); }
+
+  // y = intercept + slope·x by least squares; null when x doesn't vary
+  function fitLine(xs, ys) {
+    const n = xs.length;
+    if (n < 3) return null;
+    const mx = mean(xs), my = mean(ys);
+    let sxy = 0, sxx = 0;
+    for (let i = 0; i < n; i++) { sxy += (xs[i] - mx) * (ys[i] - my); sxx += (xs[i] - mx) ** 2; }
+    if (!sxx) return null;
+    const slope = sxy / sxx, intercept = my - slope * mx;
+    const residuals = xs.map((x, i) => ys[i] - (intercept + slope * x));
+    const sse = residuals.reduce((a, e) => a + e * e, 0);
+    const sst = ys.reduce((a, y) => a + (y - my) ** 2, 0);
+    const se = Math.sqrt(sse / Math.max(1, n - 2));
+    return { slope, intercept, r2: sst ? 1 - sse / sst : null, se, residuals };
+  }
+
+  // standard normal CDF (Abramowitz & Stegun 7.1.26)
+  function normalCdf(z) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-z * z / 2);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  }
+
+  // two-sided p-value for r ≠ 0
+  function pValue(r, n) {
+    if (r == null || n < 4) return null;
+    if (Math.abs(r) >= 1) return 0;
+    const z = Math.atanh(r) * Math.sqrt(n - 3);
+    return 2 * (1 - normalCdf(Math.abs(z)));
+  }
+
+  /* points: [{ label, x, y }]
+     → { n, pearson, spearman, pPearson, pSpearman, line, outliers: [label] } */
+  function analyze(points) {
+    const xs = points.map(p => p.x), ys = points.map(p => p.y);
+    const n = points.length;
+    const r = pearson(xs, ys), rho = spearman(xs, ys);
+    const line = fitLine(xs, ys);
+    const outliers = line && line.se ? points.filter((p, i) => Math.abs(line.residuals[i] / line.se) > OUTLIER_Z).map(p => p.label) : [];
+    return { n, pearson: r, spearman: rho, pPearson: pValue(r, n), pSpearman: pValue(rho, n), line, outliers };
+  }
+
+  function coefficient(method, xs, ys) { return method === 'spearman' ? spearman(xs, ys) : pearson(xs, ys); }
+
+  /* series: [{ key, values: { label → number } }]
+     → square grid of { r, n } (r null when fewer than MIN_PAIRS labels are shared) */
+  function matrix(series, method) {
+    return series.map(a => series.map(b => {
+      const pts = pairs(a.values, b.values);
+      if (pts.length < MIN_PAIRS) return { r: null, n: pts.length };
+      return { r: a === b ? 1 : coefficient(method, pts.map(p => p.x), pts.map(p => p.y)), n: pts.length };
+    }));
+  }
+
+  // "a strong positive correlation", "little or no correlation", …
+  function describe(r) {
+    if (r == null) return 'not enough data';
+    const a = Math.abs(r);
+    if (a < 0.2) return 'little or no correlation';
+    const strength = a >= 0.7 ? 'a strong' : a >= 0.4 ? 'a moderate' : 'a weak';
+    return `${strength} ${r > 0 ? 'positive' : 'negative'} correlation`;
+  }
+
+  function formatP(p) {
+    if (p == null) return '';
+    return p < 0.001 ? 'p < 0.001' : `p = ${p.toFixed(3)}`;
+  }
+
+  window.Correlation = {
+    MIN_PAIRS,
+    OUTLIER_Z,
+    METHODS,
+    pairs,
+    pearson,
+    spearman,
+    ranks,
+    fitLine,
+    pValue,
+    analyze,
+    matrix,
+    describe,
+    formatP
+  };
+})();
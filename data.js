@@ -0,0 +1,469 @@
+/* data.js - shared dataset manifest + loader used by every page
+   - reads datasets.json (one entry per disease: file, name, units, source, columns)
+   - fetches .json / .csv / .xlsx files (prefers a .json twin of an .xlsx when present), parses them in
+     parse-worker.js and caches the normalized table in IndexedDB until the file's ETag / Last-Modified changes
+   - user uploads (upload.js) live in the same IndexedDB and are listed alongside the manifest entries
+   - normalizes rows to { state, year, cases, suppressed, ...other columns } using the manifest column mapping
+     (cases stays null when the source has no usable number; suppression markers set suppressed: true)
+   - exposes window.Datasets
+*/
+(function(){
+  const MANIFEST_URL = 'datasets.json';
+  // local copy first (see vendor/README.md), then the CDN
+  const XLSX_SOURCES = ['vendor/xlsx.full.min.js', 'https://cdn.jsdelivr.net/npm/xlsx@0.18.5/dist/xlsx.full.min.js'];
+  const DEFAULT_COLUMNS = { state: ['State', 'state'], year: ['Year', 'year', 'YearReported', 'yearReported'], cases: ['Cases', 'cases'] };
+  // case values that mean "reported but withheld" rather than zero (compared lower-cased, trimmed)
+  const SUPPRESSION_MARKERS = ['', 'na', 'n/a', '*', 'suppressed'];
+  // how every page words a value's status ('ok' | 'missing' | 'suppressed') in tooltips and tables
+  const STATUS_TEXT = { ok: '', missing: 'No data reported', suppressed: 'Suppressed in source data' };
+
+  let manifestCache = null;
+
+  // ---------- manifest ----------
+  // datasets.json entries followed by the user's own uploads (see saveUpload)
+  async function loadManifest() {
+    if (!manifestCache) {
+      const r = await fetch(MANIFEST_URL);
+      if (!r.ok) throw new Error(`Failed to load ${MANIFEST_URL}: ${r.status}`);
+      const json = await r.json();
+      manifestCache = Array.isArray(json.datasets) ? json.datasets : [];
+    }
+    return manifestCache.concat((await listUploads()).map(uploadEntry));
+  }
+
+  async function listDatasets() { return (await loadManifest()).slice(); }
+
+  async function getDataset(key) {
+    const list = await loadManifest();
+    const ds = list.find(d => d.key === key);
+    if (!ds) throw new Error('No dataset mapping for ' + key);
+    return ds;
+  }
+
+  // fill a <select> with one option per manifest entry (keeps a leading placeholder option if asked)
+  async function populateSelect(selectEl, selectedKey, placeholder) {
+    if (!selectEl) return;
+    const list = await loadManifest();
+    selectEl.innerHTML = '';
+    if (placeholder) {
+      const ph = document.createElement('option');
+      ph.value = ''; ph.textContent = placeholder; ph.disabled = true; ph.selected = !selectedKey;
+      selectEl.appendChild(ph);
+    }
+    list.forEach(d => {
+      const o = document.createElement('option');
+      o.value = d.key;
+      o.textContent = (d.name || d.key) + (d.uploaded ? ' (your upload)' : '');
+      selectEl.appendChild(o);
+    });
+    if (selectedKey && list.some(d => d.key === selectedKey)) selectEl.value = selectedKey;
+  }
+
+  // ---------- file helpers ----------
+  function csvLineToCols(line) {
+    // split on commas not inside double quotes
+    const re = /,(?=(?:[^"]*"[^"]*")*[^"]*$)/;
+    return line.split(re).map(c => {
+      let v = c.trim();
+      if (v.startsWith('"') && v.endsWith('"')) v = v.slice(1, -1).replace(/""/g, '"');
+      return v;
+    });
+  }
+
+  function parseCSV(text) {
+    const lines = String(text || '').split(/\r?\n/).filter(l => l.trim().length > 0);
+    if (lines.length === 0) return [];
+    const headers = csvLineToCols(lines[0]);
+    const rows = [];
+    for (let i = 1; i < lines.length; i++) {
+      const cols = csvLineToCols(lines[i]);
+      const row = {};
+      for (let j = 0; j < headers.length; j++) row[headers[j]] = cols[j] !== undefined ? cols[j] : null;
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  async function ensureXLSX() {
+    for (const src of XLSX_SOURCES) {
+      if (typeof XLSX !== 'undefined') return;
+      await new Promise((resolve, reject) => {
+        const s = document.createElement('script');
+        s.src = src;
+        s.onload = resolve;
+        s.onerror = reject;
+        document.head.appendChild(s);
+      }).catch(err => console.warn('Failed to load XLSX library from ' + src, err));
+    }
+    if (typeof XLSX === 'undefined') throw new Error('XLSX library not available to parse .xlsx');
+  }
+
+  function rowsFromWorkbookBuffer(buf) {
+    let wb;
+    try {
+      wb = XLSX.read(new Uint8Array(buf), { type: 'array' });
+    } catch (err) {
+      // fallback try: read as binary string
+      try {
+        const bin = new Uint8Array(buf).reduce((s, b) => s + String.fromCharCode(b), '');
+        wb = XLSX.read(bin, { type: 'binary' });
+      } catch (err2) {
+        throw new Error('XLSX.parse failed: ' + (err2 || err).message);
+      }
+    }
+    if (!wb || !wb.SheetNames || wb.SheetNames.length === 0) return [];
+    return XLSX.utils.sheet_to_json(wb.Sheets[wb.SheetNames[0]], { defval: null });
+  }
+
+  // prefer a .json twin of the manifest file if one is deployed next to it
+  async function pickFilenameForKey(key) {
+    const base = (await getDataset(key)).file;
+    if (!/\.xlsx$/i.test(base)) return base;
+    const jsonCandidate = base.replace(/\.xlsx$/i, '.json');
+    try {
+      const r = await fetch(jsonCandidate, { method: 'HEAD' });
+      if (r.ok) return jsonCandidate;
+    } catch (e) {
+      // ignore - candidate likely not present
+    }
+    return base;
+  }
+
+  // raw rows from the bytes of a json / csv / xlsx file (XLSX must already be loaded for .xlsx)
+  function parseBuffer(name, buf) {
+    const lower = String(name).toLowerCase();
+    if (lower.endsWith('.json')) return JSON.parse(new TextDecoder().decode(buf));
+    if (lower.endsWith('.csv')) return parseCSV(new TextDecoder().decode(buf));
+    return rowsFromWorkbookBuffer(buf);
+  }
+
+  // raw rows from a json / csv / xlsx file, keyed by the file's own column names
+  async function fetchRowsFromFile(name) {
+    if (!name) throw new Error('No filename provided');
+    return (await loadTable(name)).raw;
+  }
+
+  // ---------- normalization ----------
+  function candidates(mapping, field) {
+    const m = mapping && mapping[field];
+    if (Array.isArray(m)) return m;
+    if (m) return [m];
+    return DEFAULT_COLUMNS[field] || [];
+  }
+
+  function pickColumn(row, names) {
+    for (const n of names) if (row[n] !== undefined && row[n] !== null && row[n] !== '') return { name: n, value: row[n] };
+    return { name: names[0], value: null };
+  }
+
+  // { cases, suppressed } for a raw case value: numbers (incl. "1,234") pass through,
+  // suppression markers give suppressed: true, anything else is simply missing (null)
+  function parseCases(v) {
+    if (typeof v === 'number') return { cases: Number.isFinite(v) ? v : null, suppressed: false };
+    const text = String(v == null ? '' : v).trim();
+    if (SUPPRESSION_MARKERS.includes(text.toLowerCase())) return { cases: null, suppressed: true };
+    const n = Number(text.replace(/,/g, ''));
+    return { cases: Number.isFinite(n) ? n : null, suppressed: false };
+  }
+
+  // { state, year, cases, suppressed, ...unmapped columns } rows; `columns` is the manifest mapping
+  function normalizeRows(rows, columns) {
+    const fields = Object.keys(Object.assign({}, DEFAULT_COLUMNS, columns || {}));
+    return (rows || []).map(r => {
+      const out = {};
+      const used = new Set();
+      fields.forEach(f => {
+        const names = candidates(columns, f);
+        names.forEach(n => used.add(n));
+        out[f] = pickColumn(r, names).value;
+      });
+      Object.keys(r).forEach(k => { if (!used.has(k)) out[k] = r[k]; });
+      out.state = String(out.state == null ? '' : out.state).trim();
+      const y = Number(out.year);
+      out.year = Number.isFinite(y) && y ? y : null;
+      Object.assign(out, parseCases(out.cases));
+      return out;
+    });
+  }
+
+  // { raw, rows, years, states } - what gets parsed once and cached
+  function buildTable(raw, columns) {
+    const rows = normalizeRows(raw, columns);
+    return { raw, rows, years: yearsOf(rows), states: statesOf(rows) };
+  }
+
+  // ---------- parsed-table cache ----------
+  // files are parsed in parse-worker.js and the normalized table kept in IndexedDB, keyed by file and
+  // checked against the server's ETag / Last-Modified, so navigation and reloads skip the parse
+  const DB_NAME = 'phd-datasets', DB_STORE = 'tables', UPLOAD_STORE = 'uploads', DB_VERSION = 2;
+  const WORKER_URL = 'parse-worker.js';
+  const memo = {}; // file -> { version, sig, table } for this page
+  let dbPromise = null;
+  let worker = null; // null = not started yet, false = unavailable
+  let workerSeq = 0;
+  const workerJobs = {};
+
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') return resolve(null);
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(DB_STORE)) db.createObjectStore(DB_STORE, { keyPath: 'file' });
+        if (!db.objectStoreNames.contains(UPLOAD_STORE)) db.createObjectStore(UPLOAD_STORE, { keyPath: 'key' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => { console.warn('IndexedDB unavailable, tables will not be cached', req.error); resolve(null); };
+    });
+    return dbPromise;
+  }
+
+  // one request against a store; resolves null instead of failing (the cache is optional)
+  async function idbRequest(mode, makeRequest, storeName) {
+    const db = await openDb();
+    if (!db) return null;
+    const name = storeName || DB_STORE;
+    return new Promise(resolve => {
+      const tx = db.transaction(name, mode);
+      const req = makeRequest(tx.objectStore(name));
+      tx.oncomplete = () => resolve(req.result || null);
+      tx.onerror = tx.onabort = () => { console.warn('IndexedDB request failed', tx.error); resolve(null); };
+    });
+  }
+
+  function getWorker() {
+    if (worker !== null) return worker;
+    try {
+      worker = new Worker(WORKER_URL);
+      worker.onmessage = e => {
+        const job = workerJobs[e.data.id];
+        if (!job) return;
+        delete workerJobs[e.data.id];
+        if (e.data.error) job.reject(new Error(e.data.error));
+        else job.resolve(e.data);
+      };
+      worker.onerror = e => {
+        console.warn('Parse worker failed, parsing on the main thread', e.message || e);
+        worker = false;
+        Object.keys(workerJobs).forEach(id => { workerJobs[id].reject(new Error('parse worker failed')); delete workerJobs[id]; });
+      };
+    } catch (err) {
+      worker = false; // no Worker support, or the page was opened from disk
+    }
+    return worker;
+  }
+
+  // post a job to the worker; null when there is no worker
+  function workerCall(msg) {
+    const w = getWorker();
+    if (!w) return null;
+    const id = ++workerSeq;
+    return new Promise((resolve, reject) => {
+      workerJobs[id] = { resolve, reject };
+      w.postMessage(Object.assign({ id }, msg));
+    });
+  }
+
+  async function parseTable(name, buf, columns) {
+    const job = workerCall({ type: 'table', name, buffer: buf, columns });
+    if (job) {
+      try { return (await job).table; }
+      catch (err) { console.warn('Worker parse failed for ' + name + ', retrying on the main thread', err); }
+    }
+    if (/\.xlsx$/i.test(name)) await ensureXLSX();
+    return buildTable(parseBuffer(name, buf), columns);
+  }
+
+  // { reachable, version } from a HEAD request; unreachable means offline (sw.js only answers GETs)
+  async function fileVersion(file) {
+    try {
+      const r = await fetch(file, { method: 'HEAD', cache: 'no-cache' });
+      return { reachable: true, version: r.ok ? (r.headers.get('ETag') || r.headers.get('Last-Modified')) : null };
+    } catch (err) {
+      return { reachable: false, version: null };
+    }
+  }
+
+  // parsed table for a file: this page's memo, then IndexedDB, then fetch + parse.
+  // `columns` undefined means any normalization will do (callers that only want raw rows).
+  // cachedAt is set when the data came from a cache because the network was unreachable.
+  async function loadTable(file, columns) {
+    if (isUploadFile(file)) return loadUploadTable(file, columns);
+    const sig = columns === undefined ? null : JSON.stringify(columns || {});
+    const { reachable, version } = await fileVersion(file);
+    const fresh = entry => entry && (!reachable || (version && entry.version === version));
+    const usable = entry => fresh(entry) && (sig == null || entry.sig === sig);
+
+    if (usable(memo[file])) return memo[file].table;
+
+    let table, tableSig = sig, cachedAt = null;
+    const save = () => idbRequest('readwrite', store => store.put({ file, version, sig: tableSig, storedAt: Date.now(), table }));
+    const stored = await idbRequest('readonly', store => store.get(file));
+    if (fresh(stored)) {
+      if (sig == null || stored.sig === sig) { table = stored.table; tableSig = stored.sig; }
+      else { table = buildTable(stored.table.raw, columns); if (reachable) save(); }
+      if (!reachable) cachedAt = stored.storedAt;
+    } else {
+      const r = await fetch(file);
+      if (!r.ok) throw new Error(`Failed to fetch ${file}: ${r.status}`);
+      cachedAt = window.Offline ? Offline.cachedAt(r) : null;
+      if (tableSig == null) tableSig = '{}';
+      table = await parseTable(file, await r.arrayBuffer(), JSON.parse(tableSig));
+      save();
+    }
+    table = Object.assign({}, table, { cachedAt });
+    memo[file] = { version, sig: tableSig, table };
+    return table;
+  }
+
+  // ---------- user uploads ----------
+  // stored in this browser's IndexedDB only: { key, name, fileName, columns, breakdowns, raw, uploadedAt };
+  // they show up in the manifest with file "upload:<key>"
+  const UPLOAD_PREFIX = 'upload:';
+
+  function isUploadFile(file) { return String(file).startsWith(UPLOAD_PREFIX); }
+
+  function uploadEntry(u) {
+    return {
+      key: u.key,
+      name: u.name,
+      file: UPLOAD_PREFIX + u.key,
+      units: 'cases',
+      source: { name: `Uploaded file ${u.fileName}` },
+      lastUpdated: new Date(u.uploadedAt).toISOString().slice(0, 10),
+      columns: u.columns,
+      breakdowns: u.breakdowns || [],
+      uploaded: true
+    };
+  }
+
+  async function listUploads() {
+    if (typeof indexedDB === 'undefined') return [];
+    const all = await idbRequest('readonly', store => store.getAll(), UPLOAD_STORE);
+    return (all || []).sort((a, b) => a.uploadedAt - b.uploadedAt);
+  }
+
+  // raw rows from a dropped / picked File (parsed in the worker when there is one)
+  async function parseUpload(file) {
+    const buf = await file.arrayBuffer();
+    return (await parseTable(file.name, buf, {})).raw;
+  }
+
+  // store an upload; returns its dataset key
+  async function saveUpload({ name, fileName, columns, breakdowns, raw }) {
+    if (!(await openDb())) throw new Error('This browser cannot store uploads (IndexedDB unavailable)');
+    const slug = String(name || fileName).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'data';
+    const key = `upload-${slug}-${Date.now().toString(36)}`;
+    await idbRequest('readwrite', store => store.put({ key, name: name || fileName, fileName, columns, breakdowns: breakdowns || [], raw, uploadedAt: Date.now() }), UPLOAD_STORE);
+    return key;
+  }
+
+  async function removeUpload(key) {
+    await idbRequest('readwrite', store => store.delete(key), UPLOAD_STORE);
+    delete memo[UPLOAD_PREFIX + key];
+  }
+
+  async function loadUploadTable(file, columns) {
+    const sig = columns === undefined ? null : JSON.stringify(columns || {});
+    if (memo[file] && (sig == null || memo[file].sig === sig)) return memo[file].table;
+    const u = await idbRequest('readonly', store => store.get(file.slice(UPLOAD_PREFIX.length)), UPLOAD_STORE);
+    if (!u) throw new Error('Uploaded dataset not found in this browser: ' + file.slice(UPLOAD_PREFIX.length));
+    const table = Object.assign(buildTable(u.raw, columns || u.columns), { cachedAt: null });
+    memo[file] = { version: null, sig: sig || JSON.stringify(u.columns), table };
+    return table;
+  }
+
+  // manifest entry + resolved file + normalized rows (and the raw rows they came from) for a dataset key,
+  // plus the years/states present; cachedAt is set when the file came from the offline cache
+  async function loadRows(key) {
+    const dataset = await getDataset(key);
+    const file = await pickFilenameForKey(key);
+    const { raw, rows, years, states, cachedAt } = await loadTable(file, dataset.columns || {});
+    return { dataset, file, rows, raw, years, states, cachedAt };
+  }
+
+  // usa_states.geojson, parsed in the worker when there is one; once per page
+  let geoPromise = null;
+  function loadGeo(url) {
+    if (geoPromise) return geoPromise;
+    const src = url || 'usa_states.geojson';
+    geoPromise = (async () => {
+      const job = workerCall({ type: 'json', url: src });
+      if (job) {
+        try { return (await job).json; }
+        catch (err) { console.warn('Worker failed to load ' + src + ', loading on the main thread', err); }
+      }
+      const r = await fetch(src);
+      if (!r.ok) throw new Error('Failed to load ' + src);
+      return r.json();
+    })();
+    geoPromise.catch(() => { geoPromise = null; });
+    return geoPromise;
+  }
+
+  function yearsOf(rows) {
+    return Array.from(new Set((rows || []).map(r => r.year).filter(Boolean))).sort((a, b) => a - b);
+  }
+
+  function statesOf(rows) {
+    return Array.from(new Set((rows || []).map(r => r.state).filter(Boolean))).sort();
+  }
+
+  /* state × year pivot: { pivot, aaPivot, suppressed }, each state → year → value
+     - cases of rows for the same state-year are summed; years without a number stay absent
+     - suppressed flags the state-years withheld in the source, aaPivot holds the dataset's own age-adjusted rate (if any)
+     - keyOf(row) picks the state key (default: the state name as written in the data) */
+  function pivot(rows, keyOf) {
+    const key = keyOf || (r => r.state);
+    const aaCol = Metrics.ageAdjustedColumn(rows);
+    const out = { pivot: {}, aaPivot: {}, suppressed: {} };
+    (rows || []).forEach(r => {
+      if (!r.state) return;
+      const s = key(r), y = r.year;
+      if (!out.pivot[s]) { out.pivot[s] = {}; out.aaPivot[s] = {}; out.suppressed[s] = {}; }
+      if (!y) return;
+      if (r.cases != null) out.pivot[s][y] = (out.pivot[s][y] != null ? out.pivot[s][y] : 0) + r.cases;
+      else if (r.suppressed) out.suppressed[s][y] = true;
+      if (aaCol && r[aaCol] != null && r[aaCol] !== '') out.aaPivot[s][y] = Number(r[aaCol]);
+    });
+    return out;
+  }
+
+  // "CDC AtlasPlus (updated 2025-11-04)" style citation line
+  function citation(dataset) {
+    if (!dataset) return '';
+    const src = dataset.source ? dataset.source.name : 'Unknown source';
+    return dataset.lastUpdated ? `${src} (updated ${dataset.lastUpdated})` : src;
+  }
+
+  window.Datasets = {
+    loadManifest,
+    listDatasets,
+    getDataset,
+    populateSelect,
+    parseCSV,
+    XLSX_SOURCES,
+    ensureXLSX,
+    parseBuffer,
+    buildTable,
+    pickFilenameForKey,
+    fetchRowsFromFile,
+    loadTable,
+    loadGeo,
+    listUploads,
+    parseUpload,
+    saveUpload,
+    removeUpload,
+    SUPPRESSION_MARKERS,
+    STATUS_TEXT,
+    columnCandidates: candidates,
+    parseCases,
+    normalizeRows,
+    loadRows,
+    yearsOf,
+    statesOf,
+    pivot,
+    citation
+  };
+})();
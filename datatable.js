@@ -0,0 +1,231 @@
+/* datatable.js - sortable, filterable, paged table shared by the state raw table and the map's heatmap fallback
+   - cells are written with textContent, so values from uploaded workbooks can't inject markup
+   - click a header to sort (again to reverse); empty values always sort last
+   - one filter box per column: text matches anywhere, number columns also take >, <, >=, <=, = and ranges like 10-20
+   - highlight(key) marks the rows whose rowKey matches (jumping to their page), for linking to charts
+   - exposes window.DataTable
+*/
+(function(){
+  const DEFAULT_PAGE_SIZE = 25;
+
+  const isEmpty = v => v == null || v === '' || (typeof v === 'number' && !Number.isFinite(v));
+
+  // thousands separators for counts, two decimals for rates; years and ids stay as they are
+  function formatNumber(v) {
+    if (isEmpty(v)) return '';
+    const n = Number(v);
+    if (!Number.isFinite(n)) return String(v);
+    return Number.isInteger(n) ? n.toLocaleString() : n.toLocaleString(undefined, { maximumFractionDigits: 2 });
+  }
+
+  // 'number' when every non-empty value in the column is numeric
+  function guessType(rows, key) {
+    const vals = rows.map(r => r[key]).filter(v => !isEmpty(v));
+    return vals.length && vals.every(v => typeof v === 'number' || (typeof v === 'string' && v.trim() !== '' && Number.isFinite(Number(v)))) ? 'number' : 'text';
+  }
+
+  // filter text → predicate on one cell
+  function cellMatcher(text, col) {
+    const q = String(text || '').trim();
+    if (!q) return null;
+    if (col.type === 'number') {
+      const cmp = q.match(/^(>=|<=|>|<|=)\s*(-?[\d.,]+)$/);
+      const range = q.match(/^(-?[\d.,]+)\s*(?:-|–|\.\.)\s*(-?[\d.,]+)$/);
+      const num = s => Number(s.replace(/,/g, ''));
+      if (cmp) {
+        const x = num(cmp[2]);
+        const ops = { '>': v => v > x, '<': v => v < x, '>=': v => v >= x, '<=': v => v <= x, '=': v => v === x };
+        return (v) => !isEmpty(v) && ops[cmp[1]](Number(v));
+      }
+      if (range) {
+        const lo = num(range[1]), hi = num(range[2]);
+        return (v) => !isEmpty(v) && Number(v) >= lo && Number(v) <= hi;
+      }
+    }
+    const needle = q.toLowerCase();
+    return (v, row) => col.text(v, row).toLowerCase().includes(needle);
+  }
+
+  /* opts: {
+       columns: [{ key, label, type?: 'number'|'text', format?(v, row), cellClass?(row), cellStyle?(row), cellTitle?(row) }],
+       rows: [{...}], pageSize?: number (0 = all rows), sort?: { key, dir: 1|-1 },
+       rowKey?(row), onRowClick?(row), onRowHover?(row|null), emptyText?, className?
+     }
+     returns { highlight(key), setRows(rows), visibleRows() } */
+  function render(el, opts) {
+    if (!el) return null;
+    const columns = opts.columns.map(c => {
+      const type = c.type || guessType(opts.rows, c.key);
+      const format = c.format || (type === 'number' ? formatNumber : (v => (isEmpty(v) ? '' : String(v))));
+      return Object.assign({}, c, { type, format, text: (v, row) => String(format(v, row)) });
+    });
+    const pageSize = opts.pageSize == null ? DEFAULT_PAGE_SIZE : opts.pageSize;
+    const rowKey = opts.rowKey || (() => null);
+    let rows = opts.rows.slice();
+    let sort = opts.sort || null;
+    let page = 0;
+    let highlighted = null;
+    const filters = {};
+
+    el.innerHTML = '';
+    el.classList.add('data-table');
+    const scroller = document.createElement('div');
+    scroller.className = 'data-table-scroll';
+    const table = document.createElement('table');
+    if (opts.className) table.className = opts.className;
+    const thead = document.createElement('thead');
+    const tbody = document.createElement('tbody');
+    const pager = document.createElement('div');
+    pager.className = 'data-table-pager note';
+    table.append(thead, tbody);
+    scroller.appendChild(table);
+    el.append(scroller, pager);
+
+    // header row (sort buttons) + filter row
+    const headRow = document.createElement('tr');
+    const filterRow = document.createElement('tr');
+    filterRow.className = 'data-table-filters';
+    columns.forEach(col => {
+      const th = document.createElement('th');
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'data-table-sort';
+      btn.addEventListener('click', () => {
+        sort = sort && sort.key === col.key ? { key: col.key, dir: -sort.dir } : { key: col.key, dir: col.type === 'number' ? -1 : 1 };
+        page = 0;
+        draw();
+      });
+      th.appendChild(btn);
+      if (col.type === 'number') th.classList.add('num');
+      headRow.appendChild(th);
+
+      const fth = document.createElement('th');
+      const input = document.createElement('input');
+      input.type = 'search';
+      input.placeholder = col.type === 'number' ? 'e.g. >1000' : 'filter';
+      input.setAttribute('aria-label', `Filter ${col.label}`);
+      input.addEventListener('input', () => {
+        filters[col.key] = cellMatcher(input.value, col);
+        page = 0;
+        draw();
+      });
+      fth.appendChild(input);
+      filterRow.appendChild(fth);
+    });
+    thead.append(headRow, filterRow);
+
+    function filtered() {
+      const active = columns.filter(c => filters[c.key]);
+      let out = active.length ? rows.filter(r => active.every(c => filters[c.key](r[c.key], r))) : rows.slice();
+      if (sort) {
+        const col = columns.find(c => c.key === sort.key);
+        const val = r => (col.type === 'number' ? (isEmpty(r[col.key]) ? null : Number(r[col.key])) : (isEmpty(r[col.key]) ? null : String(r[col.key])));
+        out = out.map((r, i) => ({ r, i, v: val(r) })).sort((a, b) => {
+          if (a.v == null || b.v == null) return (a.v == null) - (b.v == null) || a.i - b.i;
+          const d = col.type === 'number' ? a.v - b.v : a.v.localeCompare(b.v, undefined, { numeric: true });
+          return d * sort.dir || a.i - b.i;
+        }).map(x => x.r);
+      }
+      return out;
+    }
+
+    function pageCount(n) { return pageSize ? Math.max(1, Math.ceil(n / pageSize)) : 1; }
+
+    function drawHeader() {
+      headRow.querySelectorAll('.data-table-sort').forEach((btn, i) => {
+        const col = columns[i];
+        const active = sort && sort.key === col.key;
+        btn.textContent = col.label + (active ? (sort.dir > 0 ? ' ▲' : ' ▼') : '');
+        btn.parentNode.setAttribute('aria-sort', active ? (sort.dir > 0 ? 'ascending' : 'descending') : 'none');
+      });
+    }
+
+    function drawPager(total) {
+      pager.innerHTML = '';
+      const pages = pageCount(total);
+      const info = document.createElement('span');
+      const from = total ? page * (pageSize || total) + 1 : 0;
+      const to = pageSize ? Math.min(total, (page + 1) * pageSize) : total;
+      info.textContent = `${from.toLocaleString()}–${to.toLocaleString()} of ${total.toLocaleString()} rows` + (total !== rows.length ? ` (filtered from ${rows.length.toLocaleString()})` : '');
+      if (pages > 1) {
+        const nav = (label, target, disabled) => {
+          const b = document.createElement('button');
+          b.type = 'button';
+          b.className = 'btn-light';
+          b.textContent = label;
+          b.disabled = disabled;
+          b.addEventListener('click', () => { page = target; draw(); });
+          return b;
+        };
+        const pos = document.createElement('span');
+        pos.textContent = `Page ${page + 1} of ${pages}`;
+        pager.append(nav('‹ Prev', page - 1, page === 0), pos, nav('Next ›', page + 1, page >= pages - 1));
+      }
+      pager.appendChild(info);
+    }
+
+    function draw() {
+      const list = filtered();
+      page = Math.min(page, pageCount(list.length) - 1);
+      const shown = pageSize ? list.slice(page * pageSize, (page + 1) * pageSize) : list;
+      drawHeader();
+      tbody.innerHTML = '';
+      if (!shown.length) {
+        const tr = document.createElement('tr');
+        const td = document.createElement('td');
+        td.colSpan = columns.length;
+        td.className = 'note';
+        td.textContent = rows.length ? 'No rows match the filters.' : (opts.emptyText || 'No data');
+        tr.appendChild(td);
+        tbody.appendChild(tr);
+      }
+      shown.forEach(row => {
+        const tr = document.createElement('tr');
+        const key = rowKey(row);
+        if (key != null && String(key) === String(highlighted)) tr.classList.add('highlight');
+        columns.forEach(col => {
+          const td = document.createElement('td');
+          td.textContent = col.text(row[col.key], row);
+          if (col.type === 'number') td.classList.add('num');
+          const cls = col.cellClass && col.cellClass(row);
+          if (cls) td.className += ' ' + cls;
+          const style = col.cellStyle && col.cellStyle(row);
+          if (style) Object.assign(td.style, style);
+          const title = col.cellTitle && col.cellTitle(row);
+          if (title) td.title = title;
+          tr.appendChild(td);
+        });
+        if (opts.onRowClick) { tr.classList.add('clickable'); tr.addEventListener('click', () => opts.onRowClick(row)); }
+        if (opts.onRowHover) {
+          tr.addEventListener('mouseenter', () => opts.onRowHover(row));
+          tr.addEventListener('mouseleave', () => opts.onRowHover(null));
+        }
+        tbody.appendChild(tr);
+      });
+      drawPager(list.length);
+    }
+
+    draw();
+
+    return {
+      // mark the rows with this key (null clears); turns to the page of the first one
+      highlight(key) {
+        if (String(key) === String(highlighted)) return;
+        highlighted = key;
+        if (key != null && pageSize) {
+          const idx = filtered().findIndex(r => String(rowKey(r)) === String(key));
+          if (idx >= 0) page = Math.floor(idx / pageSize);
+        }
+        draw();
+      },
+      setRows(next) { rows = next.slice(); draw(); },
+      // every row that passes the filters, in display order
+      visibleRows: filtered
+    };
+  }
+
+  window.DataTable = {
+    formatNumber,
+    render
+  };
+})();
@@ -0,0 +1,629 @@
+/* exporter.js - print-quality exports for briefings
+   - PNG of any Chart.js chart, re-rendered at PRINT_SCALE device pixels (≈300 dpi at on-screen size)
+   - SVG of a chart: a copy of the chart is drawn into svgContext(), a stand-in for the canvas 2D context
+     that writes paths and text as SVG elements, so the file stays vector and editable
+   - composeMapSvg(): Leaflet's overlay svg + insets + legend + title as one standalone SVG
+   - reportPDF(): multi-page PDF (jsPDF, vendor/jspdf.umd.min.js) from text / image / table sections
+   - addButtons() / addChartButtons(): "PNG · SVG" buttons next to card titles; failures go to reportError() unless the page passes onError
+   - tables (the numbers behind a view) as CSV / JSON / XLSX with a metadata block; addDataMenu() lists them
+   - exposes window.Exporter
+*/
+(function(){
+  const PRINT_SCALE = 3;
+  const TITLE_H = 30;
+  const FONT = 'Arial, sans-serif';
+
+  const isDark = () => document.documentElement.getAttribute('data-theme') === 'dark';
+  const background = () => (isDark() ? '#111827' : '#ffffff');
+  const foreground = () => (isDark() ? '#e5e7eb' : '#111827');
+
+  // the suppressed-value hatch (ColorScale.svgHatch) for standalone SVG files
+  const HATCH_DEFS = () => `<pattern id="hatch-suppressed" patternUnits="userSpaceOnUse" width="6" height="6" patternTransform="rotate(45)"><rect width="6" height="6" fill="${ColorScale.NO_DATA_COLOR}"/><line x1="0" y1="0" x2="0" y2="6" stroke="${ColorScale.SUPPRESSED_COLOR}" stroke-width="3"/></pattern>`;
+
+  function escapeXml(v) {
+    return String(v == null ? '' : v).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+  }
+
+  function fileSlug(s) {
+    return String(s || 'export').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'export';
+  }
+
+  function download(href, filename) {
+    const a = document.createElement('a');
+    a.href = href;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+  }
+
+  function downloadBlob(blob, filename) {
+    const u = URL.createObjectURL(blob);
+    download(u, filename);
+    setTimeout(() => URL.revokeObjectURL(u), 1000);
+  }
+
+  // ---------- charts ----------
+  // the chart redrawn at PRINT_SCALE onto a canvas with a background and optional title strip
+  function chartCanvas(chart, title) {
+    const prev = chart.options.devicePixelRatio;
+    chart.options.devicePixelRatio = PRINT_SCALE;
+    chart.resize();
+    try {
+      const src = chart.canvas;
+      const titleH = title ? TITLE_H * PRINT_SCALE : 0;
+      const out = document.createElement('canvas');
+      out.width = src.width;
+      out.height = src.height + titleH;
+      const ctx = out.getContext('2d');
+      ctx.fillStyle = background();
+      ctx.fillRect(0, 0, out.width, out.height);
+      if (title) {
+        ctx.fillStyle = foreground();
+        ctx.font = `600 ${14 * PRINT_SCALE}px ${FONT}`;
+        ctx.textBaseline = 'middle';
+        ctx.fillText(title, 8 * PRINT_SCALE, titleH / 2);
+      }
+      ctx.drawImage(src, 0, titleH);
+      return out;
+    } finally {
+      chart.options.devicePixelRatio = prev;
+      chart.resize();
+    }
+  }
+
+  function chartPNG(chart, title) {
+    return chartCanvas(chart, title).toDataURL('image/png');
+  }
+
+  // ---------- charts as SVG ----------
+  const PATH_OPS = ['moveTo', 'lineTo', 'bezierCurveTo', 'quadraticCurveTo', 'arc', 'ellipse', 'rect', 'closePath'];
+  const BASELINES = { top: 'text-before-edge', hanging: 'hanging', middle: 'central', alphabetic: 'alphabetic', ideographic: 'ideographic', bottom: 'text-after-edge' };
+  const ANCHORS = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' };
+
+  const TAU = Math.PI * 2;
+  const num = v => +v.toFixed(2);
+  const applyMatrix = (m, x, y) => [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+  const multiply = (m, n) => [
+    m[0] * n[0] + m[2] * n[1], m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3], m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4], m[1] * n[4] + m[3] * n[5] + m[5]
+  ];
+
+  // signed angle an arc turns through, as the canvas spec reads (startAngle, endAngle, counterclockwise)
+  function sweepOf(a0, a1, ccw) {
+    if (!ccw) return a1 - a0 >= TAU ? TAU : (((a1 - a0) % TAU) + TAU) % TAU;
+    return a0 - a1 >= TAU ? -TAU : -((((a0 - a1) % TAU) + TAU) % TAU);
+  }
+
+  // "rgba(r,g,b,a)" / "#rrggbbaa" → { color, alpha } (SVG 1.1 readers don't all take alpha in the color)
+  function splitAlpha(c) {
+    const s = String(c).trim();
+    if (s === 'transparent') return { color: 'none', alpha: 0 };
+    let m = s.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+)(%?))?\s*\)$/i);
+    if (m) return { color: `rgb(${m[1]},${m[2]},${m[3]})`, alpha: m[4] == null ? 1 : Number(m[4]) / (m[5] ? 100 : 1) };
+    m = s.match(/^#([0-9a-f]{6})([0-9a-f]{2})$/i);
+    if (m) return { color: '#' + m[1], alpha: parseInt(m[2], 16) / 255 };
+    return { color: s, alpha: 1 };
+  }
+
+  // Path2D stand-in: records the calls so a context can replay them (Chart.js caches line outlines in a Path2D)
+  function RecordedPath() { this.ops = []; }
+  PATH_OPS.forEach(op => { RecordedPath.prototype[op] = function(...args) { this.ops.push([op, args]); }; });
+
+  /* A CanvasRenderingContext2D look-alike that turns what is drawn into SVG markup.
+     Covers what Chart.js and the plugins here use: paths, arcs, rects, text, clipping, transforms, dashes,
+     alpha and gradients; pattern fills (suppressed bars and cells) become the hatch from HATCH_DEFS.
+     markup() / defs() return what was drawn, in canvas pixels. */
+  function svgContext(canvas) {
+    const measurer = document.createElement('canvas').getContext('2d');
+    const out = [], defs = [];
+    let ids = 0;
+    let path = '', pen = null, start = null; // current path data (already transformed), current point, subpath start
+    let state = {
+      m: [1, 0, 0, 1, 0, 0], fillStyle: '#000000', strokeStyle: '#000000', lineWidth: 1, lineCap: 'butt', lineJoin: 'miter',
+      miterLimit: 10, font: '10px sans-serif', textAlign: 'start', textBaseline: 'alphabetic', globalAlpha: 1,
+      lineDashOffset: 0, dash: [], groups: 0
+    };
+    const stack = [];
+
+    const scaleOf = () => Math.sqrt(Math.abs(state.m[0] * state.m[3] - state.m[1] * state.m[2]));
+    const point = (x, y) => applyMatrix(state.m, x, y);
+    const xy = p => `${num(p[0])},${num(p[1])}`;
+    function to(x, y, move) {
+      const p = point(x, y);
+      path += (move || !pen ? 'M' : 'L') + xy(p);
+      pen = p;
+      if (move || !start) start = p;
+    }
+
+    function gradient(tag, attrs) {
+      const g = { id: `g${++ids}`, stops: [], used: false };
+      g.addColorStop = (offset, color) => g.stops.push([offset, splitAlpha(color)]);
+      g.def = () => `<${tag} id="${g.id}" gradientUnits="userSpaceOnUse" ${attrs}>`
+        + g.stops.map(([o, c]) => `<stop offset="${o}" stop-color="${escapeXml(c.color)}" stop-opacity="${c.alpha}"/>`).join('') + `</${tag}>`;
+      return g;
+    }
+
+    function paintAttr(prop, style) {
+      if (style && typeof style === 'object') {
+        if (!style.def) return `${prop}="url(#hatch-suppressed)"`; // a CanvasPattern: only the hatch is drawn with one
+        if (!style.used) { defs.push(style.def()); style.used = true; }
+        return `${prop}="url(#${style.id})"` + (state.globalAlpha < 1 ? ` ${prop}-opacity="${state.globalAlpha}"` : '');
+      }
+      const c = splitAlpha(style), alpha = c.alpha * state.globalAlpha;
+      if (!alpha) return `${prop}="none"`;
+      return `${prop}="${escapeXml(c.color)}"` + (alpha < 1 ? ` ${prop}-opacity="${num(alpha * 100) / 100}"` : '');
+    }
+    function strokeAttrs() {
+      const k = scaleOf();
+      let a = ` ${paintAttr('stroke', state.strokeStyle)} stroke-width="${num(state.lineWidth * k)}"`;
+      if (state.lineCap !== 'butt') a += ` stroke-linecap="${state.lineCap}"`;
+      if (state.lineJoin !== 'miter') a += ` stroke-linejoin="${state.lineJoin}"`;
+      if (state.dash.length) a += ` stroke-dasharray="${state.dash.map(v => num(v * k)).join(' ')}" stroke-dashoffset="${num(state.lineDashOffset * k)}"`;
+      return a;
+    }
+    // run `draw` on a path of its own (fillRect, or a Path2D passed to fill / stroke / clip)
+    function withPath(build, draw) {
+      const saved = [path, pen, start];
+      path = ''; pen = null; start = null;
+      build();
+      try { draw(); } finally { [path, pen, start] = saved; }
+    }
+    function replay(recorded) {
+      if (recorded instanceof RecordedPath) recorded.ops.forEach(([op, args]) => ctx[op](...args));
+    }
+    function paintFill(rule) {
+      if (path) out.push(`<path d="${path}" ${paintAttr('fill', state.fillStyle)}${rule === 'evenodd' ? ' fill-rule="evenodd"' : ''}/>`);
+    }
+    function paintStroke() {
+      if (path) out.push(`<path d="${path}" fill="none"${strokeAttrs()}/>`);
+    }
+    function text(t, x, y, attrs) {
+      const m = state.m.map(num).join(' ');
+      out.push(`<text transform="matrix(${m})" x="${num(x)}" y="${num(y)}" text-anchor="${ANCHORS[state.textAlign] || 'start'}" `
+        + `dominant-baseline="${BASELINES[state.textBaseline] || 'alphabetic'}" style="font:${escapeXml(state.font)}" ${attrs}>${escapeXml(t)}</text>`);
+    }
+
+    const ctx = {
+      canvas,
+      Path2D: RecordedPath,
+      save() { stack.push(state); state = Object.assign({}, state, { m: state.m.slice(), dash: state.dash.slice(), groups: 0 }); },
+      restore() {
+        out.push('</g>'.repeat(state.groups));
+        if (stack.length) state = stack.pop();
+      },
+      translate(x, y) { state.m = multiply(state.m, [1, 0, 0, 1, x, y]); },
+      scale(x, y) { state.m = multiply(state.m, [x, 0, 0, y, 0, 0]); },
+      rotate(a) { state.m = multiply(state.m, [Math.cos(a), Math.sin(a), -Math.sin(a), Math.cos(a), 0, 0]); },
+      transform(a, b, c, d, e, f) { state.m = multiply(state.m, [a, b, c, d, e, f]); },
+      setTransform(a, b, c, d, e, f) { state.m = typeof a === 'object' ? [a.a, a.b, a.c, a.d, a.e, a.f] : [a, b, c, d, e, f]; },
+      resetTransform() { state.m = [1, 0, 0, 1, 0, 0]; },
+      getTransform() { const [a, b, c, d, e, f] = state.m; return { a, b, c, d, e, f }; },
+      setLineDash(segments) { state.dash = (segments || []).slice(); },
+      getLineDash() { return state.dash.slice(); },
+
+      beginPath() { path = ''; pen = null; start = null; },
+      moveTo(x, y) { to(x, y, true); },
+      lineTo(x, y) { to(x, y); },
+      closePath() { if (path) { path += 'Z'; pen = start; } },
+      bezierCurveTo(x1, y1, x2, y2, x, y) {
+        if (!pen) to(x1, y1, true);
+        const p = point(x, y);
+        path += `C${xy(point(x1, y1))} ${xy(point(x2, y2))} ${xy(p)}`;
+        pen = p;
+      },
+      quadraticCurveTo(x1, y1, x, y) {
+        if (!pen) to(x1, y1, true);
+        const p = point(x, y);
+        path += `Q${xy(point(x1, y1))} ${xy(p)}`;
+        pen = p;
+      },
+      rect(x, y, w, h) { to(x, y, true); to(x + w, y); to(x + w, y + h); to(x, y + h); ctx.closePath(); },
+      // drawn as arcs of at most a quarter turn, so every SVG arc command is unambiguous
+      arc(x, y, r, a0, a1, ccw) {
+        const delta = sweepOf(a0, a1, ccw);
+        to(x + r * Math.cos(a0), y + r * Math.sin(a0));
+        if (!r || !delta) return;
+        const det = state.m[0] * state.m[3] - state.m[1] * state.m[2];
+        const sweep = (delta > 0) === (det > 0) ? 1 : 0;
+        const rr = num(r * scaleOf());
+        const n = Math.ceil(Math.abs(delta) / (Math.PI / 2) - 1e-9);
+        for (let i = 1; i <= n; i++) {
+          const a = a0 + delta * i / n;
+          const p = point(x + r * Math.cos(a), y + r * Math.sin(a));
+          path += `A${rr},${rr} 0 0 ${sweep} ${xy(p)}`;
+          pen = p;
+        }
+      },
+      ellipse(x, y, rx, ry, rotation, a0, a1, ccw) {
+        const delta = sweepOf(a0, a1, ccw);
+        const n = Math.max(4, Math.ceil(Math.abs(delta) / TAU * 48));
+        const cos = Math.cos(rotation), sin = Math.sin(rotation);
+        for (let i = 0; i <= n; i++) {
+          const t = a0 + delta * i / n, ex = rx * Math.cos(t), ey = ry * Math.sin(t);
+          to(x + ex * cos - ey * sin, y + ex * sin + ey * cos);
+        }
+      },
+
+      fill(a, b) {
+        if (a instanceof RecordedPath) return withPath(() => replay(a), () => paintFill(b));
+        paintFill(a);
+      },
+      stroke(recorded) {
+        if (recorded instanceof RecordedPath) return withPath(() => replay(recorded), paintStroke);
+        paintStroke();
+      },
+      clip(a, b) {
+        const rule = a instanceof RecordedPath ? b : a;
+        const add = () => {
+          if (!path) return;
+          const id = `c${++ids}`;
+          defs.push(`<clipPath id="${id}"><path d="${path}"${rule === 'evenodd' ? ' clip-rule="evenodd"' : ''}/></clipPath>`);
+          out.push(`<g clip-path="url(#${id})">`);
+          state.groups++;
+        };
+        if (a instanceof RecordedPath) withPath(() => replay(a), add);
+        else add();
+      },
+      fillRect(x, y, w, h) { withPath(() => ctx.rect(x, y, w, h), () => paintFill()); },
+      strokeRect(x, y, w, h) { withPath(() => ctx.rect(x, y, w, h), paintStroke); },
+      clearRect() { /* the SVG starts empty */ },
+
+      fillText(t, x, y) { text(t, x, y, paintAttr('fill', state.fillStyle)); },
+      strokeText(t, x, y) { text(t, x, y, `fill="none"${strokeAttrs()}`); },
+      measureText(t) { measurer.font = state.font; return measurer.measureText(t); },
+      drawImage(img, ...args) {
+        const [x, y, w, h] = args.length >= 8 ? args.slice(4) : args;
+        const href = img.toDataURL ? img.toDataURL('image/png') : img.src;
+        if (!href) return;
+        out.push(`<image transform="matrix(${state.m.map(num).join(' ')})" x="${num(x)}" y="${num(y)}" width="${num(w != null ? w : img.width)}" height="${num(h != null ? h : img.height)}" href="${escapeXml(href)}"/>`);
+      },
+      createLinearGradient(x0, y0, x1, y1) {
+        const p = point(x0, y0), q = point(x1, y1);
+        return gradient('linearGradient', `x1="${num(p[0])}" y1="${num(p[1])}" x2="${num(q[0])}" y2="${num(q[1])}"`);
+      },
+      createRadialGradient(x0, y0, r0, x1, y1, r1) {
+        const p = point(x0, y0), q = point(x1, y1), k = scaleOf();
+        return gradient('radialGradient', `fx="${num(p[0])}" fy="${num(p[1])}" cx="${num(q[0])}" cy="${num(q[1])}" r="${num(r1 * k)}"`);
+      },
+      // a real pattern, so one cached by ColorScale.canvasHatch still works on the page's own charts
+      createPattern(img, repetition) { return measurer.createPattern(img, repetition); },
+
+      markup() { return out.join('') + '</g>'.repeat(stack.reduce((n, s) => n + s.groups, state.groups)); },
+      defs() { return defs.join(''); }
+    };
+    ['fillStyle', 'strokeStyle', 'lineWidth', 'lineCap', 'lineJoin', 'miterLimit', 'font', 'textAlign', 'textBaseline', 'globalAlpha', 'lineDashOffset'].forEach(k => {
+      Object.defineProperty(ctx, k, { get: () => state[k], set: v => { state[k] = v; } });
+    });
+    return ctx;
+  }
+
+  /* SVG of a chart in CSS pixels: a copy of it (same type, data, options and inline plugins, no animation)
+     is drawn into svgContext(); datasets hidden from the legend stay hidden */
+  function chartSVG(chart, title) {
+    const w = Math.round(chart.width), chartH = Math.round(chart.height);
+    const titleH = title ? TITLE_H : 0, h = chartH + titleH;
+    const canvas = document.createElement('canvas');
+    canvas.width = w;
+    canvas.height = chartH;
+    const ctx = svgContext(canvas);
+    canvas.getContext = () => ctx;
+
+    const cfg = chart.config;
+    const data = {
+      labels: (cfg.data.labels || []).slice(),
+      datasets: cfg.data.datasets.map((ds, i) => Object.assign({}, ds, { data: (ds.data || []).slice(), hidden: !chart.isDatasetVisible(i) }))
+    };
+    const options = Object.assign({}, cfg.options, { animation: false, responsive: false, maintainAspectRatio: false, devicePixelRatio: 1, events: [] });
+    const nativePath2D = window.Path2D;
+    window.Path2D = ctx.Path2D;
+    let copy = null;
+    try {
+      copy = new Chart(canvas, { type: cfg.type, data, options, plugins: cfg.plugins || [] });
+    } finally {
+      window.Path2D = nativePath2D;
+      if (copy) copy.destroy();
+    }
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}" font-family="${FONT}">`
+      + `<defs>${HATCH_DEFS()}${ctx.defs()}</defs>`
+      + `<rect width="${w}" height="${h}" fill="${background()}"/>`
+      + (title ? `<text x="8" y="${TITLE_H / 2}" dominant-baseline="central" font-size="14" font-weight="600" fill="${foreground()}">${escapeXml(title)}</text>` : '')
+      + `<g transform="translate(0 ${titleH})">${ctx.markup()}</g></svg>`;
+  }
+
+  // ---------- map ----------
+  function svgSize(svg) {
+    const vb = (svg.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+    return {
+      w: Number(svg.getAttribute('width')) || vb[2] || svg.clientWidth || 600,
+      h: Number(svg.getAttribute('height')) || vb[3] || svg.clientHeight || 400
+    };
+  }
+
+  // nested copy of an svg element at (x, y), keeping its own viewBox
+  function placed(svg, x, y) {
+    const clone = svg.cloneNode(true);
+    const { w, h } = svgSize(svg);
+    clone.setAttribute('x', x);
+    clone.setAttribute('y', y);
+    clone.setAttribute('width', w);
+    clone.setAttribute('height', h);
+    clone.removeAttribute('style');
+    clone.removeAttribute('class');
+    return { markup: new XMLSerializer().serializeToString(clone), w, h };
+  }
+
+  /* standalone SVG of a map.
+     opts: { title, map: svg element, insets: [{ svg, label }], legend: { scale, title, format, note } }
+     returns { svg: markup, width, height } */
+  function composeMapSvg(opts) {
+    const main = placed(opts.map, 0, TITLE_H);
+    const width = Math.max(main.w, 360);
+    let y = TITLE_H + main.h + 8;
+    const parts = [];
+
+    // insets in a row (wrapping) under the main map
+    let x = 8, rowH = 0;
+    (opts.insets || []).forEach(ins => {
+      const p = placed(ins.svg, 0, 0);
+      if (x + p.w > width && x > 8) { x = 8; y += rowH + 16; rowH = 0; }
+      const q = placed(ins.svg, x, y);
+      parts.push(q.markup, `<text x="${x + q.w / 2}" y="${y + q.h + 11}" text-anchor="middle" font-size="10" font-weight="700">${escapeXml(ins.label)}</text>`);
+      x += q.w + 8;
+      rowH = Math.max(rowH, q.h);
+    });
+    if (rowH) y += rowH + 22;
+
+    // legend: swatch + range per class, then no data / suppressed
+    const lg = opts.legend;
+    if (lg && lg.scale) {
+      const fmt = lg.format || (v => String(v));
+      if (lg.title) { parts.push(`<text x="8" y="${y + 12}" font-size="12" font-weight="700">${escapeXml(lg.title)}</text>`); y += 20; }
+      const items = lg.scale.colors.map((c, i) => {
+        const a = lg.scale.breaks[i], b = lg.scale.breaks[i + 1];
+        return { fill: c, text: a === b ? fmt(a) : `${fmt(a)} – ${fmt(b)}` };
+      });
+      items.push({ fill: lg.scale.noDataColor, text: 'No data' }, { fill: ColorScale.svgHatch(null), text: 'Suppressed' });
+      const colW = 170, perRow = Math.max(1, Math.floor((width - 8) / colW));
+      items.forEach((it, i) => {
+        const ix = 8 + (i % perRow) * colW, iy = y + Math.floor(i / perRow) * 20;
+        parts.push(`<rect x="${ix}" y="${iy}" width="14" height="14" fill="${it.fill}" stroke="#9ca3af" stroke-width="0.5"/>`,
+          `<text x="${ix + 20}" y="${iy + 11}" font-size="11">${escapeXml(it.text)}</text>`);
+      });
+      y += Math.ceil(items.length / perRow) * 20;
+      if (lg.note) { parts.push(`<text x="8" y="${y + 12}" font-size="10">${escapeXml(lg.note)}</text>`); y += 18; }
+    }
+    const height = y + 8;
+    // the hatch pattern has to live in this document too
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT}" fill="${foreground()}">`
+      + `<defs>${HATCH_DEFS()}</defs>`
+      + `<rect width="${width}" height="${height}" fill="${background()}"/>`
+      + `<text x="8" y="20" font-size="15" font-weight="700">${escapeXml(opts.title || '')}</text>`
+      + main.markup + parts.join('') + '</svg>';
+    return { svg, width, height };
+  }
+
+  // rasterize SVG markup at PRINT_SCALE; resolves a PNG data URL
+  function svgToPNG(svg, width, height) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => {
+        const c = document.createElement('canvas');
+        c.width = Math.round(width * PRINT_SCALE);
+        c.height = Math.round(height * PRINT_SCALE);
+        const ctx = c.getContext('2d');
+        ctx.drawImage(img, 0, 0, c.width, c.height);
+        resolve(c.toDataURL('image/png'));
+      };
+      img.onerror = () => reject(new Error('Could not render the SVG to an image'));
+      img.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+    });
+  }
+
+  // ---------- buttons ----------
+  let errorTimer = null;
+  // default for onError: the page's #app-status line (styled in style.css), or the console on pages without one
+  function reportError(message) {
+    console.warn(message);
+    const el = document.getElementById('app-status');
+    if (!el) return;
+    el.style.display = 'block'; // shown before the text changes, so screen readers pick the update up
+    el.className = 'error';
+    el.textContent = message;
+    clearTimeout(errorTimer);
+    errorTimer = setTimeout(() => { el.style.display = 'none'; }, 5000);
+  }
+
+  // "PNG · SVG" (or any other formats in `handlers`) next to a title element
+  function addButtons(titleEl, handlers, onError) {
+    if (!titleEl || titleEl.querySelector('.export-buttons')) return;
+    const wrap = document.createElement('span');
+    wrap.className = 'export-buttons';
+    Object.keys(handlers).forEach(fmt => {
+      const b = document.createElement('button');
+      b.className = 'btn-light';
+      b.textContent = fmt.toUpperCase();
+      b.title = `Download as ${fmt.toUpperCase()}`;
+      b.addEventListener('click', async () => {
+        b.disabled = true;
+        try { await handlers[fmt](); }
+        catch (err) { (onError || reportError)('Export failed: ' + (err.message || err)); }
+        finally { b.disabled = false; }
+      });
+      wrap.appendChild(b);
+    });
+    titleEl.appendChild(wrap);
+  }
+
+  function cardTitle(el) {
+    const card = el.closest('.card');
+    return card ? card.querySelector('.section-title, .chart-title') : null;
+  }
+
+  // PNG/SVG buttons for every chart canvas inside `root`; the chart (and filePrefix, if a function) is looked up at click time
+  function addChartButtons(root, filePrefix, onError) {
+    (root || document).querySelectorAll('.card canvas').forEach(canvas => {
+      const titleEl = cardTitle(canvas);
+      if (!titleEl) return;
+      const title = () => titleEl.firstChild ? titleEl.firstChild.textContent.trim() : '';
+      const chart = () => {
+        const c = Chart.getChart(canvas);
+        if (!c) throw new Error('this chart is not drawn');
+        return c;
+      };
+      const name = ext => `${fileSlug(typeof filePrefix === 'function' ? filePrefix() : filePrefix)}-${fileSlug(title())}.${ext}`;
+      addButtons(titleEl, {
+        png: () => download(chartPNG(chart(), title()), name('png')),
+        svg: () => downloadBlob(new Blob([chartSVG(chart(), title())], { type: 'image/svg+xml' }), name('svg'))
+      }, onError);
+    });
+  }
+
+  // ---------- PDF ----------
+  /* sections: { type: 'heading' | 'text', text } | { type: 'image', src, width, height, caption }
+               | { type: 'table', head: [...], rows: [[...]] }
+     width/height of images are only used for the aspect ratio */
+  function reportPDF(sections, filename) {
+    if (!window.jspdf || !window.jspdf.jsPDF) throw new Error('PDF library not loaded');
+    const doc = new window.jspdf.jsPDF({ unit: 'pt', format: 'letter' });
+    const pageW = doc.internal.pageSize.getWidth(), pageH = doc.internal.pageSize.getHeight();
+    const margin = 40, usable = pageW - 2 * margin;
+    let y = margin;
+    const ensure = h => { if (y + h > pageH - margin) { doc.addPage(); y = margin; } };
+
+    sections.forEach(sec => {
+      if (sec.type === 'heading' || sec.type === 'text') {
+        const size = sec.type === 'heading' ? 16 : 10;
+        doc.setFont('helvetica', sec.type === 'heading' ? 'bold' : 'normal');
+        doc.setFontSize(size);
+        doc.splitTextToSize(String(sec.text || ''), usable).forEach(line => {
+          ensure(size * 1.35);
+          doc.text(line, margin, y + size);
+          y += size * 1.35;
+        });
+        y += 6;
+      } else if (sec.type === 'image') {
+        const w = usable, h = usable * (sec.height / sec.width);
+        const maxH = pageH - 2 * margin - 20;
+        const scale = h > maxH ? maxH / h : 1;
+        ensure(h * scale + (sec.caption ? 16 : 0));
+        doc.addImage(sec.src, 'PNG', margin, y, w * scale, h * scale);
+        y += h * scale + 4;
+        if (sec.caption) { doc.setFontSize(8); doc.text(String(sec.caption), margin, y + 8); y += 14; }
+        y += 8;
+      } else if (sec.type === 'table') {
+        const cols = sec.head.length || 1, colW = usable / cols, rowH = 12;
+        const row = (cells, bold) => {
+          ensure(rowH);
+          doc.setFont('helvetica', bold ? 'bold' : 'normal');
+          doc.setFontSize(8);
+          cells.forEach((c, i) => doc.text(doc.splitTextToSize(String(c == null ? '' : c), colW - 4)[0] || '', margin + i * colW, y + 9));
+          y += rowH;
+        };
+        row(sec.head, true);
+        sec.rows.forEach(r => {
+          if (y + rowH > pageH - margin) { doc.addPage(); y = margin; row(sec.head, true); }
+          row(r, false);
+        });
+        y += 10;
+      }
+    });
+    doc.save(filename);
+  }
+
+  // ---------- data tables ----------
+  /* table: { name, meta: { disease, year, metric, sourceFile, ... }, columns: [...], rows: [[...]] }
+     null cells are blank in CSV / XLSX and null in JSON; the export time is added to meta here */
+  const META_LABELS = { disease: 'Disease', state: 'State', region: 'Region', grouping: 'Grouping', year: 'Year', metric: 'Metric', view: 'View', sourceFile: 'Source file', source: 'Source', exportedAt: 'Exported' };
+  const metaLabel = k => META_LABELS[k] || k;
+
+  function withTimestamp(table) {
+    return Object.assign({}, table, { meta: Object.assign({}, table.meta, { exportedAt: new Date().toISOString() }) });
+  }
+
+  function csvCell(v) {
+    if (v == null) return '';
+    const str = String(v);
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+
+  // metadata as leading "# Label: value" lines, then the header row
+  function tableCSV(table) {
+    const lines = Object.keys(table.meta).filter(k => table.meta[k] != null).map(k => `# ${metaLabel(k)}: ${table.meta[k]}`);
+    lines.push(table.columns.map(csvCell).join(','));
+    table.rows.forEach(r => lines.push(r.map(csvCell).join(',')));
+    return lines.join('\n');
+  }
+
+  function tableJSON(table) {
+    const rows = table.rows.map(r => {
+      const o = {};
+      table.columns.forEach((c, i) => { o[c] = r[i] == null ? null : r[i]; });
+      return o;
+    });
+    return JSON.stringify({ metadata: table.meta, columns: table.columns, rows }, null, 2);
+  }
+
+  // "Data" sheet plus a "Metadata" sheet
+  function tableXLSX(table) {
+    if (typeof XLSX === 'undefined') throw new Error('XLSX library not loaded');
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([table.columns].concat(table.rows)), 'Data');
+    const meta = Object.keys(table.meta).filter(k => table.meta[k] != null).map(k => [metaLabel(k), String(table.meta[k])]);
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(meta), 'Metadata');
+    return XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
+  }
+
+  const TABLE_FORMATS = {
+    csv: { type: 'text/csv;charset=utf-8', build: tableCSV },
+    json: { type: 'application/json', build: tableJSON },
+    xlsx: { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', build: tableXLSX }
+  };
+
+  function downloadTable(table, fmt) {
+    const t = withTimestamp(table);
+    const f = TABLE_FORMATS[fmt];
+    downloadBlob(new Blob([f.build(t)], { type: f.type }), `${fileSlug(t.name)}.${fmt}`);
+  }
+
+  /* "Export data" list inside a <details> menu: one row per view with CSV / JSON / XLSX buttons.
+     views: [{ label, table: () => table }]; tables are built at click time from what is on screen */
+  function addDataMenu(menuEl, views, onError) {
+    const panel = menuEl && menuEl.querySelector('.export-menu-panel');
+    if (!panel) return;
+    panel.innerHTML = '';
+    views.forEach(v => {
+      const row = document.createElement('div');
+      row.className = 'export-menu-row';
+      const label = document.createElement('span');
+      label.textContent = v.label;
+      row.appendChild(label);
+      const handlers = {};
+      Object.keys(TABLE_FORMATS).forEach(fmt => { handlers[fmt] = () => downloadTable(v.table(), fmt); });
+      addButtons(row, handlers, onError);
+      panel.appendChild(row);
+    });
+  }
+
+  window.Exporter = {
+    PRINT_SCALE,
+    fileSlug,
+    download,
+    downloadBlob,
+    chartPNG,
+    chartSVG,
+    composeMapSvg,
+    svgToPNG,
+    addButtons,
+    addChartButtons,
+    reportError,
+    reportPDF,
+    tableCSV,
+    tableJSON,
+    tableXLSX,
+    downloadTable,
+    addDataMenu
+  };
+})();
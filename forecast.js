@@ -0,0 +1,229 @@
+/* forecast.js - short-horizon trend forecasts for yearly series
+   - models: linear trend, log-linear (constant growth rate), Holt exponential smoothing
+   - 95% prediction intervals, holdout fit statistics (MAE, R²)
+   - chart helpers so state.js and map.js draw the projection the same way
+   - exposes window.Forecast
+*/
+(function(){
+  const MAX_HORIZON = 5;
+  const LEVEL = 0.95;
+  const Z = 1.959964; // two-sided normal quantile for LEVEL
+
+  const MODELS = {
+    linear: { label: 'Linear trend', minPoints: 3 },
+    loglinear: { label: 'Log-linear (constant growth)', minPoints: 3 },
+    holt: { label: 'Holt exponential smoothing', minPoints: 4 }
+  };
+
+  // two-sided 95% Student-t quantiles for df 1…30 (T_TABLE[df - 1])
+  const T_TABLE = [
+    12.7062, 4.3027, 3.1824, 2.7764, 2.5706, 2.4469, 2.3646, 2.3060, 2.2622, 2.2281,
+    2.2010, 2.1788, 2.1604, 2.1448, 2.1314, 2.1199, 2.1098, 2.1009, 2.0930, 2.0860,
+    2.0796, 2.0739, 2.0687, 2.0639, 2.0595, 2.0555, 2.0518, 2.0484, 2.0452, 2.0423
+  ];
+
+  // Student-t quantile for LEVEL: exact from the table up to df 30, the Cornish-Fisher expansion
+  // around Z above that (where it is within 0.001)
+  function tQuantile(df) {
+    if (!Number.isFinite(df) || df <= 0) return Z;
+    if (df <= T_TABLE.length) return T_TABLE[Math.max(1, Math.floor(df)) - 1];
+    const z3 = Z * Z * Z, z5 = z3 * Z * Z;
+    return Z + (z3 + Z) / (4 * df) + (5 * z5 + 16 * z3 + 3 * Z) / (96 * df * df);
+  }
+
+  // finite (x, y) pairs only, ordered by x
+  function cleanPairs(xs, ys) {
+    return xs.map((x, i) => ({ x: Number(x), y: ys[i] }))
+             .filter(pt => Number.isFinite(pt.x) && pt.y != null && Number.isFinite(Number(pt.y)))
+             .map(pt => ({ x: pt.x, y: Number(pt.y) }))
+             .sort((a, b) => a.x - b.x);
+  }
+
+  // ordinary least squares with the classic prediction-interval standard error
+  function ols(pts) {
+    const n = pts.length;
+    const xm = pts.reduce((s, pt) => s + pt.x, 0) / n;
+    const ym = pts.reduce((s, pt) => s + pt.y, 0) / n;
+    let sxx = 0, sxy = 0;
+    pts.forEach(pt => { sxx += (pt.x - xm) ** 2; sxy += (pt.x - xm) * (pt.y - ym); });
+    if (sxx === 0) return null;
+    const slope = sxy / sxx, intercept = ym - slope * xm;
+    const sse = pts.reduce((s, pt) => s + (pt.y - (intercept + slope * pt.x)) ** 2, 0);
+    const s = Math.sqrt(sse / Math.max(1, n - 2));
+    const t = tQuantile(n - 2);
+    return {
+      predict(x) {
+        const mean = intercept + slope * x;
+        const half = t * s * Math.sqrt(1 + 1 / n + (x - xm) ** 2 / sxx);
+        return { mean, lower: mean - half, upper: mean + half };
+      }
+    };
+  }
+
+  function fitLinear(pts) { return ols(pts); }
+
+  // linear fit on ln(y); needs strictly positive values
+  function fitLogLinear(pts) {
+    if (pts.some(pt => pt.y <= 0)) return null;
+    const fit = ols(pts.map(pt => ({ x: pt.x, y: Math.log(pt.y) })));
+    if (!fit) return null;
+    return {
+      predict(x) {
+        const p = fit.predict(x);
+        return { mean: Math.exp(p.mean), lower: Math.exp(p.lower), upper: Math.exp(p.upper) };
+      }
+    };
+  }
+
+  // one pass of Holt's linear method; returns the final level/trend and the one-step-ahead SSE
+  function holtPass(ys, alpha, beta) {
+    let level = ys[0], trend = ys[1] - ys[0], sse = 0;
+    for (let i = 1; i < ys.length; i++) {
+      const err = ys[i] - (level + trend);
+      sse += err * err;
+      const prev = level;
+      level = alpha * ys[i] + (1 - alpha) * (level + trend);
+      trend = beta * (level - prev) + (1 - beta) * trend;
+    }
+    return { level, trend, sse };
+  }
+
+  // Holt smoothing with alpha/beta picked by grid search on the one-step-ahead error
+  function fitHolt(pts) {
+    const ys = pts.map(pt => pt.y);
+    let best = null;
+    for (let a = 1; a <= 9; a++) {
+      for (let b = 1; b <= 9; b++) {
+        const run = holtPass(ys, a / 10, b / 10);
+        if (!best || run.sse < best.sse) best = Object.assign(run, { alpha: a / 10, beta: b / 10 });
+      }
+    }
+    const sigma = Math.sqrt(best.sse / Math.max(1, ys.length - 3));
+    const t = tQuantile(ys.length - 3);
+    const lastX = pts[pts.length - 1].x;
+    return {
+      predict(x) {
+        const h = Math.max(1, Math.round(x - lastX));
+        const mean = best.level + h * best.trend;
+        let v = 1;
+        for (let j = 1; j < h; j++) v += best.alpha * best.alpha * (1 + j * best.beta) ** 2;
+        const half = t * sigma * Math.sqrt(v);
+        return { mean, lower: mean - half, upper: mean + half };
+      }
+    };
+  }
+
+  const FITTERS = { linear: fitLinear, loglinear: fitLogLinear, holt: fitHolt };
+
+  // fitted model with predict(x) → { mean, lower, upper }, or null when the series can't support it
+  function fit(model, xs, ys) {
+    const pts = cleanPairs(xs, ys);
+    const spec = MODELS[model];
+    if (!spec || pts.length < spec.minPoints) return null;
+    return FITTERS[model](pts);
+  }
+
+  // the next `horizon` years after the last observed one
+  function project(model, xs, ys, horizon) {
+    const pts = cleanPairs(xs, ys);
+    const f = fit(model, xs, ys);
+    if (!f) return null;
+    const last = pts[pts.length - 1];
+    const h = Math.max(1, Math.min(MAX_HORIZON, Number(horizon) || 1));
+    const years = [], mean = [], lower = [], upper = [];
+    for (let i = 1; i <= h; i++) {
+      const p = f.predict(last.x + i);
+      years.push(last.x + i); mean.push(p.mean); lower.push(p.lower); upper.push(p.upper);
+    }
+    return { model, last, years, mean, lower, upper };
+  }
+
+  // refit without the last `holdout` points and score the predictions for them
+  function evaluate(model, xs, ys, holdout) {
+    const pts = cleanPairs(xs, ys);
+    const k = holdout || Math.max(2, Math.min(5, Math.round(pts.length * 0.2)));
+    const train = pts.slice(0, pts.length - k), test = pts.slice(pts.length - k);
+    const f = test.length ? fit(model, train.map(pt => pt.x), train.map(pt => pt.y)) : null;
+    if (!f) return null;
+    const preds = test.map(pt => f.predict(pt.x).mean);
+    const mae = test.reduce((s, pt, i) => s + Math.abs(pt.y - preds[i]), 0) / k;
+    const mean = test.reduce((s, pt) => s + pt.y, 0) / k;
+    const ssTot = test.reduce((s, pt) => s + (pt.y - mean) ** 2, 0);
+    const ssRes = test.reduce((s, pt, i) => s + (pt.y - preds[i]) ** 2, 0);
+    return { model, holdout: k, from: test[0].x, to: test[k - 1].x, mae, r2: ssTot > 0 ? 1 - ssRes / ssTot : null };
+  }
+
+  // ---------- chart helpers ----------
+  function withAlpha(hex, a) {
+    const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+    if (!m) return hex;
+    return `rgba(${parseInt(m[1], 16)},${parseInt(m[2], 16)},${parseInt(m[3], 16)},${a})`;
+  }
+
+  // existing year labels plus any forecast years past the end
+  function extendLabels(labels, fc) {
+    if (!fc) return labels.slice();
+    const have = new Set(labels.map(Number));
+    return labels.concat(fc.years.filter(y => !have.has(y)));
+  }
+
+  // band (lower + upper filled to it) and dashed mean line, aligned to `labels`; all start at the last observation
+  function chartDatasets(labels, fc, opts) {
+    if (!fc) return [];
+    const o = Object.assign({ color: '#0f6ef6', yAxisID: 'y' }, opts || {});
+    const at = (arr, first) => labels.map(l => {
+      const y = Number(l);
+      if (y === fc.last.x) return first;
+      const i = fc.years.indexOf(y);
+      return i >= 0 ? arr[i] : null;
+    });
+    const common = { pointRadius: 0, tension: 0, spanGaps: true, yAxisID: o.yAxisID, forecast: true };
+    return [
+      Object.assign({ label: `Forecast ${Math.round(LEVEL * 100)}% low`, data: at(fc.lower, fc.last.y), borderWidth: 0, fill: false }, common),
+      Object.assign({ label: `Forecast ${Math.round(LEVEL * 100)}% high`, data: at(fc.upper, fc.last.y), borderWidth: 0, backgroundColor: withAlpha(o.color, 0.15), fill: '-1' }, common),
+      Object.assign({ label: `Forecast · ${MODELS[fc.model].label}`, data: at(fc.mean, fc.last.y), borderColor: o.color, borderDash: [6, 4], backgroundColor: o.color, fill: false }, common, { pointRadius: 2 })
+    ];
+  }
+
+  // legend filter that hides the two band edges
+  function legendFilter(item, data) {
+    const ds = data.datasets[item.datasetIndex];
+    return !(ds && ds.forecast && ds.borderWidth === 0);
+  }
+
+  // "Holdout 2019–2022 (4 yrs): MAE 1,204 cases · R² 0.71"
+  function renderStats(el, stats, format) {
+    if (!el) return;
+    if (!stats) { el.textContent = 'Not enough data to score this model.'; return; }
+    const fmt = format || (v => v.toLocaleString(undefined, { maximumFractionDigits: 2 }));
+    const r2 = stats.r2 == null ? 'n/a' : stats.r2.toFixed(2);
+    el.textContent = `${MODELS[stats.model].label} · holdout ${stats.from}–${stats.to} (${stats.holdout} yrs): MAE ${fmt(stats.mae)} · R² ${r2}`;
+  }
+
+  // fill a model <select> (keeps the current choice if still valid)
+  function populateModelSelect(selectEl, selected) {
+    if (!selectEl) return;
+    selectEl.innerHTML = '';
+    Object.keys(MODELS).forEach(k => {
+      const o = document.createElement('option');
+      o.value = k;
+      o.textContent = MODELS[k].label;
+      selectEl.appendChild(o);
+    });
+    selectEl.value = MODELS[selected] ? selected : 'linear';
+  }
+
+  window.Forecast = {
+    MAX_HORIZON,
+    LEVEL,
+    MODELS,
+    fit,
+    project,
+    evaluate,
+    extendLabels,
+    chartDatasets,
+    legendFilter,
+    renderStats,
+    populateModelSelect
+  };
+})();
@@ -0,0 +1,111 @@
+/* insets.js - inset panels for the choropleth: Alaska, Hawaii, Puerto Rico drawn from usa_states.geojson,
+   plus labelled tiles for jurisdictions that have rows but no geometry (Guam, American Samoa, ...)
+   - plain SVG with an equirectangular projection (x scaled by cos(latitude)); no extra libraries
+   - styled through the caller's style() (the same Leaflet path options as the main layer) so insets share its scale
+   - exposes window.Insets
+*/
+(function(){
+  const NS = 'http://www.w3.org/2000/svg';
+
+  // shapes shown as insets when present in the geojson; keep() drops far-flung parts that would shrink the panel
+  const SHAPE_INSETS = [
+    { name: 'Alaska', width: 132, height: 84 },
+    { name: 'Hawaii', width: 96, height: 60, keep: ring => ring[0][0] > -161 }, // main islands, not the NW chain
+    { name: 'Puerto Rico', width: 78, height: 40 }
+  ];
+
+  const ABBREVIATIONS = {
+    'Alaska': 'AK', 'Hawaii': 'HI', 'Puerto Rico': 'PR', 'Guam': 'GU', 'American Samoa': 'AS',
+    'Northern Mariana Islands': 'MP', 'U.S. Virgin Islands': 'VI', 'Virgin Islands of the U.S.': 'VI', 'Palau': 'PW'
+  };
+
+  function abbreviation(name) {
+    return ABBREVIATIONS[name] || String(name).split(/\s+/).map(w => w[0]).join('').slice(0, 3).toUpperCase();
+  }
+
+  function featureByName(geo, name) {
+    return ((geo && geo.features) || []).find(f => f.properties.NAME === name) || null;
+  }
+
+  // outer rings of a (Multi)Polygon, with longitudes past the antimeridian moved west (Aleutians)
+  function ringsOf(feature, keep) {
+    const g = feature.geometry;
+    const polys = g.type === 'Polygon' ? [g.coordinates] : g.coordinates;
+    return polys.map(p => p[0].map(([lon, lat]) => [lon > 0 ? lon - 360 : lon, lat]))
+                .filter(r => !keep || keep(r));
+  }
+
+  // SVG path data fitted into width × height (with padding)
+  function pathFor(rings, width, height) {
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    rings.forEach(r => r.forEach(([x, y]) => { minX = Math.min(minX, x); maxX = Math.max(maxX, x); minY = Math.min(minY, y); maxY = Math.max(maxY, y); }));
+    const k = Math.cos((minY + maxY) / 2 * Math.PI / 180);
+    const pad = 4;
+    const scale = Math.min((width - 2 * pad) / ((maxX - minX) * k || 1), (height - 2 * pad) / ((maxY - minY) || 1));
+    const offX = (width - (maxX - minX) * k * scale) / 2, offY = (height - (maxY - minY) * scale) / 2;
+    return rings.map(r => 'M' + r.map(([x, y]) => `${((x - minX) * k * scale + offX).toFixed(1)},${((maxY - y) * scale + offY).toFixed(1)}`).join('L') + 'Z').join('');
+  }
+
+  function svgEl(tag, attrs) {
+    const el = document.createElementNS(NS, tag);
+    Object.keys(attrs || {}).forEach(k => el.setAttribute(k, attrs[k]));
+    return el;
+  }
+
+  /* Draw the inset strip into `el`.
+     opts: { geo, names: jurisdictions in the data, style(name) → { fillColor, color, weight }, tooltip(name), onClick(name, event) }
+     returns { recolor(), missing: names drawn as tiles because they have no geometry, items: [{ name, el }] for keyboard traversal } */
+  function render(el, opts) {
+    const o = Object.assign({ names: [], style: () => ({}), tooltip: n => n, onClick: null }, opts || {});
+    el.innerHTML = '';
+    el.classList.add('map-insets');
+    const geoNames = new Set(((o.geo && o.geo.features) || []).map(f => f.properties.NAME));
+    const items = []; // { name, shape, title, box }
+
+    const addItem = (name, width, height, drawShape) => {
+      const svg = svgEl('svg', { width, height, viewBox: `0 0 ${width} ${height}`, role: 'img', 'aria-label': name });
+      const shape = drawShape(svg);
+      const title = svgEl('title');
+      shape.appendChild(title);
+      shape.style.cursor = o.onClick ? 'pointer' : 'default';
+      if (o.onClick) shape.addEventListener('click', e => o.onClick(name, e));
+      const label = document.createElement('span');
+      label.className = 'map-inset-label';
+      label.textContent = abbreviation(name);
+      const box = document.createElement('div');
+      box.className = 'map-inset';
+      box.appendChild(svg);
+      box.appendChild(label);
+      el.appendChild(box);
+      if (window.ColorScale) ColorScale.svgHatch(svg);
+      items.push({ name, shape, title, box });
+    };
+
+    SHAPE_INSETS.forEach(spec => {
+      const f = featureByName(o.geo, spec.name);
+      // AK and HI always; others (Puerto Rico) only when the dataset has rows for them
+      if (!f || (spec.name === 'Puerto Rico' && !o.names.includes(spec.name))) return;
+      addItem(spec.name, spec.width, spec.height, svg => svg.appendChild(svgEl('path', { d: pathFor(ringsOf(f, spec.keep), spec.width, spec.height) })));
+    });
+
+    const missing = o.names.filter(n => !geoNames.has(n)).sort();
+    missing.forEach(name => addItem(name, 44, 30, svg => svg.appendChild(svgEl('rect', { x: 2, y: 2, width: 40, height: 26, rx: 4 }))));
+
+    function recolor() {
+      items.forEach(it => {
+        const st = o.style(it.name) || {};
+        it.shape.setAttribute('fill', st.fillColor || '#efefef');
+        it.shape.setAttribute('stroke', st.color || '#fff');
+        it.shape.setAttribute('stroke-width', st.weight || 1);
+        it.title.textContent = o.tooltip(it.name);
+      });
+    }
+    recolor();
+    return { recolor, missing, items: items.map(it => ({ name: it.name, el: it.box })) };
+  }
+
+  window.Insets = {
+    abbreviation,
+    render
+  };
+})();
@@ -1,42 +1,50 @@
 /* map.js - improved, robust, and user-friendly
-   - Adds showAppStatus helper and robust loading/parsing
+   - Adds showAppStatus helper; datasets load through the shared loader in data.js
    - Keeps existing UI flow: year dropdown, draw map, charts, heatmap fallback
 */
 
 const params = new URLSearchParams(window.location.search);
 let diseaseKey = params.get('disease') || sessionStorage.getItem('lastDisease') || 'HIV';
 let selectedYear = params.get('year') || sessionStorage.getItem('lastYear') || (new Date()).getFullYear() - 1;
-
-// mapping disease key -> filename(s) (prefer JSON if present)
-const datasetsMap = {
-  'HIV': 'HIV_data.xlsx',
-  'TB': 'TB.xlsx',
-  'Diabetes': 'Diabetes.xlsx',
-  'Hepatitis-B': 'HepatitisB.xlsx',
-  'Hepatitis-A': 'HepatitisA.xlsx',
-  'Hepatitis-C': 'HepatitisC.xlsx',
-  'Gonorrhea':'Gonorrhea.xlsx',
-  'Chlamydia':'Chlamydia.xlsx',
-  'syphilis':'syphilis.xlsx',
+let metric = params.get('metric') || sessionStorage.getItem('lastMetric') || 'cases';
+// change-between-years mode: 'off' | 'abs' | 'pct', measured from baseYear to selectedYear
+const COMPARE_MODES = ['abs', 'pct'];
+const savedCompare = params.get('compare') || sessionStorage.getItem('lastCompare');
+let compareMode = COMPARE_MODES.includes(savedCompare) ? savedCompare : 'off';
+// checked against the loaded dataset's years in syncCompareControls()
+let baseYear = parseYear(params.get('baseYear') || sessionStorage.getItem('lastBaseYear'));
+// heatmap row order: 'name' | 'latest' (value in the last year) | 'mean' (average over all years)
+const HEATMAP_SORTS = ['name', 'latest', 'mean'];
+let heatmapSort = HEATMAP_SORTS.includes(params.get('sort')) ? params.get('sort') : 'name';
+// map center/zoom from a shared link ("lat,lng,zoom"); null = default view
+let mapView = parseMapView(params.get('view'));
+// regional rollup: key of a grouping in regions.json ('' = single states); grouping is the loaded definition
+let groupingKey = params.get('group') != null ? params.get('group') : (sessionStorage.getItem('lastGrouping') || '');
+let grouping = null;
+// classed color scale settings (shared by choropleth, bar chart and heatmap)
+const scaleOpts = {
+  method: sessionStorage.getItem('lastClassMethod') || 'equal',
+  classes: Number(sessionStorage.getItem('lastClassCount')) || 5,
+  sequential: sessionStorage.getItem('lastPaletteSeq') || ColorScale.DEFAULTS.sequential,
+  diverging: sessionStorage.getItem('lastPaletteDiv') || ColorScale.DEFAULTS.diverging
+};
+// 'tiles' (OpenStreetMap) or 'outline' (geojson only, works offline)
+let baseMap = Offline.defaultBaseMap(sessionStorage.getItem('lastBaseMap'));
+// projection of the national trend line; forecastModel null = off
+let forecastModel = Forecast.MODELS[sessionStorage.getItem('lastForecast')] ? sessionStorage.getItem('lastForecast') : null;
+let forecastHorizon = Number(sessionStorage.getItem('lastForecastHorizon')) || 3;
+// anomaly pass over the metric pivot (outlined on the heatmap, listed under "Notable changes")
+const anomalyOpts = {
+  method: Anomaly.METHODS[sessionStorage.getItem('lastAnomalyMethod')] ? sessionStorage.getItem('lastAnomalyMethod') : 'residual',
+  threshold: Number(sessionStorage.getItem('lastAnomalyThreshold')) || Anomaly.DEFAULT_THRESHOLD
 };
 
 // DOM elements (may or may not exist depending on page)
 const dsSelectHeader = document.getElementById('dsSelectHeader');
 const yearSelectHeader = document.getElementById('yearSelectHeader');
 const loadHeader = document.getElementById('loadHeader');
-const downloadCSVHeader = document.getElementById('downloadCSVHeader');
-const themeToggleHeader = document.getElementById('themeToggleHeader');
-
-if (dsSelectHeader) dsSelectHeader.value = diseaseKey;
-
-// theme persist
-const setTheme = (t) => {
-  document.documentElement.setAttribute('data-theme', t);
-  localStorage.setItem('theme', t);
-  if (themeToggleHeader) themeToggleHeader.textContent = t === 'dark' ? '☀️' : '🌙';
-};
-setTheme(localStorage.getItem('theme') || 'light');
-if (themeToggleHeader) themeToggleHeader.addEventListener('click', () => setTheme(document.documentElement.getAttribute('data-theme') === 'dark' ? 'light' : 'dark') );
+const metricSelectHeader = document.getElementById('metricSelectHeader');
+const groupingSelectHeader = document.getElementById('groupingSelectHeader');
 
 // ---------- Status helper ----------
 function showAppStatus(message, type = 'warn', autoHideMs = 0) {
@@ -45,9 +53,9 @@ function showAppStatus(message, type = 'warn', autoHideMs = 0) {
     console.info('[status]', message);
     return;
   }
-  el.textContent = message;
+  el.style.display = 'block'; // shown before the text changes, so screen readers pick the update up
   el.className = ''; // reset
-  el.style.display = 'block';
+  el.textContent = message;
   if (type === 'error') el.classList.add('error');
   else if (type === 'ok') el.classList.add('ok');
   else el.classList.add('warn');
@@ -57,108 +65,6 @@ function showAppStatus(message, type = 'warn', autoHideMs = 0) {
   }
 }
 
-// ---------- Utilities ----------
-function isJSONFile(name) { const s = String(name||'').toLowerCase(); return s.endsWith('.json') || s.endsWith('.csv'); }
-
-function csvLineToCols(line) {
-  // split CSV line supporting quoted fields with commas
-  // regex splits on commas not inside double quotes
-  const re = /,(?=(?:[^"]*"[^"]*")*[^"]*$)/;
-  const cols = line.split(re).map(c => {
-    let v = c.trim();
-    if (v.startsWith('"') && v.endsWith('"')) v = v.slice(1, -1).replace(/""/g, '"');
-    return v;
-  });
-  return cols;
-}
-
-// Tiny CSV->rows parser (handles quoted commas minimally)
-function parseCSV(text) {
-  const lines = text.split(/\r?\n/).filter(l => l.trim().length > 0);
-  if (lines.length === 0) return [];
-  const headers = csvLineToCols(lines[0]);
-  const rows = [];
-  for (let i = 1; i < lines.length; i++) {
-    const cols = csvLineToCols(lines[i]);
-    const row = {};
-    for (let j = 0; j < headers.length; j++) row[headers[j]] = cols[j] !== undefined ? cols[j] : null;
-    rows.push(row);
-  }
-  return rows;
-}
-
-// ---------- pick filename (prefer .json if available) ----------
-async function pickFilenameForKey(key) {
-  const base = datasetsMap[key];
-  if (!base) throw new Error('No dataset mapping for ' + key);
-  const jsonCandidate = base.replace(/\.xlsx$/i, '.json');
-
-  try {
-    // Use HEAD to detect quickly
-    const r = await fetch(jsonCandidate, { method: 'HEAD' });
-    if (r.ok) return jsonCandidate;
-  } catch (e) {
-    // ignore - candidate likely not present
-  }
-  // fallback to the base (likely .xlsx)
-  return base;
-}
-
-// ---------- fetch rows from file (json/csv/xlsx) ----------
-async function fetchRowsFromFile(name) {
-  if (!name) throw new Error('No filename provided');
-  try {
-    if (isJSONFile(name)) {
-      const r = await fetch(name);
-      if (!r.ok) throw new Error(`Failed to fetch ${name}: ${r.status}`);
-      if (name.toLowerCase().endsWith('.json')) return await r.json();
-      // csv
-      const txt = await r.text();
-      return parseCSV(txt);
-    } else {
-      // XLSX
-      const r = await fetch(name);
-      if (!r.ok) throw new Error(`Failed to fetch ${name}: ${r.status}`);
-      const buf = await r.arrayBuffer();
-      // ensure XLSX library is available
-      if (typeof XLSX === 'undefined') {
-        // attempt to load library synchronously by injecting script (best-effort)
-        await new Promise((resolve, reject) => {
-          const s = document.createElement('script');
-          s.src = 'https://cdn.jsdelivr.net/npm/xlsx@0.18.5/dist/xlsx.full.min.js';
-          s.onload = resolve;
-          s.onerror = reject;
-          document.head.appendChild(s);
-        }).catch(err => {
-          console.warn('Failed to load XLSX library from CDN', err);
-        });
-      }
-      if (typeof XLSX === 'undefined') throw new Error('XLSX library not available to parse .xlsx');
-
-      // read workbook from array buffer
-      const data = new Uint8Array(buf);
-      let wb;
-      try {
-        wb = XLSX.read(data, { type: 'array' });
-      } catch (err) {
-        // fallback try: read as binary string
-        try {
-          const bin = new Uint8Array(buf).reduce((s, b) => s + String.fromCharCode(b), '');
-          wb = XLSX.read(bin, { type: 'binary' });
-        } catch (err2) {
-          throw new Error('XLSX.parse failed: ' + (err2 || err).message);
-        }
-      }
-      if (!wb || !wb.SheetNames || wb.SheetNames.length === 0) return [];
-      const sheet = wb.Sheets[wb.SheetNames[0]];
-      const rows = XLSX.utils.sheet_to_json(sheet, { defval: null });
-      return rows;
-    }
-  } catch (err) {
-    throw err;
-  }
-}
-
 // ---------- UI references used by charts/map ----------
 const totalCasesEl = document.getElementById('totalCases');
 const selectedInfoEl = document.getElementById('selectedInfo');
@@ -167,30 +73,16 @@ const matrixCanvas = document.getElementById('matrixHeatmap');
 
 // chart globals
 let barChart = null, lineChart = null, histChart = null;
+let barPairs = {}; // state -> { base, target } behind the bars in change mode
 let matrixChartRef = null, leafletMap = null;
 let geoCache = null;
+let current = null; // last loaded dataset: { dataset, file, rows, raw, years, states, pivot, aaPivot, suppressed, cachedAt }
+let currentView = null; // yearView() of what is on screen
 
-// ---------- Load geojson
+// ---------- Load geojson (parsed off the main thread by the shared loader)
 async function loadGeo() {
-  if (geoCache) return geoCache;
-  try {
-    const r = await fetch('usa_states.geojson');
-    if (!r.ok) throw new Error('Failed to load usa_states.geojson');
-    geoCache = await r.json();
-    return geoCache;
-  } catch (err) {
-    throw err;
-  }
-}
-
-// ---------- Color ramp (simple)
-function colorRamp(v, min, max) {
-  if (v == null || isNaN(v)) return '#efefef';
-  const ratio = (v - min) / (max - min || 1);
-  const r = Math.round(220 * ratio + 30 * (1 - ratio));
-  const g = Math.round(230 - 180 * ratio);
-  const b = Math.round(80 + 120 * (1 - ratio));
-  return `rgb(${r},${g},${b})`;
+  if (!geoCache) geoCache = await Datasets.loadGeo();
+  return geoCache;
 }
 
 // ---------- Populate year select (header) ----------
@@ -198,14 +90,8 @@ async function populateYearSelectForDisease(key) {
   try {
     if (!yearSelectHeader) return;
     yearSelectHeader.innerHTML = '';
-    const fname = await pickFilenameForKey(key);
     showAppStatus('Detecting available years for ' + key + ' ...', 'warn', 0);
-    const rows = await fetchRowsFromFile(fname);
-    const years = Array.from(new Set((rows || []).map(r => {
-      const v = r.Year || r.year || r.YearReported || r.yearReported || null;
-      const n = Number(v);
-      return Number.isFinite(n) ? n : null;
-    }).filter(Boolean))).sort((a, b) => a - b);
+    const { years } = await Datasets.loadRows(key);
 
     if (!years.length) {
       yearSelectHeader.innerHTML = '<option value="">No years</option>';
@@ -244,10 +130,97 @@ function saveMapState() {
   } catch (e) { /* swallow */ }
 }
 
-async function drawChoropleth(geo, stateValues, minV, maxV) {
+// values/scale the choropleth layer currently shows (read by its style + tooltip functions)
+let choroplethLayer = null, baseLayer = null;
+let focusedState = null; // state reached with the keyboard (outlined, tooltip open)
+const choro = { values: {}, pairs: {}, scale: null };
+
+function choroplethStyle(f) {
+  const name = f.properties.NAME, unit = unitOf(name), v = choro.values[unit];
+  const fillColor = viewStatus(unit, selectedYear, v) === 'suppressed' ? ColorScale.svgHatch(null) : choro.scale.colorFor(v);
+  const c = Theme.colors();
+  if (name === focusedState || (grouping && unit && unit === unitOf(focusedState))) return { fillColor, weight: name === focusedState ? 4 : 2, color: c.focus, fillOpacity: 1 };
+  if (compareStates.includes(name)) return { fillColor, weight: 3, color: c.outline, fillOpacity: 0.92 };
+  // rolled up: borders inside a region take the region's fill, so only region edges show
+  if (grouping && unit) return { fillColor, weight: 1, color: fillColor, fillOpacity: 0.92 };
+  return { fillColor, weight: A11y.highContrast() ? 1.5 : 1, color: c.mapBorder, fillOpacity: 0.92 };
+}
+// keyboard traversal: { name, layer } for every state drawn on the map; those in the inset strip
+// (AK, HI, PR, and the territories without geometry) are placed by their inset tile ({ el })
+function stateLayers() {
+  const inset = new Map(insets ? insets.items.map(it => [it.name, it.el]) : []);
+  const out = [];
+  if (choroplethLayer) choroplethLayer.eachLayer(layer => {
+    if (!layer.feature) return;
+    const name = layer.feature.properties.NAME;
+    out.push(inset.has(name) ? { name, layer, el: inset.get(name) } : { name, layer });
+    inset.delete(name);
+  });
+  inset.forEach((el, name) => out.push({ name, el }));
+  return out;
+}
+
+function focusState(name) {
+  focusedState = name;
+  restyleChoropleth();
+  stateLayers().forEach(({ name: n, layer, el }) => {
+    // an inset tile stands in for the (off-screen or missing) shape
+    if (el) return el.classList.toggle('focused', n === name);
+    if (n !== name) return layer.closeTooltip();
+    layer.bringToFront();
+    layer.openTooltip();
+  });
+}
+
+// tooltip text for a state: { title, sub (the state while rolled up into its region), lines }
+function tooltipParts(name) {
+  if (grouping) {
+    const region = unitOf(name);
+    if (!region) return { title: name, lines: [`Not part of any of the ${grouping.name}`] };
+    const lines = compareMode !== 'off'
+      ? changeDetail(choro.pairs[region], region)
+      : [`${Metrics.label(metric)}: ${formatStatusValue(region, selectedYear, choro.values[region])}`, regionCoverage(region, selectedYear)];
+    return { title: region, sub: name, lines };
+  }
+  if (compareMode !== 'off') return { title: name, lines: changeDetail(choro.pairs[name], name) };
+  return { title: name, lines: [`${Metrics.label(metric)}: ${formatStatusValue(name, selectedYear, choro.values[name])}`] };
+}
+// plain-text tooltip for the inset <title>s
+function insetTooltip(name) {
+  const t = tooltipParts(name);
+  return [t.title + (t.sub ? ` · ${t.sub}` : '')].concat(t.lines).join('\n');
+}
+// names can come from uploaded files and region groupings, so everything is escaped
+function choroplethTooltip(name) {
+  const t = tooltipParts(name);
+  return `<strong>${Util.escapeHtml(t.title)}</strong>${t.sub ? ` · ${Util.escapeHtml(t.sub)}` : ''}<br/>${t.lines.map(Util.escapeHtml).join('<br/>')}`;
+}
+
+async function drawChoropleth(geo, stateValues, scale, pairs) {
+  Object.assign(choro, { values: stateValues, pairs: pairs || {}, scale });
   if (!leafletMap) {
-    leafletMap = L.map('map', { scrollWheelZoom: false }).setView([37.8, -96], 4);
-    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png').addTo(leafletMap);
+    // open on the lower 48; Alaska, Hawaii and the territories sit in the inset strip
+    // Leaflet's own arrow-key panning is off: the arrow keys move between states instead
+    leafletMap = L.map('map', { scrollWheelZoom: false, keyboard: false }).fitBounds(CONTIGUOUS_BOUNDS);
+    leafletMap.on('moveend', onMapMoved);
+    A11y.keyboardMap(leafletMap, {
+      label: 'Choropleth map of state values',
+      items: stateLayers,
+      describe: name => insetTooltip(name).replace(/\n/g, ', ') + (compareStates.includes(name) ? ', selected for comparison' : ''),
+      onFocus: focusState,
+      onOpen: openFromMap,
+      onToggle: toggleCompareState
+    });
+    baseLayer = Offline.addBaseLayer(leafletMap, baseMap);
+    const insetControl = L.control({ position: 'bottomleft' });
+    insetControl.onAdd = () => {
+      const div = L.DomUtil.create('div', 'map-insets');
+      L.DomEvent.disableClickPropagation(div);
+      L.DomEvent.disableScrollPropagation(div);
+      return div;
+    };
+    insetControl.addTo(leafletMap);
+    insetEl = insetControl.getContainer();
   } else {
     // remove GeoJSON feature layers (keep tile layers)
     leafletMap.eachLayer(layer => {
@@ -255,45 +228,204 @@ async function drawChoropleth(geo, stateValues, minV, maxV) {
     });
   }
 
-  function style(f) {
-    const v = stateValues[f.properties.NAME];
-    return { fillColor: colorRamp(v, minV, maxV), weight: 1, color: '#fff', fillOpacity: 0.92 };
-  }
   function onEach(f, layer) {
     const name = f.properties.NAME;
-    const v = stateValues[name] != null ? stateValues[name] : 'No data';
-    layer.bindTooltip(`<strong>${name}</strong><br/>Cases: ${typeof v === 'number' ? v.toLocaleString() : v}`, { direction: 'auto' });
-    layer.on('click', () => {
-      saveMapState();
-      window.location.href = `state.html?state=${encodeURIComponent(name)}&disease=${encodeURIComponent(diseaseKey)}&year=${encodeURIComponent(selectedYear)}`;
+    layer.bindTooltip(choroplethTooltip(name), { direction: 'auto' });
+    layer.on('click', e => {
+      if (e.originalEvent && e.originalEvent.shiftKey) return toggleCompareState(name);
+      openFromMap(name);
     });
   }
 
-  L.geoJson(geo, { style, onEachFeature: onEach }).addTo(leafletMap);
+  choroplethLayer = L.geoJson(geo, { style: choroplethStyle, onEachFeature: onEach }).addTo(leafletMap);
+  ColorScale.svgHatch(leafletMap.getPanes().overlayPane.querySelector('svg'));
+  drawInsets(geo);
 
-  const st = restoreMapState();
-  if (st && st.disease === diseaseKey && String(st.year) === String(selectedYear)) {
-    try { leafletMap.setView(st.center, st.zoom); } catch (e) { /* ignore */ }
+  // a linked view wins over the one remembered from before visiting a state page
+  const st = mapView || restoreMapState();
+  if (st && (st === mapView || (st.disease === diseaseKey && String(st.year) === String(selectedYear)))) {
+    try { leafletMap.setView(st.center, st.zoom, { animate: false }); } catch (e) { /* ignore */ }
   }
 }
 
-// ---------- helper: safe destroy chart ----------
-function safeDestroy(c) { try { if (c && typeof c.destroy === 'function') c.destroy(); } catch (e) { /* ignore */ } }
+// ---------- insets: AK, HI, Puerto Rico and jurisdictions without geometry ----------
+const CONTIGUOUS_BOUNDS = [[24.5, -125], [49.5, -66.9]];
+let insetEl = null, insets = null;
+
+function drawInsets(geo) {
+  if (!insetEl) return;
+  insets = Insets.render(insetEl, {
+    geo,
+    names: current.states,
+    style: name => choroplethStyle({ properties: { NAME: name } }),
+    tooltip: insetTooltip,
+    onClick: (name, e) => {
+      if (e.shiftKey) return toggleCompareState(name);
+      openFromMap(name);
+    }
+  });
+  const note = document.getElementById('geoNote');
+  if (note) {
+    const n = insets.missing.length;
+    note.textContent = n ? `Rows exist for ${insets.missing.join(', ')} but ${n === 1 ? 'it has' : 'they have'} no map geometry — shown as tiles in the inset.` : '';
+    note.style.display = n ? '' : 'none';
+  }
+}
 
-// ---------- charts ----------
-function formatTick(v) {
-  if (v === null || v === undefined) return '';
-  if (Math.abs(v) >= 1e6) return (v / 1e6).toFixed(1).replace(/\.0$/, '') + 'M';
-  if (Math.abs(v) >= 1e3) return (v / 1e3).toFixed(1).replace(/\.0$/, '') + 'k';
-  return '' + v;
+// restyle the layer and insets after the values or the compare selection change
+function restyleChoropleth() {
+  if (choroplethLayer) choroplethLayer.setStyle(choroplethStyle);
+  if (insets) insets.recolor();
+}
+
+// re-color the existing layer in place (used while stepping through years)
+function recolorChoropleth(stateValues, scale, pairs) {
+  if (!choroplethLayer) return;
+  Object.assign(choro, { values: stateValues, pairs: pairs || {}, scale });
+  restyleChoropleth();
+  choroplethLayer.eachLayer(layer => {
+    if (layer.feature) layer.setTooltipContent(choroplethTooltip(layer.feature.properties.NAME));
+  });
+}
+
+// ---------- helper: link to state page (carries the selected metric) ----------
+function stateLink(state, year) {
+  let href = `state.html?state=${encodeURIComponent(state)}&disease=${encodeURIComponent(diseaseKey)}&year=${encodeURIComponent(year)}&metric=${encodeURIComponent(metric)}`;
+  if (compareMode !== 'off' && baseYear) href += `&baseYear=${encodeURIComponent(baseYear)}`;
+  return href;
+}
+
+// ---------- regional rollups ----------
+// while a grouping is on, every view is keyed by region name instead of state name
+function unitOf(state) { return grouping ? (state ? Regions.regionOf(grouping, state) : null) : state; }
+function unitLabel() { return grouping ? 'Region' : 'State'; }
+function unitNoun(n) { return grouping ? (n === 1 ? 'region' : 'regions') : (n === 1 ? 'state' : 'states'); }
+function regionMembers(region) { return current ? Regions.members(grouping, region, current.states) : []; }
+
+function regionLink(region, year) {
+  let href = `region.html?group=${encodeURIComponent(grouping.key)}&region=${encodeURIComponent(region)}&disease=${encodeURIComponent(diseaseKey)}&year=${encodeURIComponent(year)}&metric=${encodeURIComponent(metric)}`;
+  if (compareMode !== 'off' && baseYear) href += `&baseYear=${encodeURIComponent(baseYear)}`;
+  return href;
+}
+// page for one row of the current view: a region's page while rolled up, else the state's
+function unitLink(name, year) { return grouping ? regionLink(name, year) : stateLink(name, year); }
+
+// a state clicked on the map opens its region while rolled up (or itself when it belongs to none)
+function openFromMap(state) {
+  saveMapState();
+  const region = unitOf(state);
+  window.location.href = grouping && region ? regionLink(region, selectedYear) : stateLink(state, selectedYear);
+}
+
+// "5 of 6 states reporting" under a region value
+function regionCoverage(region, year) {
+  const members = regionMembers(region);
+  const n = members.filter(s => rawStatus(s, year) === 'ok').length;
+  return `${n} of ${members.length} state${members.length === 1 ? '' : 's'} reporting`;
+}
+
+// load a grouping ('' = back to single states) and reflect it in the selector and titles
+async function setGrouping(key) {
+  grouping = key ? await Regions.load(key) : null;
+  groupingKey = grouping ? grouping.key : '';
+  sessionStorage.setItem('lastGrouping', groupingKey);
+  if (groupingSelectHeader) groupingSelectHeader.value = groupingKey;
+  syncUnitTitles();
+}
+
+const UNIT_TITLES = {
+  mapTitle: ['Choropleth — State values', g => `Choropleth — ${g.name}`],
+  barTitle: ['Cases by State — Selected Year', g => `${g.name} — Selected Year`],
+  lineTitle: ['USA Trend — All Years', g => `${g.name} — All Years`],
+  histTitle: ['Distribution — State counts', () => 'Distribution — Region values'],
+  heatmapTitle: ['Heatmap — state × year (matrix)', () => 'Heatmap — region × year (matrix)'],
+  rankTitle: ['Rankings — States, selected year', g => `Rankings — ${g.name}, selected year`],
+  bumpTitle: ['Rank over time — States', g => `Rank over time — ${g.name}`]
+};
+function syncUnitTitles() {
+  Object.keys(UNIT_TITLES).forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.textContent = grouping ? UNIT_TITLES[id][1](grouping) : UNIT_TITLES[id][0];
+  });
 }
-function roundUpNice(n) {
-  if (!isFinite(n)) return n;
-  if (n <= 10) return Math.ceil(n);
-  const p = Math.pow(10, Math.floor(Math.log10(n)));
-  return Math.ceil(n / p) * p;
+
+// ---------- shift-click selection for the state comparison view ----------
+const MAX_COMPARE_STATES = 8;
+let compareStates = (params.get('states') || sessionStorage.getItem('lastCompareStates') || '').split(',').filter(Boolean);
+
+function compareLink() {
+  return `compare.html?disease=${encodeURIComponent(diseaseKey)}&year=${encodeURIComponent(selectedYear)}&metric=${encodeURIComponent(metric)}&states=${compareStates.map(encodeURIComponent).join(',')}`;
 }
 
+function toggleCompareState(name) {
+  if (compareStates.includes(name)) compareStates = compareStates.filter(s => s !== name);
+  else if (compareStates.length >= MAX_COMPARE_STATES) return showAppStatus(`Up to ${MAX_COMPARE_STATES} states can be compared`, 'error', 3000);
+  else compareStates.push(name);
+  sessionStorage.setItem('lastCompareStates', compareStates.join(','));
+  restyleChoropleth();
+  syncCompareStatesBar();
+  syncUrl();
+}
+
+function syncCompareStatesBar() {
+  const label = document.getElementById('compareStatesLabel');
+  const go = document.getElementById('compareStatesGo');
+  const clear = document.getElementById('compareStatesClear');
+  const n = compareStates.length;
+  if (label) label.textContent = n ? `Selected: ${compareStates.join(', ')}` : 'Shift-click states to compare them side by side';
+  if (go) { go.style.display = n >= 2 ? '' : 'none'; go.href = compareLink(); go.textContent = `Compare ${n} states`; }
+  if (clear) clear.style.display = n ? '' : 'none';
+}
+
+// ---------- change-between-years helpers ----------
+function changeValue(b, t, mode) {
+  if (!Number.isFinite(b) || !Number.isFinite(t)) return null;
+  if ((mode || compareMode) === 'pct') return b === 0 ? null : (t - b) / b * 100;
+  return t - b;
+}
+function formatChange(v, mode) {
+  if (v == null || !Number.isFinite(v)) return 'No data';
+  const sign = v > 0 ? '+' : (v < 0 ? '−' : '±');
+  if ((mode || compareMode) === 'pct') return `${sign}${Math.abs(v).toFixed(1)}%`;
+  return sign + Metrics.formatValue(metric, Math.abs(v));
+}
+// tooltip lines: both year values plus absolute and percent delta
+function changeDetail(pair, state) {
+  const b = pair ? pair.base : null, t = pair ? pair.target : null;
+  return [
+    `${baseYear}: ${formatStatusValue(state, baseYear, b)}`,
+    `${selectedYear}: ${formatStatusValue(state, selectedYear, t)}`,
+    `Change: ${formatChange(changeValue(b, t, 'abs'), 'abs')} (${formatChange(changeValue(b, t, 'pct'), 'pct')})`
+  ];
+}
+// value text for the current view (metric value, or change in change mode)
+function formatViewValue(v) { return compareMode === 'off' ? Metrics.formatValue(metric, v) : formatChange(v); }
+
+// ---------- missing vs suppressed ----------
+// 'ok' when the dataset has a number for the state-year; else 'suppressed' (withheld in the source) or 'missing'
+function rawStatus(state, year) {
+  if (!current || !state) return 'missing';
+  if (grouping && !current.pivot[state]) {
+    // a region: reported when any member is, suppressed when nothing is reported and a member was withheld
+    const st = regionMembers(state).map(s => rawStatus(s, year));
+    return st.includes('ok') ? 'ok' : (st.includes('suppressed') ? 'suppressed' : 'missing');
+  }
+  if (current.pivot[state] && current.pivot[state][year] != null) return 'ok';
+  return current.suppressed[state] && current.suppressed[state][year] ? 'suppressed' : 'missing';
+}
+// status of a value shown in the current view; in change mode either end being suppressed counts
+function viewStatus(state, year, v) {
+  if (Number.isFinite(v)) return 'ok';
+  if (rawStatus(state, year) === 'suppressed') return 'suppressed';
+  if (compareMode !== 'off' && baseYear != null && rawStatus(state, baseYear) === 'suppressed') return 'suppressed';
+  return 'missing';
+}
+function formatStatusValue(state, year, v) {
+  if (Number.isFinite(v)) return Metrics.formatValue(metric, v);
+  return rawStatus(state, year) === 'suppressed' ? Datasets.STATUS_TEXT.suppressed : Datasets.STATUS_TEXT.missing;
+}
+
+// ---------- charts ----------
 function niceSuggestedMax(arr) {
   const maxVal = Math.max(...(arr||[0]));
   if (!isFinite(maxVal) || maxVal <= 0) return 10;
@@ -303,35 +435,80 @@ function niceSuggestedMax(arr) {
   return nice * p;
 }
 
-function drawLine(rows) {
-  if (!rows || !rows.length) return;
-  const yearAgg = {};
-  rows.forEach(r => { const y = Number(r.Year || r.year); if (!y) return; yearAgg[y] = (yearAgg[y] || 0) + (Number(r.Cases || r.cases) || 0); });
-  const yrs = Object.keys(yearAgg).map(Number).sort((a, b) => a - b);
-  const vals = yrs.map(y => yearAgg[y]);
-  safeDestroy(lineChart);
+// regions (optional): [{ name, values }] drawn instead of the national line while rolled up (no forecast)
+function drawLine(yrs, vals, regions) {
+  if (!yrs || !yrs.length) return;
+  Util.safeDestroy(lineChart);
   const ctxEl = document.getElementById('casesLine');
   if (!ctxEl) return;
   const ctx = ctxEl.getContext('2d');
+  const fc = forecastModel && !regions ? Forecast.project(forecastModel, yrs, vals, forecastHorizon) : null;
+  const labels = Forecast.extendLabels(yrs, fc);
+  const colors = Theme.colors();
+  const datasets = regions
+    ? regions.map((r, i) => ({ label: r.name, data: r.values, borderColor: colors.series[i % colors.series.length], backgroundColor: colors.series[i % colors.series.length], fill: false, tension: 0.3, spanGaps: true, pointRadius: yearPointRadius(yrs) }))
+    : [{ label: metric === 'cases' ? 'USA total' : `USA ${Metrics.METRICS[metric].short}`, data: vals, borderColor: colors.primary, backgroundColor: colors.primaryFill, fill: true, tension: 0.3, pointRadius: yearPointRadius(yrs) }]
+      .concat(Forecast.chartDatasets(labels, fc, { color: colors.primary }));
+  if (regions) vals = [].concat(...regions.map(r => r.values));
+  const tooltipLabel = it => (it.dataset.forecast || regions ? `${it.dataset.label}: ` : '') + Metrics.formatValue(metric, it.raw);
   lineChart = new Chart(ctx, {
     type: 'line',
-    data: { labels: yrs, datasets: [{ label: 'USA total', data: vals, borderColor: '#0f6ef6', backgroundColor: 'rgba(15,110,246,0.08)', fill: true, tension: 0.3 }] },
-    options: { responsive: true, maintainAspectRatio: false, plugins: { tooltip: { callbacks: { label: it => `${it.raw.toLocaleString()} cases` } } }, scales: { y: { beginAtZero: true, suggestedMax: roundUpNice(Math.max(...vals || [0]) * 1.08), ticks: { callback: formatTick } } } }
+    data: { labels, datasets },
+    options: { responsive: true, maintainAspectRatio: false, plugins: { legend: { labels: { filter: Forecast.legendFilter } }, tooltip: { callbacks: { label: tooltipLabel } } }, scales: { y: { beginAtZero: true, suggestedMax: Util.roundUpNice(Math.max(...vals.filter(Number.isFinite), 0) * 1.08), ticks: { callback: Util.formatTick } } } }
   });
+  const statsEl = document.getElementById('forecastStatsMap');
+  if (statsEl) {
+    if (forecastModel && regions) statsEl.textContent = 'Forecasts are drawn for the national line — switch the grouping back to States to see one.';
+    else if (forecastModel) Forecast.renderStats(statsEl, Forecast.evaluate(forecastModel, yrs, vals), v => Metrics.formatValue(metric, v));
+    else statsEl.textContent = '';
+  }
+}
+
+// enlarge the selected year's point on the national trend line
+function yearPointRadius(yrs) {
+  return yrs.map(y => String(y) === String(selectedYear) || (compareMode !== 'off' && String(y) === String(baseYear)) ? 6 : 3);
+}
+function markLineYear() {
+  if (!lineChart) return;
+  lineChart.data.datasets.filter(ds => !ds.forecast).forEach(ds => { ds.pointRadius = yearPointRadius(lineChart.data.labels); });
+  lineChart.update('none');
 }
 
-function drawBar(stateValues, year, minV, maxV) {
+// fixedMax (optional) pins the y axis, so bars stay comparable while stepping through years
+function drawBar(stateValues, year, scale, fixedMax, pairs) {
   const ctxEl = document.getElementById('casesBar');
   if (!ctxEl) return;
   const ctx = ctxEl.getContext('2d');
   const labels = Object.keys(stateValues);
   const data = Object.values(stateValues);
-  const bg = data.map(v => colorRamp(v, minV, maxV));
-  safeDestroy(barChart);
-  const suggestedMax = niceSuggestedMax(data);
+  const bg = data.map(v => scale.colorFor(v));
+  const suggestedMax = niceSuggestedMax(fixedMax != null ? [fixedMax] : data.filter(Number.isFinite).map(Math.abs));
+  const seriesLabel = compareMode === 'off' ? `${Metrics.label(metric)} (${year})` : `Change ${baseYear} → ${year}`;
+  barPairs = pairs || {};
+  // short grey / hatched stand-in bars so states without a value stay visible and hoverable
+  const statuses = labels.map((s, i) => viewStatus(s, year, data[i]));
+  const ghost = statuses.map(st => (st === 'ok' ? null : suggestedMax * 0.04));
+  const ghostBg = statuses.map(st => (st === 'suppressed' ? ColorScale.canvasHatch(ctx) : ColorScale.NO_DATA_COLOR));
+
+  // same states as the chart on screen: update in place instead of rebuilding
+  if (barChart && barChart.data.labels.join('|') === labels.join('|')) {
+    const ds = barChart.data.datasets[0];
+    ds.data = data;
+    ds.backgroundColor = bg;
+    ds.borderColor = Theme.colors().barEdge;
+    ds.label = seriesLabel;
+    Object.assign(barChart.data.datasets[1], { data: ghost, backgroundColor: ghostBg, statuses });
+    barChart.options.scales.y.suggestedMax = suggestedMax;
+    barChart.update('none');
+    return;
+  }
+  Util.safeDestroy(barChart);
   barChart = new Chart(ctx, {
     type: 'bar',
-    data: { labels, datasets: [{ label: `Cases (${year})`, data, backgroundColor: bg, maxBarThickness: 44, borderWidth: 1, borderColor: 'rgba(255,255,255,0.12)' }] },
+    data: { labels, datasets: [
+      { label: seriesLabel, data, backgroundColor: bg, maxBarThickness: 44, borderWidth: 1, borderColor: Theme.colors().barEdge },
+      { label: 'No value', data: ghost, backgroundColor: ghostBg, statuses, grouped: false, maxBarThickness: 44, borderWidth: 1, borderColor: ColorScale.SUPPRESSED_COLOR }
+    ] },
     options: {
       responsive: true,
       maintainAspectRatio: false,
@@ -343,20 +520,135 @@ function drawBar(stateValues, year, minV, maxV) {
             label: (ctx) => {
               const idx = ctx.dataIndex;
               const lab = labels[idx];
-              const val = ctx.raw;
-              return `${lab} — ${typeof val === 'number' ? val.toLocaleString() : val} cases`;
-            }
+              if (ctx.datasetIndex === 1) return `${lab} — ${Datasets.STATUS_TEXT[ctx.dataset.statuses[idx]]}`;
+              return `${lab} — ${formatViewValue(ctx.raw)}`;
+            },
+            afterLabel: (ctx) => compareMode === 'off' ? '' : changeDetail(barPairs[labels[ctx.dataIndex]], labels[ctx.dataIndex]).slice(0, 2)
           }
         }
       },
       scales: {
         x: { ticks: { maxRotation: 45, autoSkip: true, maxTicksLimit: 14 }, grid: { display: false } },
-        y: { beginAtZero: true, suggestedMax: suggestedMax, ticks: { callback: val => formatTick(val) } }
+        y: { beginAtZero: true, suggestedMax: suggestedMax, ticks: { callback: val => Util.formatTick(val) } }
+      }
+    }
+  });
+}
+
+// ---------- rankings: sorted table for the selected year + bump chart over all years ----------
+let rankTopN = Number(sessionStorage.getItem('lastRankTopN')) || 10;
+let rankRows = []; // Rankings.table() for the selected year
+let rankTableView = null, bumpChart = null;
+
+// state rankings cover the 50 states and DC; the territories stay on the map and in the totals but aren't ranked
+function rankedPivot(mp) {
+  if (grouping) return mp;
+  const out = {};
+  Object.keys(mp).filter(Metrics.isState).forEach(s => { out[s] = mp[s]; });
+  return out;
+}
+
+// ranks follow the metric's levels (mp), also while the map shows the change since a base year
+function renderRankings(mp) {
+  const { years } = current;
+  const i = years.map(String).indexOf(String(selectedYear));
+  const prevYear = i > 0 ? years[i - 1] : null;
+  const rp = rankedPivot(mp);
+  rankRows = Rankings.table(rp, years, selectedYear);
+  rankTableView = DataTable.render(document.getElementById('rankTable'), {
+    columns: [
+      { key: 'rank', label: 'Rank', type: 'number' },
+      { key: 'name', label: unitLabel(), type: 'text' },
+      { key: 'value', label: `${Metrics.label(metric)} (${selectedYear})`, type: 'number', format: v => Metrics.formatValue(metric, v) },
+      {
+        key: 'change', label: prevYear != null ? `Change in rank since ${prevYear}` : 'Change in rank', type: 'number', format: Rankings.formatChange,
+        cellTitle: r => (prevYear == null ? '' : (r.prevRank != null ? `${Rankings.ordinal(r.prevRank)} in ${prevYear}` : `Not ranked in ${prevYear}`))
+      }
+    ],
+    rows: rankRows,
+    sort: { key: 'rank', dir: 1 },
+    rowKey: r => r.name,
+    onRowClick: r => { saveMapState(); window.location.href = unitLink(r.name, selectedYear); },
+    emptyText: `No ${unitNoun(2)} have a value for ${selectedYear}`
+  });
+  const noteEl = document.getElementById('rankNote');
+  if (noteEl) {
+    const unranked = Object.keys(rp).length - rankRows.length;
+    const others = Object.keys(mp).length - Object.keys(rp).length; // territories, Palau
+    noteEl.textContent = `Rank 1 is the highest ${Metrics.METRICS[metric].short}; ties share a rank.`
+      + (others ? ` Ranks cover the 50 states and DC; the ${others} other ${others === 1 ? 'jurisdiction is' : 'jurisdictions are'} not ranked.` : '')
+      + (unranked ? ` ${unranked} ${unitNoun(unranked)} without a ${selectedYear} value ${unranked === 1 ? 'is' : 'are'} not ranked.` : '')
+      + (compareMode !== 'off' ? ` Ranks use the ${selectedYear} values, not the change since ${baseYear}.` : '');
+  }
+  drawBump(rp);
+}
+
+// one line per ranked state (or region); the selected year's top N in color, the rest grey behind them
+function drawBump(mp) {
+  const el = document.getElementById('rankBump');
+  if (!el) return;
+  const { years } = current;
+  const { ranks, counts } = Rankings.byYear(mp, years);
+  const now = ranks[selectedYear] || {};
+  const top = Object.keys(now).filter(n => now[n] <= rankTopN).sort((a, b) => now[a] - now[b] || a.localeCompare(b));
+  const rest = Object.keys(mp).filter(n => !top.includes(n)).sort();
+  const colors = Theme.colors();
+  const line = (name, color, highlighted) => ({
+    label: name,
+    data: years.map(y => (ranks[y][name] != null ? ranks[y][name] : null)),
+    borderColor: color, backgroundColor: color,
+    borderWidth: highlighted ? 3 : 1,
+    pointRadius: highlighted ? yearPointRadius(years) : 0,
+    pointHoverRadius: 5,
+    order: highlighted ? 0 : 1, // lower order is drawn on top
+    highlighted
+  });
+  const datasets = top.map((n, i) => line(n, colors.series[i % colors.series.length], true))
+    .concat(rest.map(n => line(n, colors.otherState, false)));
+  const maxRank = Math.max(1, ...years.map(y => counts[y]));
+  Util.safeDestroy(bumpChart);
+  bumpChart = new Chart(el.getContext('2d'), {
+    type: 'line',
+    data: { labels: years, datasets },
+    options: {
+      responsive: true, maintainAspectRatio: false,
+      interaction: { mode: 'nearest', intersect: false },
+      plugins: {
+        legend: { labels: { filter: item => datasets[item.datasetIndex].highlighted } },
+        tooltip: {
+          callbacks: {
+            title: items => (items.length ? `${items[0].dataset.label} — ${items[0].label}` : ''),
+            label: it => `${Rankings.describe(it.raw, counts[years[it.dataIndex]])} · ${Metrics.formatValue(metric, mp[it.dataset.label][years[it.dataIndex]])}`
+          }
+        }
+      },
+      scales: {
+        x: { grid: { display: false } },
+        y: {
+          reverse: true, min: 1, max: maxRank,
+          title: { display: true, text: `Rank (1 = highest ${Metrics.METRICS[metric].short})` },
+          ticks: { precision: 0, callback: v => (Number.isInteger(v) ? Rankings.ordinal(v) : '') }
+        }
+      },
+      onClick: (evt, elements) => {
+        if (!elements.length) return;
+        saveMapState();
+        window.location.href = unitLink(datasets[elements[0].datasetIndex].label, years[elements[0].index]);
       }
     }
   });
 }
 
+const rankTopNSelect = document.getElementById('rankTopN');
+if (rankTopNSelect) {
+  rankTopNSelect.value = String(rankTopN);
+  rankTopNSelect.addEventListener('change', () => {
+    rankTopN = Number(rankTopNSelect.value) || 10;
+    sessionStorage.setItem('lastRankTopN', rankTopN);
+    if (current) drawBump(rankedPivot(metricPivot(current)));
+  });
+}
+
 function drawHist(values) {
   const ctxEl = document.getElementById('casesHist');
   if (!ctxEl) return;
@@ -393,10 +685,10 @@ function drawHist(values) {
     return `${a}–${b}`;
   });
 
-  safeDestroy(histChart);
+  Util.safeDestroy(histChart);
   histChart = new Chart(ctx, {
     type: 'bar',
-    data: { labels, datasets: [{ label: 'Count', data: counts, backgroundColor: 'rgba(99,102,241,0.9)', maxBarThickness: 40 }] },
+    data: { labels, datasets: [{ label: 'Count', data: counts, backgroundColor: Theme.colors().hist, maxBarThickness: 40 }] },
     options: {
       responsive: true,
       maintainAspectRatio: false,
@@ -405,7 +697,7 @@ function drawHist(values) {
         tooltip: {
           callbacks: {
             title: (items) => items && items.length ? items[0].label : '',
-            label: (ctx) => `${ctx.raw} states`
+            label: (ctx) => `${ctx.raw} ${unitNoun(ctx.raw)}`
           }
         }
       },
@@ -417,8 +709,15 @@ function drawHist(values) {
   });
 }
 
+// heatmap/table cell text: whole counts, rates to one decimal
+function formatCell(v) {
+  return metric === 'cases' ? Math.round(v).toLocaleString() : Number(v).toFixed(1);
+}
+function formatGridCell(v) { return compareMode === 'off' ? formatCell(v) : formatChange(v); }
+
 // ---------- Matrix heatmap with fallback ----------
-async function drawMatrixHeatmap(pivot, years, states, minV, maxV) {
+// grid: state → year → value in the current view (levels, or change from the base year)
+async function drawMatrixHeatmap(grid, years, states, scale) {
   function syncWrapperHeight() {
     const mapEl = document.getElementById('map');
     const wrap = document.getElementById('heatmapWrapper');
@@ -442,10 +741,11 @@ async function drawMatrixHeatmap(pivot, years, states, minV, maxV) {
 
     const xLabels = years.map(String);
     const yLabels = states.slice();
+    const flagged = dp => !!dp && isAnomalyCell(yLabels[dp.y], xLabels[dp.x]);
     const data = [];
-    years.forEach((yr, xi) => states.forEach((st, yi) => data.push({ x: xi, y: yi, v: pivot[st][yr] || 0 })));
+    years.forEach((yr, xi) => states.forEach((st, yi) => data.push({ x: xi, y: yi, v: grid[st][yr] != null ? grid[st][yr] : null })));
 
-    if (matrixChartRef) safeDestroy(matrixChartRef);
+    if (matrixChartRef) Util.safeDestroy(matrixChartRef);
 
     const canvasEl = document.getElementById('matrixHeatmap');
     if (!canvasEl) throw new Error('matrixHeatmap canvas not found');
@@ -461,7 +761,13 @@ async function drawMatrixHeatmap(pivot, years, states, minV, maxV) {
           data,
           width: ({ chart }) => Math.max(6, (chart.chartArea.width / xLabels.length) - 1),
           height: ({ chart }) => Math.max(6, (chart.chartArea.height / yLabels.length) - 1),
-          backgroundColor: ctx => colorRamp(ctx.dataset.data[ctx.dataIndex].v, minV, maxV)
+          backgroundColor: ctx => {
+            const dp = ctx.dataset.data[ctx.dataIndex];
+            if (dp && dp.v == null && viewStatus(yLabels[dp.y], xLabels[dp.x], null) === 'suppressed') return ColorScale.canvasHatch(ctx.chart.ctx);
+            return scale.colorFor(dp ? dp.v : null);
+          },
+          borderColor: ctx => flagged(ctx.raw) ? Theme.colors().outline : 'transparent',
+          borderWidth: ctx => flagged(ctx.raw) ? 2 : 0
         }]
       },
       options: {
@@ -472,7 +778,12 @@ async function drawMatrixHeatmap(pivot, years, states, minV, maxV) {
               title: items => {
                 const it = items[0]; const dp = it.dataset.data[it.dataIndex]; return `${yLabels[dp.y]} — ${xLabels[dp.x]}`;
               },
-              label: items => `Cases: ${items.raw ? items.raw.v : items.dataset.data[items.dataIndex].v}`
+              label: items => {
+                const dp = items.raw || items.dataset.data[items.dataIndex];
+                const text = dp.v == null ? Datasets.STATUS_TEXT[viewStatus(yLabels[dp.y], xLabels[dp.x], null)] : formatViewValue(dp.v);
+                return `${compareMode === 'off' ? Metrics.label(metric) : 'Change since ' + baseYear}: ${text}`;
+              },
+              afterLabel: items => flagged(items.raw) ? `Flagged as unusual for this ${unitNoun(1)}` : ''
             }
           }
         },
@@ -486,7 +797,7 @@ async function drawMatrixHeatmap(pivot, years, states, minV, maxV) {
           const dp = matrixChartRef.data.datasets[el.datasetIndex].data[el.index];
           const year = xLabels[dp.x], state = yLabels[dp.y];
           try { const c = leafletMap.getCenter(); sessionStorage.setItem('mapState', JSON.stringify({ center: [c.lat, c.lng], zoom: leafletMap.getZoom(), disease: diseaseKey, year: selectedYear })); } catch (e) {}
-          window.location.href = `state.html?state=${encodeURIComponent(state)}&disease=${encodeURIComponent(diseaseKey)}&year=${year}`;
+          window.location.href = unitLink(state, year);
         }
       }
     });
@@ -500,69 +811,105 @@ async function drawMatrixHeatmap(pivot, years, states, minV, maxV) {
 
     if (!wrapper) return;
 
-    const yearsToShow = years.slice();
-    const statesToShow = states.slice();
-
-    let html = '<div class="heatmap-fallback" style="padding:10px; background:transparent;">';
-    html += '<div style="font-weight:700;margin-bottom:8px;">Heatmap (fallback)</div>';
-    html += '<div style="overflow:auto; max-height:100%;">';
-    html += '<table style="min-width:600px;">';
-    html += '<thead><tr><th>State</th>';
-    yearsToShow.forEach(y => html += `<th>${y}</th>`);
-    html += '</tr></thead><tbody>';
-    statesToShow.forEach(s => {
-      html += `<tr><td style="font-weight:600; text-align:left;">${s}</td>`;
-      yearsToShow.forEach(y => {
-        const v = pivot[s] && pivot[s][y] ? pivot[s][y] : 0;
-        const bg = colorRamp(v, minV, maxV);
-        html += `<td style="background:${bg};">${v}</td>`;
-      });
-      html += '</tr>';
-    });
-    html += '</tbody></table></div></div>';
-
     let fb = wrapper.querySelector('.heatmap-fallback');
-    if (fb) fb.outerHTML = html;
-    else wrapper.insertAdjacentHTML('beforeend', html);
+    if (!fb) {
+      fb = document.createElement('div');
+      fb.className = 'heatmap-fallback';
+      fb.style.cssText = 'padding:10px; background:transparent;';
+      wrapper.appendChild(fb);
+    }
+    fb.innerHTML = '<div style="font-weight:700;margin-bottom:8px;">Heatmap (fallback)</div><div style="overflow:auto; max-height:100%;"></div>';
+
+    // one row per state (or region), one column per year; cells keep the scale color, hatching and anomaly outline
+    const cellStatus = (row, y) => (row[y] == null ? viewStatus(row.state, y, null) : 'ok');
+    DataTable.render(fb.lastChild, {
+      columns: [{ key: 'state', label: unitLabel(), type: 'text', cellStyle: () => ({ fontWeight: 600, textAlign: 'left' }) }].concat(years.map(y => ({
+        key: y,
+        label: String(y),
+        type: 'number',
+        format: v => (v == null ? '' : formatGridCell(v)),
+        cellStyle: row => ({ background: scale.colorFor(row[y] != null ? row[y] : null) }),
+        cellClass: row => [isAnomalyCell(row.state, y) ? 'anomaly-cell' : '', cellStatus(row, y) === 'suppressed' ? 'cell-suppressed' : ''].filter(Boolean).join(' '),
+        cellTitle: row => (cellStatus(row, y) !== 'ok' ? Datasets.STATUS_TEXT[cellStatus(row, y)] : (isAnomalyCell(row.state, y) ? `Flagged as unusual for this ${unitNoun(1)}` : ''))
+      }))),
+      rows: states.map(s => Object.assign({ state: s }, grid[s])),
+      pageSize: 0,
+      onRowClick: row => {
+        saveMapState();
+        window.location.href = unitLink(row.state, selectedYear);
+      }
+    });
 
     syncWrapperHeight();
 
-    // make fallback table rows clickable to go to state page
-    const table = wrapper.querySelector('tbody');
-    if (table) {
-      table.querySelectorAll('tr').forEach((tr) => {
-        tr.addEventListener('click', () => {
-          const first = tr.querySelector('td');
-          if (!first) return;
-          const stateName = first.textContent.trim();
-          try { const c = leafletMap.getCenter(); sessionStorage.setItem('mapState', JSON.stringify({ center: [c.lat, c.lng], zoom: leafletMap.getZoom(), disease: diseaseKey, year: selectedYear })); } catch (e) {}
-          window.location.href = `state.html?state=${encodeURIComponent(stateName)}&disease=${encodeURIComponent(diseaseKey)}&year=${selectedYear}`;
-        });
-      });
-    }
-
     return;
   }
 }
 
-// ---------- CSV export ----------
-function exportVisibleCSV() {
-  if (matrixChartRef && matrixChartRef.data && matrixChartRef.data.datasets && matrixChartRef.data.datasets[0]) {
-    const xLabels = matrixChartRef.options.scales.x.labels;
-    const yLabels = matrixChartRef.options.scales.y.labels;
-    const data = matrixChartRef.data.datasets[0].data;
-    const grid = {};
-    data.forEach(d => { const yr = xLabels[d.x], st = yLabels[d.y]; grid[st] = grid[st] || {}; grid[st][yr] = d.v; });
-    const header = ['State', ...xLabels]; const rows = [header.join(',')];
-    yLabels.forEach(st => { const row = ['"' + st.replace(/"/g, '""') + '"']; xLabels.forEach(yr => row.push(String(grid[st] && grid[st][yr] ? grid[st][yr] : 0))); rows.push(row.join(',')); });
-    const blob = new Blob([rows.join('\n')], { type: 'text/csv;charset=utf-8;' }); const u = URL.createObjectURL(blob); const a = document.createElement('a'); a.href = u; a.download = 'heatmap_export.csv'; a.click(); URL.revokeObjectURL(u); return;
-  }
-  const fbTable = document.querySelector('.heatmap-fallback table');
-  if (fbTable) {
-    const rows = []; fbTable.querySelectorAll('tr').forEach(tr => { const cols = Array.from(tr.querySelectorAll('th,td')).map(td => `"${td.textContent.replace(/"/g, '""')}"`); rows.push(cols.join(',')); });
-    const blob = new Blob([rows.join('\n')], { type: 'text/csv' }); const u = URL.createObjectURL(blob); const a = document.createElement('a'); a.href = u; a.download = 'heatmap_export.csv'; a.click(); URL.revokeObjectURL(u); return;
+// ---------- Notable changes (anomalies) ----------
+let anomalies = { list: [], keys: new Set() };
+let anomalySort = { key: 'score', dir: -1 };
+
+function isAnomalyCell(state, year) { return anomalies.keys.has(Anomaly.keyOf(state, year)); }
+
+function detectAnomalies(mp) {
+  const list = Anomaly.scanPivot(mp, current.years, Object.keys(mp), anomalyOpts);
+  anomalies = { list, keys: new Set(list.map(a => Anomaly.keyOf(a.state, a.year))) };
+}
+
+function renderAnomalyTable() {
+  const table = document.getElementById('anomalyTable');
+  const countEl = document.getElementById('anomalyCount');
+  if (countEl) countEl.textContent = `${anomalies.list.length} flagged ${unitNoun(1)}-year${anomalies.list.length === 1 ? '' : 's'} · ${Anomaly.METHODS[anomalyOpts.method].label}, |z| ≥ ${anomalyOpts.threshold}`;
+  if (!table) return;
+  const cols = [
+    { key: 'state', label: unitLabel() },
+    { key: 'year', label: 'Year' },
+    { key: 'value', label: Metrics.label(metric) },
+    { key: 'expected', label: anomalyOpts.method === 'jump' ? 'Expected (typical change)' : 'Expected (trend)' },
+    { key: 'score', label: 'Robust z' }
+  ];
+  const { key, dir } = anomalySort;
+  const sortVal = a => (key === 'score' ? Math.abs(a.score) : a[key]);
+  const rows = anomalies.list.slice().sort((a, b) => {
+    const va = sortVal(a), vb = sortVal(b);
+    return (typeof va === 'string' ? va.localeCompare(vb) : va - vb) * dir;
+  });
+  const arrow = c => (c.key === key ? (dir > 0 ? ' ▲' : ' ▼') : '');
+  const esc = Util.escapeHtml;
+  let html = '<thead><tr>' + cols.map(c => `<th data-sort="${c.key}" style="cursor:pointer">${esc(c.label)}${arrow(c)}</th>`).join('') + '</tr></thead><tbody>';
+  if (!rows.length) html += `<tr><td colspan="${cols.length}" class="note">No ${esc(unitNoun(1))}-years pass the current threshold.</td></tr>`;
+  rows.forEach(a => {
+    const sign = a.score > 0 ? '+' : '−';
+    html += `<tr><td><a href="${esc(unitLink(a.state, a.year))}">${esc(a.state)}</a></td><td>${esc(a.year)}</td><td>${esc(Metrics.formatValue(metric, a.value))}</td><td>${esc(Metrics.formatValue(metric, a.expected))}</td><td>${sign}${Math.abs(a.score).toFixed(1)}</td></tr>`;
+  });
+  table.innerHTML = html + '</tbody>';
+  table.querySelectorAll('th[data-sort]').forEach(th => th.addEventListener('click', () => {
+    const k = th.getAttribute('data-sort');
+    anomalySort = { key: k, dir: anomalySort.key === k ? -anomalySort.dir : (k === 'state' || k === 'year' ? 1 : -1) };
+    renderAnomalyTable();
+  }));
+}
+
+// ---------- Data quality ----------
+async function renderQuality() {
+  if (!current) return;
+  const report = Quality.check(current.raw, current.dataset, await loadGeo(), current.file);
+  Quality.renderReport(document.getElementById('dqReport'), report, current.raw);
+}
+
+async function runQualityForAll() {
+  const btn = document.getElementById('dqRunAll');
+  if (btn) btn.disabled = true;
+  try {
+    const reports = await Quality.checkAll(await loadGeo(), ds => showAppStatus(`Checking ${ds.name || ds.key} ...`, 'warn'));
+    Quality.renderSummary(document.getElementById('dqSummary'), reports, document.getElementById('dqReport'), r => Datasets.fetchRowsFromFile(r.file));
+    showAppStatus(`Checked ${reports.length} datasets`, 'ok', 2000);
+  } catch (err) {
+    showAppStatus('Data quality check failed: ' + (err.message || err), 'error', 5000);
+  } finally {
+    if (btn) btn.disabled = false;
   }
-  alert('No heatmap data to export');
 }
 
 // ---------- Main loader ----------
@@ -576,16 +923,8 @@ async function loadAll() {
   showAppStatus(`Loading ${diseaseKey} (${selectedYear}) ...`, 'warn');
 
   try {
-    const fname = await pickFilenameForKey(diseaseKey);
-    const rows = await fetchRowsFromFile(fname);
-    if (!rows || !rows.length) throw new Error('No data rows found in ' + fname);
-
-    // extract years & states robustly
-    const years = Array.from(new Set(rows.map(r => {
-      const v = r.Year || r.year || null; const n = Number(v); return Number.isFinite(n) ? n : null;
-    }).filter(Boolean))).sort((a,b)=>a-b);
-
-    const states = Array.from(new Set(rows.map(r => String(r.State || r.state || '').trim()).filter(Boolean))).sort();
+    const { dataset, file, rows, raw, years, states, cachedAt } = await Datasets.loadRows(diseaseKey);
+    if (!rows || !rows.length) throw new Error('No data rows found in ' + file);
 
     if (yearSelectHeader) {
       yearSelectHeader.innerHTML = '';
@@ -604,32 +943,15 @@ async function loadAll() {
       if (yearSelectHeader) yearSelectHeader.value = selectedYear;
     }
 
-    // pivot data by state × year
-    const pivot = {}; states.forEach(s => pivot[s] = {});
-    rows.forEach(r => {
-      const s = String(r.State || r.state || '').trim();
-      const y = Number(r.Year || r.year);
-      const c = Number(r.Cases || r.cases) || 0;
-      if (!s || !y) return;
-      pivot[s][y] = (pivot[s][y] || 0) + c;
-    });
+    const { pivot, aaPivot, suppressed } = Datasets.pivot(rows);
 
-    const stateValues = {}; states.forEach(s => stateValues[s] = pivot[s][selectedYear] || 0);
-    const vals = Object.values(stateValues).map(v => Number(v) || 0);
-    const minV = vals.length ? Math.min(...vals) : 0, maxV = vals.length ? Math.max(...vals) : 0;
-    const total = vals.reduce((a,b)=>a+(Number(b)||0), 0);
-    if (totalCasesEl) totalCasesEl.textContent = `Total USA Cases (${selectedYear}): ${total.toLocaleString()}`;
-
-    // draw
-    const geo = await loadGeo();
-    await drawChoropleth(geo, stateValues, minV, maxV);
-    drawBar(stateValues, selectedYear, minV, maxV);
-    drawLine(rows);
-    drawHist(vals);
-    await drawMatrixHeatmap(pivot, years, states, minV, maxV);
-
-    if (legendWrap) legendWrap.innerHTML = `<div class="note">Color scale from ${minV} → ${maxV}</div>`;
-    showAppStatus('Data loaded successfully', 'ok', 2000);
+    await Metrics.loadPopulation();
+    current = { dataset, file, rows, raw, years, states, pivot, aaPivot, suppressed, cachedAt };
+    metric = Metrics.syncMetricSelect(metricSelectHeader, rows, metric);
+    await renderCurrent();
+    await renderQuality();
+    if (current.cachedAt) showAppStatus(`Offline — ${dataset.name} is from the cached copy, ${Offline.describeAge(current.cachedAt)}`, 'warn', 6000);
+    else showAppStatus('Data loaded successfully', 'ok', 2000);
   } catch (err) {
     console.error('loadAll error', err);
     if (totalCasesEl) totalCasesEl.textContent = 'Failed to load data';
@@ -638,19 +960,669 @@ async function loadAll() {
   }
 }
 
-// wire buttons
-if (loadHeader) loadHeader.addEventListener('click', loadAll);
-if (downloadCSVHeader) downloadCSVHeader.addEventListener('click', exportVisibleCSV);
-if (dsSelectHeader) dsSelectHeader.addEventListener('change', () => populateYearSelectForDisease(dsSelectHeader.value));
+// ---------- Metric views over the loaded pivot ----------
+// state × year values for the selected metric (null where the metric cannot be computed);
+// region × year while a grouping is on
+function metricPivot(data) {
+  if (grouping) return Regions.rollup(grouping, data, metric);
+  if (metric === 'cases') return data.pivot;
+  const out = {};
+  data.states.forEach(s => {
+    out[s] = {};
+    data.years.forEach(y => {
+      const v = Metrics.valueFor(metric, data.pivot[s][y], s, y, data.aaPivot[s][y]);
+      if (v != null) out[s][y] = v;
+    });
+  });
+  return out;
+}
+
+// national figure for one year: total cases, or a population-weighted rate
+function nationalValue(data, year) {
+  const v = Metrics.aggregate(metric, data.states, year, data.pivot, data.aaPivot);
+  return v == null && metric === 'cases' ? 0 : v;
+}
+
+// one line per region for the trend chart
+function regionSeries(mp) {
+  return grouping.regions.map(g => ({ name: g.name, values: current.years.map(y => (mp[g.name][y] != null ? mp[g.name][y] : null)) }));
+}
+
+// "excludes 3 states (1 suppressed, 2 no data)" for the states left out of the current view
+function exclusionNote(stateValues) {
+  const counts = { suppressed: 0, missing: 0 };
+  Object.keys(stateValues).forEach(s => {
+    const st = viewStatus(s, selectedYear, stateValues[s]);
+    if (st !== 'ok') counts[st] += 1;
+  });
+  const n = counts.suppressed + counts.missing;
+  if (!n) return '';
+  const parts = [];
+  if (counts.suppressed) parts.push(`${counts.suppressed} suppressed`);
+  if (counts.missing) parts.push(`${counts.missing} no data`);
+  return ` · excludes ${n} ${unitNoun(n)} (${parts.join(', ')})`;
+}
+
+function totalLabel(value) {
+  if (metric === 'cases') return `Total USA Cases (${selectedYear}): ${value.toLocaleString()}`;
+  if (metric === 'rate') return `USA rate (${selectedYear}): ${Metrics.formatValue(metric, value)}`;
+  return `USA age-adjusted rate, population-weighted (${selectedYear}): ${Metrics.formatValue(metric, value)}`;
+}
+
+// state values for the selected year plus the color range; the range spans every
+// year while the scale is locked, so colors stay comparable across years.
+// In change mode the values are per-state deltas from baseYear, with a range symmetric around zero.
+function yearView(mp) {
+  const compare = compareMode !== 'off' && baseYear != null;
+  const valueAt = (s, y) => {
+    if (!compare) return mp[s][y] != null ? mp[s][y] : null;
+    return changeValue(mp[s][baseYear], mp[s][y]);
+  };
+  const names = Object.keys(mp);
+  const stateValues = {}, pairs = {}, grid = {};
+  names.forEach(s => {
+    stateValues[s] = valueAt(s, selectedYear);
+    if (compare) pairs[s] = { base: mp[s][baseYear], target: mp[s][selectedYear] };
+    grid[s] = {};
+    current.years.forEach(y => { const v = valueAt(s, y); if (v != null) grid[s][y] = v; });
+  });
+  const vals = Object.values(stateValues).filter(v => Number.isFinite(v));
+  let range = vals;
+  if (scaleLocked()) {
+    range = [];
+    names.forEach(s => Object.values(grid[s]).forEach(v => { if (Number.isFinite(v)) range.push(v); }));
+  }
+  const scale = ColorScale.build(range, {
+    method: scaleOpts.method,
+    classes: scaleOpts.classes,
+    palette: compare ? scaleOpts.diverging : scaleOpts.sequential,
+    diverging: compare
+  });
+  return { stateValues, vals, grid, scale, pairs: compare ? pairs : null };
+}
+
+function updateSummary(view) {
+  const national = nationalValue(current, selectedYear);
+  let total = totalLabel(national);
+  if (view.pairs) {
+    const b = nationalValue(current, baseYear);
+    total += ` · change since ${baseYear}: ${formatChange(changeValue(b, national, 'abs'), 'abs')} (${formatChange(changeValue(b, national, 'pct'), 'pct')})`;
+  }
+  total += exclusionNote(view.stateValues);
+  if (totalCasesEl) totalCasesEl.textContent = total;
+  if (selectedInfoEl) selectedInfoEl.textContent = `Dataset: ${current.dataset.name} · Year: ${selectedYear} · ${Metrics.label(metric)}` + (grouping ? ` · by ${grouping.name}` : '') + ` · Source: ${Datasets.citation(current.dataset)}`;
+  const title = view.pairs
+    ? `${compareMode === 'pct' ? 'Percent change' : 'Change'} in ${Metrics.label(metric)}, ${baseYear} → ${selectedYear}`
+    : `${Metrics.label(metric)}, ${selectedYear}`;
+  const note = scaleLocked() ? `classes from all years ${current.years[0]}–${current.years[current.years.length - 1]}` : `classes from ${selectedYear}`;
+  ColorScale.renderLegend(legendWrap, view.scale, { title, format: formatGridCell, note });
+  legendText = { title, note };
+}
+
+// pinned bar-axis maximum while the scale is locked (largest magnitude in the scale)
+function barFixedMax(view) {
+  if (!scaleLocked()) return null;
+  const b = view.scale.breaks;
+  return Math.max(Math.abs(b[0]), Math.abs(b[b.length - 1]));
+}
+
+// redraw every view from the in-memory data (no re-fetch)
+async function renderCurrent() {
+  if (!current) return;
+  const { years } = current;
+  syncCompareControls();
+  syncScaleControls();
+  syncCompareStatesBar();
+  const mp = metricPivot(current);
+  const view = yearView(mp);
+  currentView = view;
+  updateSummary(view);
+  detectAnomalies(mp);
+  renderAnomalyTable();
+
+  // draw
+  const geo = await loadGeo();
+  await drawChoropleth(geo, view.stateValues, view.scale, view.pairs);
+  drawBar(view.stateValues, selectedYear, view.scale, barFixedMax(view), view.pairs);
+  renderRankings(mp);
+  drawLine(years, years.map(y => nationalValue(current, y)), grouping ? regionSeries(mp) : null);
+  drawHist(view.vals);
+  await drawMatrixHeatmap(view.grid, years, heatmapRows(view.grid, Object.keys(view.grid), years), view.scale);
+  syncYearSlider();
+  syncUrl();
+}
+
+// heatmap rows in the chosen order; states without a value go last
+function heatmapRows(grid, states, years) {
+  if (heatmapSort === 'name') return states.slice();
+  const last = years[years.length - 1];
+  const score = s => {
+    if (heatmapSort === 'latest') return Number.isFinite(grid[s][last]) ? grid[s][last] : null;
+    const vals = Object.values(grid[s]).filter(Number.isFinite);
+    return vals.length ? vals.reduce((a, b) => a + b, 0) / vals.length : null;
+  };
+  const scores = {};
+  states.forEach(s => { scores[s] = score(s); });
+  return states.slice().sort((a, b) => {
+    if (scores[a] == null || scores[b] == null) return (scores[a] == null) - (scores[b] == null) || a.localeCompare(b);
+    return scores[b] - scores[a];
+  });
+}
+
+// ---------- Change-between-years controls ----------
+const compareModeSelect = document.getElementById('compareMode');
+const baseYearSelect = document.getElementById('baseYearSelect');
+
+// fill the base-year list from the loaded years and default to the first year
+function syncCompareControls() {
+  if (!current) return;
+  if (!current.years.includes(baseYear)) baseYear = current.years[0];
+  if (baseYearSelect) {
+    baseYearSelect.innerHTML = '';
+    current.years.forEach(y => {
+      const o = document.createElement('option');
+      o.value = y;
+      o.textContent = y;
+      baseYearSelect.appendChild(o);
+    });
+    baseYearSelect.value = baseYear;
+    baseYearSelect.disabled = compareMode === 'off';
+  }
+  if (compareModeSelect) compareModeSelect.value = compareMode;
+}
+
+if (compareModeSelect) compareModeSelect.addEventListener('change', () => {
+  compareMode = compareModeSelect.value;
+  sessionStorage.setItem('lastCompare', compareMode);
+  renderCurrent().catch(err => showAppStatus('Error drawing change view: ' + (err.message || err), 'error', 5000));
+});
+if (baseYearSelect) baseYearSelect.addEventListener('change', () => {
+  baseYear = Number(baseYearSelect.value);
+  sessionStorage.setItem('lastBaseYear', baseYear);
+  renderCurrent().catch(err => showAppStatus('Error drawing change view: ' + (err.message || err), 'error', 5000));
+});
+
+// ---------- Data quality controls ----------
+const dqRunAll = document.getElementById('dqRunAll');
+if (dqRunAll) dqRunAll.addEventListener('click', runQualityForAll);
+
+// ---------- Anomaly controls ----------
+const anomalyMethodSelect = document.getElementById('anomalyMethod');
+const anomalyThresholdInput = document.getElementById('anomalyThreshold');
+const anomalyThresholdLabel = document.getElementById('anomalyThresholdLabel');
+if (anomalyMethodSelect) anomalyMethodSelect.value = anomalyOpts.method;
+if (anomalyThresholdInput) anomalyThresholdInput.value = anomalyOpts.threshold;
+if (anomalyThresholdLabel) anomalyThresholdLabel.textContent = anomalyOpts.threshold.toFixed(1);
+
+function onAnomalyChange() {
+  anomalyOpts.method = anomalyMethodSelect ? anomalyMethodSelect.value : anomalyOpts.method;
+  anomalyOpts.threshold = anomalyThresholdInput ? Number(anomalyThresholdInput.value) : anomalyOpts.threshold;
+  if (anomalyThresholdLabel) anomalyThresholdLabel.textContent = anomalyOpts.threshold.toFixed(1);
+  sessionStorage.setItem('lastAnomalyMethod', anomalyOpts.method);
+  sessionStorage.setItem('lastAnomalyThreshold', anomalyOpts.threshold);
+  renderCurrent().catch(err => showAppStatus('Error drawing anomalies: ' + (err.message || err), 'error', 5000));
+}
+if (anomalyMethodSelect) anomalyMethodSelect.addEventListener('change', onAnomalyChange);
+if (anomalyThresholdInput) anomalyThresholdInput.addEventListener('change', onAnomalyChange);
+if (anomalyThresholdInput && anomalyThresholdLabel) anomalyThresholdInput.addEventListener('input', () => { anomalyThresholdLabel.textContent = Number(anomalyThresholdInput.value).toFixed(1); });
+
+// ---------- Classification controls ----------
+const classMethodSelect = document.getElementById('classMethod');
+const classCountSelect = document.getElementById('classCount');
+const paletteSelect = document.getElementById('paletteSelect');
+
+function syncScaleControls() {
+  if (classMethodSelect) classMethodSelect.value = scaleOpts.method;
+  if (classCountSelect) classCountSelect.value = String(scaleOpts.classes);
+  const diverging = compareMode !== 'off';
+  const key = diverging ? 'diverging' : 'sequential';
+  scaleOpts[key] = ColorScale.populatePaletteSelect(paletteSelect, diverging, scaleOpts[key]);
+}
+
+function onScaleChange() {
+  if (classMethodSelect) scaleOpts.method = classMethodSelect.value;
+  if (classCountSelect) scaleOpts.classes = Number(classCountSelect.value);
+  if (paletteSelect) scaleOpts[compareMode !== 'off' ? 'diverging' : 'sequential'] = paletteSelect.value;
+  sessionStorage.setItem('lastClassMethod', scaleOpts.method);
+  sessionStorage.setItem('lastClassCount', scaleOpts.classes);
+  sessionStorage.setItem('lastPaletteSeq', scaleOpts.sequential);
+  sessionStorage.setItem('lastPaletteDiv', scaleOpts.diverging);
+  renderCurrent().catch(err => showAppStatus('Error redrawing color scale: ' + (err.message || err), 'error', 5000));
+}
+[classMethodSelect, classCountSelect, paletteSelect].forEach(el => { if (el) el.addEventListener('change', onScaleChange); });
+
+// ---------- Year slider + play/pause (works on the pivot already in memory) ----------
+const yearSlider = document.getElementById('yearSlider');
+const yearSliderLabel = document.getElementById('yearSliderLabel');
+const yearPlay = document.getElementById('yearPlay');
+const yearSpeed = document.getElementById('yearSpeed');
+const lockScale = document.getElementById('lockScale');
+let playTimer = null;
+
+function scaleLocked() { return playTimer !== null || !!(lockScale && lockScale.checked); }
+
+function syncYearSlider() {
+  if (!yearSlider || !current) return;
+  yearSlider.min = 0;
+  yearSlider.max = Math.max(0, current.years.length - 1);
+  const idx = current.years.indexOf(Number(selectedYear));
+  yearSlider.value = idx >= 0 ? idx : current.years.length - 1;
+  if (yearSliderLabel) yearSliderLabel.textContent = selectedYear;
+}
+
+// switch the displayed year without re-fetching: re-color map, bar chart, totals
+function showYear(year) {
+  if (!current) return;
+  selectedYear = year;
+  sessionStorage.setItem('lastYear', selectedYear);
+  if (yearSelectHeader) yearSelectHeader.value = selectedYear;
+  const mp = metricPivot(current);
+  const view = yearView(mp);
+  updateSummary(view);
+  recolorChoropleth(view.stateValues, view.scale, view.pairs);
+  drawBar(view.stateValues, selectedYear, view.scale, barFixedMax(view), view.pairs);
+  renderRankings(mp);
+  markLineYear();
+  syncYearSlider();
+  syncUrl(true);
+}
+
+function stopPlayback() {
+  if (playTimer === null) return;
+  clearInterval(playTimer);
+  playTimer = null;
+  if (yearPlay) { yearPlay.textContent = '▶'; yearPlay.setAttribute('aria-label', 'Play years'); }
+  showYear(selectedYear); // redraw with the regular (unlocked) scale if needed
+}
+
+function startPlayback() {
+  if (!current || current.years.length < 2) return;
+  const years = current.years;
+  if (years.indexOf(Number(selectedYear)) >= years.length - 1) selectedYear = years[0];
+  const step = () => {
+    const idx = years.indexOf(Number(selectedYear));
+    if (idx >= years.length - 1) return stopPlayback();
+    showYear(years[idx + 1]);
+  };
+  playTimer = setInterval(step, Number(yearSpeed && yearSpeed.value) || 800);
+  if (yearPlay) { yearPlay.textContent = '⏸'; yearPlay.setAttribute('aria-label', 'Pause'); }
+  showYear(selectedYear);
+}
+
+if (yearSlider) yearSlider.addEventListener('input', () => {
+  if (!current) return;
+  showYear(current.years[Number(yearSlider.value)]);
+});
+if (yearPlay) yearPlay.addEventListener('click', () => (playTimer === null ? startPlayback() : stopPlayback()));
+if (yearSpeed) yearSpeed.addEventListener('change', () => {
+  if (playTimer === null) return;
+  clearInterval(playTimer);
+  playTimer = null;
+  startPlayback();
+});
+if (lockScale) lockScale.addEventListener('change', () => showYear(selectedYear));
+
+// forecast controls under the national trend line
+const forecastToggleMap = document.getElementById('forecastToggleMap');
+const forecastModelMap = document.getElementById('forecastModelMap');
+const forecastHorizonMap = document.getElementById('forecastHorizonMap');
+Forecast.populateModelSelect(forecastModelMap, forecastModel);
+if (forecastHorizonMap) forecastHorizonMap.value = String(forecastHorizon);
+if (forecastToggleMap) forecastToggleMap.checked = !!forecastModel;
+function onForecastChange() {
+  forecastModel = forecastToggleMap && forecastToggleMap.checked ? forecastModelMap.value : null;
+  forecastHorizon = Number(forecastHorizonMap.value) || 3;
+  if (forecastModel) sessionStorage.setItem('lastForecast', forecastModel); else sessionStorage.removeItem('lastForecast');
+  sessionStorage.setItem('lastForecastHorizon', forecastHorizon);
+  if (current) drawLine(current.years, current.years.map(y => nationalValue(current, y)), grouping ? regionSeries(metricPivot(current)) : null);
+}
+[forecastToggleMap, forecastModelMap, forecastHorizonMap].forEach(el => { if (el) el.addEventListener('change', onForecastChange); });
+
+const compareStatesGo = document.getElementById('compareStatesGo');
+const compareStatesClear = document.getElementById('compareStatesClear');
+// the slider/metric may have moved since the bar was drawn, so rebuild the link on click
+if (compareStatesGo) compareStatesGo.addEventListener('click', () => { saveMapState(); compareStatesGo.href = compareLink(); });
+if (compareStatesClear) compareStatesClear.addEventListener('click', () => {
+  compareStates = [];
+  sessionStorage.removeItem('lastCompareStates');
+  restyleChoropleth();
+  syncCompareStatesBar();
+  syncUrl();
+});
+
+// theme / high-contrast switch: redraw every view from the data already loaded (tiles are recolored in CSS)
+window.addEventListener('themechange', () => {
+  if (current) renderCurrent().catch(err => showAppStatus('Error redrawing for the theme: ' + (err.message || err), 'error', 5000));
+});
+
+// ---------- shareable URL + browser history ----------
+// every view choice is mirrored into the query string: committed changes (disease, metric, mode,
+// grouping, …) push a history entry; pans/zooms and year steps from the slider or animation replace the current one
+let urlViewKey = null; // query of the last synced view, without the map position
+let restoringUrl = false; // back/forward in progress: the URL already says what is being drawn
+
+// whole-number year from a query or storage value; null when absent or malformed
+function parseYear(v) {
+  const y = Number(v);
+  return v != null && v !== '' && Number.isInteger(y) ? y : null;
+}
+
+function parseMapView(v) {
+  const parts = String(v || '').split(',').map(Number);
+  if (parts.length !== 3 || !parts.every(Number.isFinite)) return null;
+  return { center: [parts[0], parts[1]], zoom: parts[2] };
+}
+
+function viewQuery(withMapView) {
+  const q = new URLSearchParams();
+  q.set('disease', diseaseKey);
+  q.set('year', selectedYear);
+  q.set('metric', metric);
+  if (compareMode !== 'off') { q.set('compare', compareMode); q.set('baseYear', baseYear); }
+  if (compareStates.length) q.set('states', compareStates.join(','));
+  if (grouping) q.set('group', grouping.key);
+  if (heatmapSort !== 'name') q.set('sort', heatmapSort);
+  if (withMapView && mapView) q.set('view', `${mapView.center[0].toFixed(4)},${mapView.center[1].toFixed(4)},${mapView.zoom}`);
+  return q.toString().replace(/%2C/g, ','); // commas are safe in a query and keep links readable
+}
 
-// init
-populateYearSelectForDisease(diseaseKey).then(() => {
-  // set yearSelectHeader value if present
-  if (yearSelectHeader && selectedYear) yearSelectHeader.value = selectedYear;
-  loadAll();
-}).catch(e => { console.warn('init populate fail', e); loadAll(); });
+// step: the year moved on the slider or during playback, so Back doesn't walk through every year
+function syncUrl(step) {
+  if (restoringUrl || !current) return;
+  const key = viewQuery(false);
+  const url = `${location.pathname}?${viewQuery(true)}`;
+  if (url !== location.pathname + location.search) {
+    const replace = step || urlViewKey === null || key === urlViewKey;
+    history[replace ? 'replaceState' : 'pushState'](null, '', url);
+  }
+  urlViewKey = key;
+  const corr = document.getElementById('correlateLink');
+  if (corr) corr.href = `correlate.html?x=${encodeURIComponent(diseaseKey)}&year=${encodeURIComponent(selectedYear)}&metric=${encodeURIComponent(metric)}`;
+}
+
+function onMapMoved() {
+  const c = leafletMap.getCenter();
+  mapView = { center: [c.lat, c.lng], zoom: leafletMap.getZoom() };
+  syncUrl();
+}
+
+// back/forward: redraw the view the URL describes (re-loading only when the dataset changes)
+async function applyUrl(q) {
+  restoringUrl = true;
+  try {
+    stopPlayback();
+    const key = q.get('disease') || diseaseKey;
+    selectedYear = q.get('year') || selectedYear;
+    metric = Metrics.METRICS[q.get('metric')] ? q.get('metric') : 'cases';
+    compareMode = COMPARE_MODES.includes(q.get('compare')) ? q.get('compare') : 'off';
+    if (q.get('baseYear')) baseYear = parseYear(q.get('baseYear'));
+    compareStates = (q.get('states') || '').split(',').filter(Boolean);
+    heatmapSort = HEATMAP_SORTS.includes(q.get('sort')) ? q.get('sort') : 'name';
+    mapView = parseMapView(q.get('view'));
+    if (metricSelectHeader) metricSelectHeader.value = metric;
+    if (heatmapSortSelect) heatmapSortSelect.value = heatmapSort;
+    await setGrouping(q.get('group') || '');
+    if (!current || key !== diseaseKey) {
+      diseaseKey = key;
+      await Datasets.populateSelect(dsSelectHeader, key);
+      await populateYearSelectForDisease(key);
+      await loadAll();
+    } else {
+      if (yearSelectHeader) yearSelectHeader.value = selectedYear;
+      await renderCurrent();
+    }
+    if (leafletMap && !mapView) {
+      leafletMap.fitBounds(CONTIGUOUS_BOUNDS, { animate: false });
+      mapView = null; // the default view stays out of the URL
+    }
+  } finally {
+    restoringUrl = false;
+    urlViewKey = viewQuery(false);
+  }
+}
+
+window.addEventListener('popstate', () => {
+  applyUrl(new URLSearchParams(location.search)).catch(err => showAppStatus('Could not restore this view: ' + (err.message || err), 'error', 5000));
+});
+
+async function copyLink() {
+  const url = location.href;
+  try {
+    await navigator.clipboard.writeText(url);
+    showAppStatus('Link to this view copied', 'ok', 2000);
+  } catch (err) {
+    // clipboard API needs https (or localhost); let the user copy it by hand
+    window.prompt('Copy this link', url);
+  }
+}
+const copyLinkBtn = document.getElementById('copyLink');
+if (copyLinkBtn) copyLinkBtn.addEventListener('click', copyLink);
+
+const heatmapSortSelect = document.getElementById('heatmapSort');
+if (heatmapSortSelect) {
+  heatmapSortSelect.value = heatmapSort;
+  heatmapSortSelect.addEventListener('change', () => {
+    heatmapSort = heatmapSortSelect.value;
+    renderCurrent().catch(err => showAppStatus('Error sorting heatmap: ' + (err.message || err), 'error', 5000));
+  });
+}
+
+// ---------- image export ----------
+let legendText = { title: '', note: '' }; // what the legend card shows, reused for the exported map
+
+// choropleth (current view, without tiles) + insets + legend as one SVG
+function mapSvg() {
+  const svg = leafletMap && leafletMap.getPanes().overlayPane.querySelector('svg');
+  if (!svg || !choro.scale) throw new Error('the map is not drawn yet');
+  const insetSvgs = insetEl ? Array.from(insetEl.querySelectorAll('.map-inset')).map(box => ({ svg: box.querySelector('svg'), label: box.querySelector('.map-inset-label').textContent })) : [];
+  return Exporter.composeMapSvg({
+    title: `${current.dataset.name} — ${legendText.title}`,
+    map: svg,
+    insets: insetSvgs,
+    legend: { scale: choro.scale, title: legendText.title, format: formatGridCell, note: `${legendText.note} · Source: ${Datasets.citation(current.dataset)}` }
+  });
+}
+
+async function exportMap(fmt) {
+  const { svg, width, height } = mapSvg();
+  const name = `${Exporter.fileSlug(diseaseKey)}-${selectedYear}-map.${fmt}`;
+  if (fmt === 'svg') return Exporter.downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), name);
+  Exporter.download(await Exporter.svgToPNG(svg, width, height), name);
+}
+
+Exporter.addButtons(document.querySelector('#map').closest('.card').querySelector('.section-title'), { png: () => exportMap('png'), svg: () => exportMap('svg') });
+Exporter.addChartButtons(document.querySelector('main'), () => `${diseaseKey}-${selectedYear}`);
+
+// ---------- data export ----------
+// blank = no data, "suppressed" = withheld in the source; real zeros stay 0
+const exportCell = (s, y, v) => (v != null ? v : (viewStatus(s, y, null) === 'suppressed' ? 'suppressed' : null));
+
+function exportMeta(view) {
+  if (!current || !currentView) throw new Error('no data loaded yet');
+  return { disease: current.dataset.name, year: Number(selectedYear), metric: Metrics.label(metric), view, sourceFile: current.file, source: Datasets.citation(current.dataset) };
+}
+
+// the bars / choropleth: one value per state for the selected year (or the change since baseYear)
+function stateValuesTable() {
+  const meta = exportMeta(currentView.pairs ? `${compareMode === 'pct' ? 'Percent change' : 'Change'} ${baseYear} → ${selectedYear}` : `${unitLabel()} values`);
+  if (grouping) meta.grouping = grouping.name;
+  const states = Object.keys(currentView.stateValues);
+  const status = s => ({ ok: '', suppressed: 'suppressed', missing: 'no data' })[viewStatus(s, selectedYear, currentView.stateValues[s])];
+  const unitName = grouping ? grouping.key : 'states';
+  if (!currentView.pairs) {
+    return { name: `${diseaseKey}-${selectedYear}-${metric}-${unitName}`, meta, columns: [unitLabel(), `${Metrics.label(metric)} ${selectedYear}`, 'Status'],
+      rows: states.map(s => [s, currentView.stateValues[s], status(s)]) };
+  }
+  return {
+    name: `${diseaseKey}-${baseYear}-${selectedYear}-${metric}-change${grouping ? '-' + grouping.key : ''}`, meta,
+    columns: [unitLabel(), `${Metrics.label(metric)} ${baseYear}`, `${Metrics.label(metric)} ${selectedYear}`, meta.view, 'Status'],
+    rows: states.map(s => { const pr = currentView.pairs[s] || {}; return [s, pr.base ?? null, pr.target ?? null, currentView.stateValues[s], status(s)]; })
+  };
+}
+
+// the national trend line, with its forecast when one is drawn
+function nationalTable() {
+  const meta = exportMeta('National totals by year');
+  const { years } = current;
+  const vals = years.map(y => nationalValue(current, y));
+  const label = metric === 'cases' ? 'USA total' : `USA ${Metrics.METRICS[metric].short}`;
+  const fc = forecastModel ? Forecast.project(forecastModel, years, vals, forecastHorizon) : null;
+  if (!fc) return { name: `${diseaseKey}-${metric}-national`, meta, columns: ['Year', label], rows: years.map((y, i) => [y, vals[i]]) };
+  const rows = years.map((y, i) => [y, vals[i], 'reported', null, null])
+    .concat(fc.years.map((y, i) => [y, fc.mean[i], `forecast (${Forecast.MODELS[forecastModel].label})`, fc.lower[i], fc.upper[i]]));
+  return { name: `${diseaseKey}-${metric}-national`, meta, columns: ['Year', label, 'Type', 'Lower', 'Upper'], rows };
+}
 
+// the heatmap: state (or region) × year
+function pivotTable() {
+  const unit = unitNoun(1);
+  const meta = exportMeta(currentView.pairs ? `Change from ${baseYear}, ${unit} × year` : `${unitLabel()} × year`);
+  if (grouping) meta.grouping = grouping.name;
+  const { years } = current;
+  return {
+    name: `${diseaseKey}-${metric}-${grouping ? grouping.key : 'state'}-by-year`, meta, columns: [unitLabel()].concat(years),
+    rows: Object.keys(currentView.grid).map(s => [s].concat(years.map(y => exportCell(s, y, currentView.grid[s][y]))))
+  };
+}
 
+// the rankings table as displayed (filters and sort applied)
+function rankingsTable() {
+  const meta = exportMeta(`${unitLabel()} rankings`);
+  if (grouping) meta.grouping = grouping.name;
+  const rows = rankTableView ? rankTableView.visibleRows() : rankRows;
+  return {
+    name: `${diseaseKey}-${selectedYear}-${metric}-rankings${grouping ? '-' + grouping.key : ''}`, meta,
+    columns: ['Rank', unitLabel(), `${Metrics.label(metric)} ${selectedYear}`, 'Previous rank', 'Change in rank'],
+    rows: rows.map(r => [r.rank, r.name, r.value, r.prevRank, r.change])
+  };
+}
+
+// the bump chart: every state's (or region's) rank in every year
+function ranksByYearTable() {
+  const meta = exportMeta(`${unitLabel()} rank by year`);
+  if (grouping) meta.grouping = grouping.name;
+  const mp = rankedPivot(metricPivot(current));
+  const { years } = current;
+  const { ranks } = Rankings.byYear(mp, years);
+  return {
+    name: `${diseaseKey}-${metric}-${grouping ? grouping.key : 'state'}-rank-by-year`, meta, columns: [unitLabel()].concat(years),
+    rows: Object.keys(mp).sort().map(n => [n].concat(years.map(y => (ranks[y][n] != null ? ranks[y][n] : null))))
+  };
+}
 
+Exporter.addDataMenu(document.getElementById('exportMenu'), [
+  { label: 'Map values (selected year)', table: stateValuesTable },
+  { label: 'Rankings (selected year)', table: rankingsTable },
+  { label: 'Ranks by year', table: ranksByYearTable },
+  { label: 'National totals by year', table: nationalTable },
+  { label: 'Heatmap table (× year)', table: pivotTable }
+]);
 
+// ---------- your datasets (uploads) ----------
+const uploadWizardEl = document.getElementById('uploadWizard');
+
+async function renderUploadList() {
+  Upload.renderList(document.getElementById('uploadList'), await Datasets.listUploads(), { onOpen: showDataset, onRemove: removeUploadedDataset });
+}
+
+// switch the page to another dataset (built-in or uploaded)
+async function showDataset(key) {
+  stopPlayback();
+  diseaseKey = key;
+  await Datasets.populateSelect(dsSelectHeader, key);
+  await populateYearSelectForDisease(key);
+  await loadAll();
+}
+
+async function onUploadFile(file, error) {
+  if (!file) return showAppStatus(error, 'error', 4000);
+  showAppStatus(`Reading ${file.name} ...`, 'warn');
+  try {
+    const raw = await Datasets.parseUpload(file);
+    if (!raw.length) throw new Error('no rows found');
+    showAppStatus(`${file.name}: ${raw.length.toLocaleString()} rows — map the columns below`, 'ok', 3000);
+    Upload.renderWizard(uploadWizardEl, {
+      raw, fileName: file.name, geo: await loadGeo(),
+      onSave: async spec => {
+        try {
+          const key = await Datasets.saveUpload(spec);
+          uploadWizardEl.innerHTML = '';
+          await renderUploadList();
+          await showDataset(key);
+        } catch (err) {
+          showAppStatus('Could not save upload: ' + (err.message || err), 'error', 6000);
+        }
+      }
+    });
+  } catch (err) {
+    showAppStatus(`Could not read ${file.name}: ${err.message || err}`, 'error', 6000);
+  }
+}
+
+async function removeUploadedDataset(key) {
+  await Datasets.removeUpload(key);
+  await renderUploadList();
+  if (key !== diseaseKey) return Datasets.populateSelect(dsSelectHeader, diseaseKey);
+  const first = (await Datasets.listDatasets())[0];
+  if (first) await showDataset(first.key);
+}
+
+Upload.bindDropZone(document.getElementById('uploadDrop'), document.getElementById('uploadInput'), onUploadFile);
+renderUploadList();
+
+// base map: swap the tile layer in place
+const baseMapSelect = document.getElementById('baseMapSelect');
+Offline.populateBaseMapSelect(baseMapSelect, baseMap);
+if (baseMapSelect) baseMapSelect.addEventListener('change', () => {
+  baseMap = baseMapSelect.value;
+  sessionStorage.setItem('lastBaseMap', baseMap);
+  if (!leafletMap) return;
+  if (baseLayer) leafletMap.removeLayer(baseLayer);
+  baseLayer = Offline.addBaseLayer(leafletMap, baseMap);
+});
+
+Offline.register(showAppStatus);
+
+// wire buttons
+if (loadHeader) loadHeader.addEventListener('click', () => { stopPlayback(); loadAll(); });
+if (dsSelectHeader) dsSelectHeader.addEventListener('change', () => { stopPlayback(); populateYearSelectForDisease(dsSelectHeader.value); });
+if (metricSelectHeader) {
+  metricSelectHeader.value = metric;
+  metricSelectHeader.addEventListener('change', () => {
+    metric = metricSelectHeader.value;
+    sessionStorage.setItem('lastMetric', metric);
+    renderCurrent().catch(err => showAppStatus('Error drawing ' + Metrics.label(metric) + ': ' + (err.message || err), 'error', 5000));
+  });
+}
+
+if (groupingSelectHeader) groupingSelectHeader.addEventListener('change', () => {
+  stopPlayback();
+  setGrouping(groupingSelectHeader.value)
+    .then(() => renderCurrent())
+    .catch(err => showAppStatus('Error drawing regions: ' + (err.message || err), 'error', 5000));
+});
+
+// regions are optional: a missing or broken regions.json leaves the map on single states
+async function initGrouping() {
+  try {
+    await Regions.populateSelect(groupingSelectHeader, groupingKey);
+    await setGrouping(groupingKey);
+  } catch (err) {
+    console.warn('region groupings unavailable', err);
+    if (groupingSelectHeader) groupingSelectHeader.disabled = true;
+    grouping = null;
+    syncUnitTitles();
+  }
+}
 
+// init: build the disease list from the manifest, then years, then data
+Datasets.populateSelect(dsSelectHeader, diseaseKey)
+  .catch(e => showAppStatus('Failed to load dataset list: ' + (e.message || e), 'error', 5000))
+  .then(initGrouping)
+  .then(() => populateYearSelectForDisease(diseaseKey))
+  .then(() => {
+    // set yearSelectHeader value if present
+    if (yearSelectHeader && selectedYear) yearSelectHeader.value = selectedYear;
+    loadAll();
+  })
+  .catch(e => { console.warn('init populate fail', e); loadAll(); });
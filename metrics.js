@@ -0,0 +1,153 @@
+/* metrics.js - shared metric helpers (raw counts, rate per 100k, age-adjusted rate)
+   - loads the bundled population table (population.json, refreshed with tools/population.js) once per page
+   - aggregate(): one value for a group of states (national totals, regional rollups)
+   - isState(): the 50 states and DC; rankings and "median state" figures leave the territories (and Palau) out
+   - exposes window.Metrics used by map.js and state.js
+*/
+(function(){
+  const RATE_BASE = 100000;
+
+  const METRICS = {
+    cases: { label: 'Cases', short: 'cases', unit: 'cases' },
+    rate: { label: 'Rate per 100,000', short: 'rate', unit: 'per 100k' },
+    ageAdjusted: { label: 'Age-adjusted rate per 100,000', short: 'age-adj. rate', unit: 'per 100k (age-adj.)' }
+  };
+
+  // column names that carry an age-adjusted rate, when a dataset provides one
+  const AGE_ADJUSTED_COLUMNS = ['AgeAdjustedRate', 'Age-adjusted Rate', 'Age Adjusted Rate', 'age_adjusted_rate', 'ageAdjustedRate'];
+
+  // the 50 states and DC (names as in population.json)
+  const STATES = new Set([
+    'Alabama', 'Alaska', 'Arizona', 'Arkansas', 'California', 'Colorado', 'Connecticut', 'Delaware', 'District of Columbia',
+    'Florida', 'Georgia', 'Hawaii', 'Idaho', 'Illinois', 'Indiana', 'Iowa', 'Kansas', 'Kentucky', 'Louisiana', 'Maine',
+    'Maryland', 'Massachusetts', 'Michigan', 'Minnesota', 'Mississippi', 'Missouri', 'Montana', 'Nebraska', 'Nevada',
+    'New Hampshire', 'New Jersey', 'New Mexico', 'New York', 'North Carolina', 'North Dakota', 'Ohio', 'Oklahoma', 'Oregon',
+    'Pennsylvania', 'Rhode Island', 'South Carolina', 'South Dakota', 'Tennessee', 'Texas', 'Utah', 'Vermont', 'Virginia',
+    'Washington', 'West Virginia', 'Wisconsin', 'Wyoming'
+  ]);
+
+  let popCache = null;
+
+  async function loadPopulation() {
+    if (popCache) return popCache;
+    try {
+      const r = await fetch('population.json');
+      if (!r.ok) throw new Error('Failed to load population.json: ' + r.status);
+      popCache = await r.json();
+    } catch (err) {
+      console.warn('[metrics] population table unavailable', err);
+      popCache = { years: [], states: {}, aliases: {} };
+    }
+    return popCache;
+  }
+
+  function canonicalName(name) {
+    const n = String(name || '').trim();
+    const aliases = (popCache && popCache.aliases) || {};
+    return aliases[n] || n;
+  }
+
+  // true for the 50 states and DC; aliases resolve through population.json, so call after loadPopulation()
+  function isState(name) {
+    return STATES.has(canonicalName(name));
+  }
+
+  // population for a state/year: the table's figure for that year (annual Census estimates where bundled);
+  // a year without one is interpolated between the nearest years that have one, or takes the first / last figure outside them
+  function populationFor(state, year) {
+    if (!popCache) return null;
+    const series = popCache.states[canonicalName(state)];
+    const y = Number(year);
+    if (!series || !Number.isFinite(y)) return null;
+    const known = (popCache.years || []).map((yr, i) => ({ yr, v: series[i] })).filter(k => k.v != null);
+    if (!known.length) return null;
+    const next = known.findIndex(k => k.yr >= y);
+    if (next === 0) return known[0].v;
+    if (next < 0) return known[known.length - 1].v;
+    const a = known[next - 1], b = known[next];
+    if (b.yr === y) return b.v;
+    return Math.round(a.v + (y - a.yr) / (b.yr - a.yr) * (b.v - a.v));
+  }
+
+  function ageAdjustedColumn(rows) {
+    const first = (rows || []).find(r => r && typeof r === 'object');
+    if (!first) return null;
+    return AGE_ADJUSTED_COLUMNS.find(c => Object.prototype.hasOwnProperty.call(first, c)) || null;
+  }
+
+  function isAvailable(metric, rows) {
+    if (metric === 'ageAdjusted') return !!ageAdjustedColumn(rows);
+    return !!METRICS[metric];
+  }
+
+  // value of `metric` for one state-year; `ageAdjusted` is the dataset's own rate if any
+  function valueFor(metric, cases, state, year, ageAdjusted) {
+    if (metric === 'rate') {
+      const pop = populationFor(state, year);
+      if (!pop || cases == null || !Number.isFinite(Number(cases))) return null;
+      return Number(cases) / pop * RATE_BASE;
+    }
+    if (metric === 'ageAdjusted') {
+      const n = Number(ageAdjusted);
+      return ageAdjusted == null || ageAdjusted === '' || !Number.isFinite(n) ? null : n;
+    }
+    return cases == null ? null : Number(cases);
+  }
+
+  // one value for a group of states in one year: summed cases, or a rate over their combined population
+  // (age-adjusted rates are population-weighted); states without a population count are left out of rates.
+  // pivot / aaPivot: state → year → cases / age-adjusted rate. null when no state in the group has a value.
+  function aggregate(metric, states, year, pivot, aaPivot) {
+    let cases = 0, pop = 0, weighted = 0, counted = 0;
+    states.forEach(s => {
+      const c = pivot[s] ? pivot[s][year] : null;
+      if (metric === 'cases') { if (c != null) { cases += c; counted += 1; } return; }
+      const p = populationFor(s, year);
+      if (!p) return;
+      const aa = aaPivot && aaPivot[s] ? aaPivot[s][year] : null;
+      if (metric === 'rate' && c != null) { cases += c; pop += p; counted += 1; }
+      if (metric === 'ageAdjusted' && aa != null) { weighted += aa * p; pop += p; counted += 1; }
+    });
+    if (!counted) return null;
+    if (metric === 'cases') return cases;
+    return metric === 'rate' ? cases / pop * RATE_BASE : weighted / pop;
+  }
+
+  function formatValue(metric, v) {
+    if (v == null || !Number.isFinite(Number(v))) return 'No data';
+    const n = Number(v);
+    if (metric === 'cases') return `${Math.round(n).toLocaleString()} cases`;
+    const digits = Math.abs(n) >= 100 ? 0 : (Math.abs(n) >= 10 ? 1 : 2);
+    return `${n.toLocaleString(undefined, { maximumFractionDigits: digits })} ${METRICS[metric] ? METRICS[metric].unit : ''}`.trim();
+  }
+
+  function label(metric) { return (METRICS[metric] || METRICS.cases).label; }
+
+  // enable/disable options on a metric <select>; falls back to 'cases' when the choice is unavailable
+  function syncMetricSelect(selectEl, rows, metric) {
+    if (!selectEl) return metric;
+    Array.from(selectEl.options).forEach(o => {
+      o.disabled = !isAvailable(o.value, rows);
+      o.title = o.disabled ? 'Not provided by this dataset' : '';
+    });
+    const chosen = isAvailable(metric, rows) ? metric : 'cases';
+    selectEl.value = chosen;
+    return chosen;
+  }
+
+  window.Metrics = {
+    RATE_BASE,
+    METRICS,
+    loadPopulation,
+    populationFor,
+    canonicalName,
+    isState,
+    ageAdjustedColumn,
+    isAvailable,
+    valueFor,
+    aggregate,
+    formatValue,
+    label,
+    syncMetricSelect
+  };
+})();
@@ -0,0 +1,80 @@
+/* offline.js - offline support shared by every page
+   - registers sw.js (needs http(s); opening the files directly from disk skips it)
+   - reports going offline / back online and how old cached data is
+   - tile-free base map: the geojson drawn on a plain background instead of OpenStreetMap tiles
+   - exposes window.Offline
+*/
+(function(){
+  const TILE_URL = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+  const CACHED_AT_HEADER = 'X-Cached-At'; // set by sw.js on responses it serves from its cache
+
+  const BASE_MAPS = {
+    tiles: { label: 'OpenStreetMap tiles' },
+    outline: { label: 'Outline only (offline)' }
+  };
+
+  // register the service worker and forward connectivity changes to `notify(message, type)`
+  function register(notify) {
+    const say = notify || ((m) => console.info('[offline]', m));
+    if ('serviceWorker' in navigator && /^https?:$/.test(location.protocol)) {
+      navigator.serviceWorker.register('sw.js').catch(err => console.warn('Service worker registration failed', err));
+    }
+    window.addEventListener('offline', () => say('You are offline — running from the cached copy', 'warn'));
+    window.addEventListener('online', () => say('Back online', 'ok'));
+    if (navigator.onLine === false) say('You are offline — running from the cached copy', 'warn');
+  }
+
+  // ms timestamp a response was cached at, or null when it came from the network
+  function cachedAt(response) {
+    const v = response && response.headers && response.headers.get(CACHED_AT_HEADER);
+    return v ? Number(v) : null;
+  }
+
+  // "3 days old (cached 2026-10-16)"
+  function describeAge(ts) {
+    if (!ts) return '';
+    const mins = Math.max(0, Math.round((Date.now() - ts) / 60000));
+    let age;
+    if (mins < 60) age = `${mins} min old`;
+    else if (mins < 48 * 60) age = `${Math.round(mins / 60)} h old`;
+    else age = `${Math.round(mins / 1440)} days old`;
+    return `${age} (cached ${new Date(ts).toISOString().slice(0, 10)})`;
+  }
+
+  // tiles when online, otherwise the outline; an explicit choice wins
+  function defaultBaseMap(saved) {
+    if (BASE_MAPS[saved]) return saved;
+    return navigator.onLine === false ? 'outline' : 'tiles';
+  }
+
+  // put the chosen base map under a Leaflet map; returns the tile layer (null for the outline)
+  function addBaseLayer(map, mode) {
+    const container = map.getContainer();
+    container.classList.toggle('map-outline-only', mode === 'outline');
+    if (mode === 'outline') return null;
+    return L.tileLayer(TILE_URL).addTo(map);
+  }
+
+  // fill a base map <select>
+  function populateBaseMapSelect(selectEl, selected) {
+    if (!selectEl) return;
+    selectEl.innerHTML = '';
+    Object.keys(BASE_MAPS).forEach(k => {
+      const o = document.createElement('option');
+      o.value = k;
+      o.textContent = BASE_MAPS[k].label;
+      selectEl.appendChild(o);
+    });
+    selectEl.value = defaultBaseMap(selected);
+  }
+
+  window.Offline = {
+    BASE_MAPS,
+    register,
+    cachedAt,
+    describeAge,
+    defaultBaseMap,
+    addBaseLayer,
+    populateBaseMapSelect
+  };
+})();
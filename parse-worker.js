@@ -0,0 +1,32 @@
+/* parse-worker.js - parses dataset files off the main thread for data.js
+   - { id, type: 'table', name, buffer, columns } → { id, table: { raw, rows, years, states } }
+   - { id, type: 'json', url } → { id, json } (the 2.5 MB usa_states.geojson)
+   - failures come back as { id, error } and data.js retries on the main thread
+*/
+self.window = self; // data.js attaches itself to window
+importScripts('data.js');
+
+function ensureXLSX() {
+  for (const src of Datasets.XLSX_SOURCES) {
+    if (typeof XLSX !== 'undefined') return;
+    try { importScripts(src); } catch (err) { /* try the next source */ }
+  }
+  if (typeof XLSX === 'undefined') throw new Error('XLSX library not available to parse .xlsx');
+}
+
+self.onmessage = async e => {
+  const { id, type } = e.data;
+  try {
+    if (type === 'json') {
+      const r = await fetch(e.data.url);
+      if (!r.ok) throw new Error(`Failed to fetch ${e.data.url}: ${r.status}`);
+      self.postMessage({ id, json: await r.json() });
+      return;
+    }
+    if (/\.xlsx$/i.test(e.data.name)) ensureXLSX();
+    const raw = Datasets.parseBuffer(e.data.name, e.data.buffer);
+    self.postMessage({ id, table: Datasets.buildTable(raw, e.data.columns) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message || String(err) });
+  }
+};
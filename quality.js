@@ -0,0 +1,179 @@
+/* quality.js - data quality checks for a dataset's raw rows
+   - unmatched state names (not a NAME in usa_states.geojson), duplicate state-years, suppressed and
+     non-numeric / negative case values, bad years, missing years per state, unexpected columns
+   - every issue keeps the indexes of the raw rows behind it so the report can show them
+   - checkAll() runs the same checks over every dataset in datasets.json
+   - exposes window.Quality
+*/
+(function(){
+  const ISSUE_TYPES = {
+    unmatchedState: 'State not on the map',
+    duplicate: 'Duplicate state-year',
+    suppressed: 'Suppressed cases',
+    nonNumeric: 'Non-numeric cases',
+    negative: 'Negative cases',
+    badYear: 'Missing or invalid year',
+    missingYears: 'Missing years',
+    unexpectedColumn: 'Unexpected column'
+  };
+
+  // value of a mapped field in a raw row, plus the column it came from
+  function field(row, columns, name) {
+    const names = Datasets.columnCandidates(columns, name);
+    for (const n of names) if (row[n] !== undefined && row[n] !== null && row[n] !== '') return { column: n, value: row[n] };
+    return { column: names[0], value: null };
+  }
+
+  function geoNameSet(geo) {
+    return new Set(((geo && geo.features) || []).map(f => String(f.properties.NAME || f.properties.name || '').trim()));
+  }
+
+  // { dataset, file, rowCount, columns, issues: [{ type, label, detail, rows: [index] }] }
+  function check(raw, dataset, geo, file) {
+    const rows = raw || [];
+    const columns = (dataset && dataset.columns) || {};
+    const breakdowns = (dataset && dataset.breakdowns) || []; // uploads: rows repeat per breakdown value
+    const names = geoNameSet(geo);
+    const issues = [];
+    const add = (type, detail, idx) => issues.push({ type, label: ISSUE_TYPES[type], detail, rows: idx });
+
+    const byName = {}, byKey = {}, yearsByState = {};
+    const suppressed = [], nonNumeric = [], negative = [], badYear = [];
+    const allYears = new Set();
+
+    rows.forEach((r, i) => {
+      const state = String(field(r, columns, 'state').value || '').trim();
+      const yRaw = field(r, columns, 'year').value;
+      const cRaw = field(r, columns, 'cases').value;
+      const year = Number(yRaw);
+      const yearOk = yRaw != null && Number.isInteger(year) && year > 1800 && year < 2200;
+
+      if (state && names.size && !names.has(state)) (byName[state] = byName[state] || []).push(i);
+      if (!yearOk) badYear.push(i);
+      if (state && yearOk) {
+        const key = [state, year].concat(breakdowns.map(b => r[b])).join('|');
+        (byKey[key] = byKey[key] || []).push(i);
+        (yearsByState[state] = yearsByState[state] || new Set()).add(year);
+        allYears.add(year);
+      }
+
+      const parsed = Datasets.parseCases(cRaw);
+      if (parsed.suppressed) suppressed.push(i);
+      else if (parsed.cases == null) nonNumeric.push(i);
+      else if (parsed.cases < 0) negative.push(i);
+    });
+
+    Object.keys(byName).sort().forEach(s => add('unmatchedState', `"${s}" has no shape in usa_states.geojson (${byName[s].length} rows)`, byName[s]));
+    Object.keys(byKey).filter(k => byKey[k].length > 1).forEach(k => {
+      const [s, y, ...rest] = k.split('|');
+      add('duplicate', `${[s, y].concat(rest).join(' ')} appears ${byKey[k].length} times (summed on the map)`, byKey[k]);
+    });
+    if (suppressed.length) add('suppressed', `${suppressed.length} rows are suppressed in the source (${Datasets.SUPPRESSION_MARKERS.map(m => m ? `"${m}"` : 'blank').join(', ')}); shown hatched`, suppressed);
+    if (nonNumeric.length) add('nonNumeric', `${nonNumeric.length} rows have case values that are neither numbers nor suppression markers (shown as no data)`, nonNumeric);
+    if (negative.length) add('negative', `${negative.length} rows have negative case values`, negative);
+    if (badYear.length) add('badYear', `${badYear.length} rows have a blank or non-integer year (dropped)`, badYear);
+
+    // years inside the dataset's overall range that a state never reports
+    const span = Array.from(allYears).sort((a, b) => a - b);
+    Object.keys(yearsByState).sort().forEach(s => {
+      const missing = span.filter(y => !yearsByState[s].has(y));
+      if (!missing.length) return;
+      const idx = rows.map((r, i) => (String(field(r, columns, 'state').value || '').trim() === s ? i : -1)).filter(i => i >= 0);
+      add('missingYears', `${s}: no rows for ${missing.join(', ')}`, idx);
+    });
+
+    // columns the manifest doesn't map and the app doesn't otherwise read
+    const known = new Set(['state', 'year', 'cases'].flatMap(f => Datasets.columnCandidates(columns, f)).concat(breakdowns));
+    const aaCol = Metrics.ageAdjustedColumn(rows);
+    if (aaCol) known.add(aaCol);
+    const seen = new Set();
+    rows.forEach(r => Object.keys(r).forEach(k => seen.add(k)));
+    Array.from(seen).filter(c => !known.has(c)).forEach(c => {
+      const idx = rows.map((r, i) => (r[c] != null && r[c] !== '' ? i : -1)).filter(i => i >= 0);
+      add('unexpectedColumn', `Column "${c}" is not mapped in datasets.json (${idx.length} non-empty values)`, idx);
+    });
+
+    return { dataset, file, rowCount: rows.length, columns: Array.from(seen), issues };
+  }
+
+  // every manifest dataset, one at a time; failures are reported instead of thrown
+  async function checkAll(geo, onProgress) {
+    const reports = [];
+    for (const ds of await Datasets.listDatasets()) {
+      if (onProgress) onProgress(ds);
+      try {
+        const file = await Datasets.pickFilenameForKey(ds.key);
+        reports.push(check(await Datasets.fetchRowsFromFile(file), ds, geo, file));
+      } catch (err) {
+        reports.push({ dataset: ds, file: ds.file, rowCount: 0, columns: [], issues: [], error: err.message || String(err) });
+      }
+    }
+    return reports;
+  }
+
+  function countsByType(report) {
+    const out = {};
+    report.issues.forEach(is => { out[is.type] = (out[is.type] || 0) + 1; });
+    return out;
+  }
+
+  // the offending rows of one issue, numbered as in the source sheet (header = row 1)
+  function rowsTable(raw, issue, columns) {
+    const shown = issue.rows.slice(0, 200);
+    let html = '<table class="dq-rows"><thead><tr><th>Row</th>' + columns.map(c => `<th>${Util.escapeHtml(c)}</th>`).join('') + '</tr></thead><tbody>';
+    shown.forEach(i => {
+      html += `<tr><td>${i + 2}</td>` + columns.map(c => `<td>${Util.escapeHtml(raw[i][c])}</td>`).join('') + '</tr>';
+    });
+    html += '</tbody></table>';
+    if (issue.rows.length > shown.length) html += `<div class="note">…and ${issue.rows.length - shown.length} more rows</div>`;
+    return html;
+  }
+
+  // one <details> per issue; opening it lists the rows behind it
+  function renderReport(el, report, raw) {
+    if (!el) return;
+    if (report.error) { el.innerHTML = `<div class="note">Could not check ${Util.escapeHtml(report.file)}: ${Util.escapeHtml(report.error)}</div>`; return; }
+    const name = report.dataset ? report.dataset.name : report.file;
+    let html = `<div class="note">${Util.escapeHtml(name)} · ${Util.escapeHtml(report.file)} · ${report.rowCount.toLocaleString()} rows · ${report.issues.length ? `${report.issues.length} issues` : 'no issues found'}</div>`;
+    html += '<div class="dq-issues">';
+    report.issues.forEach((is, n) => {
+      html += `<details class="dq-issue dq-${is.type}" data-issue="${n}"><summary><strong>${Util.escapeHtml(is.label)}</strong> — ${Util.escapeHtml(is.detail)}</summary><div class="dq-rows-wrap"></div></details>`;
+    });
+    el.innerHTML = html + '</div>';
+    // build the row tables lazily; big datasets can have thousands of flagged rows
+    el.querySelectorAll('details.dq-issue').forEach(d => d.addEventListener('toggle', () => {
+      const wrap = d.querySelector('.dq-rows-wrap');
+      if (!d.open || wrap.childElementCount) return;
+      wrap.innerHTML = raw ? rowsTable(raw, report.issues[Number(d.getAttribute('data-issue'))], report.columns) : '<div class="note">Row details unavailable</div>';
+    }));
+  }
+
+  // dataset × issue-type count table for checkAll(); clicking a dataset opens its full report in `detailEl`
+  function renderSummary(el, reports, detailEl, loadRaw) {
+    if (!el) return;
+    const types = Object.keys(ISSUE_TYPES);
+    let html = '<table class="dq-summary"><thead><tr><th>Dataset</th><th>Rows</th>' + types.map(t => `<th>${ISSUE_TYPES[t]}</th>`).join('') + '</tr></thead><tbody>';
+    reports.forEach((r, n) => {
+      const counts = countsByType(r);
+      const name = Util.escapeHtml(r.dataset ? r.dataset.name : r.file);
+      html += `<tr><td><a href="#" data-report="${n}">${name}</a></td><td>${r.error ? 'error' : r.rowCount.toLocaleString()}</td>` + types.map(t => `<td>${counts[t] || ''}</td>`).join('') + '</tr>';
+    });
+    el.innerHTML = html + '</tbody></table>';
+    el.querySelectorAll('a[data-report]').forEach(a => a.addEventListener('click', async e => {
+      e.preventDefault();
+      const report = reports[Number(a.getAttribute('data-report'))];
+      const raw = loadRaw && !report.error ? await loadRaw(report) : null;
+      renderReport(detailEl, report, raw);
+      if (detailEl && detailEl.scrollIntoView) detailEl.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }));
+  }
+
+  window.Quality = {
+    ISSUE_TYPES,
+    check,
+    checkAll,
+    countsByType,
+    renderReport,
+    renderSummary
+  };
+})();
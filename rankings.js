@@ -0,0 +1,71 @@
+/* rankings.js - where each state (or region) stands, year by year
+   - rank 1 is the highest value; ties share the better rank (1, 2, 2, 4); states without a value are left unranked
+   - change in rank is against the previous year the data has; positive = moved up (towards 1)
+   - grid: name → year → value, as built by the map page (metricPivot) or state.js
+   - exposes window.Rankings used by map.js and state.js
+*/
+(function(){
+  // name → rank for one year's { name → value }
+  function rank(values) {
+    const names = Object.keys(values).filter(n => Number.isFinite(values[n]));
+    names.sort((a, b) => values[b] - values[a]);
+    const out = {};
+    names.forEach((n, i) => { out[n] = i > 0 && values[n] === values[names[i - 1]] ? out[names[i - 1]] : i + 1; });
+    return out;
+  }
+
+  function valuesFor(grid, year) {
+    const out = {};
+    Object.keys(grid).forEach(n => { const v = grid[n][year]; if (v != null) out[n] = v; });
+    return out;
+  }
+
+  // year → name → rank, and year → how many were ranked
+  function byYear(grid, years) {
+    const ranks = {}, counts = {};
+    years.forEach(y => {
+      ranks[y] = rank(valuesFor(grid, y));
+      counts[y] = Object.keys(ranks[y]).length;
+    });
+    return { ranks, counts };
+  }
+
+  /* ranked rows for `year`, best first:
+     [{ name, rank, value, prevRank, change }] (prevRank / change null when the previous year has no rank for it) */
+  function table(grid, years, year) {
+    const i = years.map(String).indexOf(String(year));
+    const prev = i > 0 ? years[i - 1] : null;
+    const now = rank(valuesFor(grid, year));
+    const before = prev != null ? rank(valuesFor(grid, prev)) : {};
+    return Object.keys(now).map(name => {
+      const prevRank = before[name] != null ? before[name] : null;
+      return { name, rank: now[name], value: grid[name][year], prevRank, change: prevRank != null ? prevRank - now[name] : null };
+    }).sort((a, b) => a.rank - b.rank || a.name.localeCompare(b.name));
+  }
+
+  function ordinal(n) {
+    const s = ['th', 'st', 'nd', 'rd'], v = n % 100;
+    return n + (s[(v - 20) % 10] || s[v] || s[0]);
+  }
+
+  // "3rd highest of 51"
+  function describe(r, count) {
+    return r == null ? 'not ranked' : `${ordinal(r)} highest of ${count}`;
+  }
+
+  // "▲ 3", "▼ 2", "—" (no change), "" (no previous rank)
+  function formatChange(change) {
+    if (change == null) return '';
+    if (change === 0) return '—';
+    return `${change > 0 ? '▲' : '▼'} ${Math.abs(change)}`;
+  }
+
+  window.Rankings = {
+    rank,
+    byYear,
+    table,
+    ordinal,
+    describe,
+    formatChange
+  };
+})();
@@ -0,0 +1,287 @@
+/* region.js - one region of a grouping from regions.json (Census region / division, HHS region, custom)
+   - ?group=<grouping key>&region=<name>&disease=… plus year / metric, as linked from the map's rolled-up views
+   - region values are Metrics.aggregate over the member states the dataset has rows for
+   - map of the members, region trend, member bars and a member table that links to each state page
+*/
+
+const p = new URLSearchParams(window.location.search);
+const groupKey = p.get('group');
+const regionName = p.get('region');
+const diseaseKey = p.get('disease');
+let selectedYear = p.get('year') ? Number(p.get('year')) : null;
+let metric = p.get('metric') || sessionStorage.getItem('lastMetric') || 'cases';
+
+if (!groupKey || !regionName || !diseaseKey) {
+  const titleEl = document.getElementById('regionTitle');
+  if (titleEl) titleEl.textContent = 'Missing parameters';
+  throw new Error('Missing parameters: group, region or disease');
+}
+document.getElementById('regionTitle').textContent = `${regionName} — Regional Report`;
+
+/* helpers */
+function stateLink(state) {
+  let href = `state.html?state=${encodeURIComponent(state)}&disease=${encodeURIComponent(diseaseKey)}&metric=${encodeURIComponent(metric)}`;
+  if (selectedYear) href += `&year=${encodeURIComponent(selectedYear)}`;
+  return href;
+}
+
+// keep year and metric in the URL (and the back link on the rolled-up map)
+function syncUrl() {
+  const q = new URLSearchParams(window.location.search);
+  q.set('year', selectedYear);
+  q.set('metric', metric);
+  history.replaceState(null, '', `${window.location.pathname}?${q.toString()}`);
+  const back = document.getElementById('backToMap');
+  if (back) back.href = `map.html?disease=${encodeURIComponent(diseaseKey)}&year=${encodeURIComponent(selectedYear)}&metric=${encodeURIComponent(metric)}&group=${encodeURIComponent(groupKey)}`;
+}
+
+/* data */
+let current = null; // { dataset, file, grouping, members, listed, years, pivot, aaPivot, suppressed, cachedAt }
+
+function memberValue(s, y) {
+  return Metrics.valueFor(metric, current.pivot[s][y], s, y, current.aaPivot[s][y]);
+}
+function regionValue(y) {
+  return Metrics.aggregate(metric, current.members, y, current.pivot, current.aaPivot);
+}
+function memberStatus(s, y) {
+  if (current.pivot[s][y] != null) return 'ok';
+  return current.suppressed[s][y] ? 'suppressed' : 'missing';
+}
+
+async function loadRegion() {
+  const grouping = await Regions.load(groupKey);
+  const def = grouping.regions.find(g => g.name === regionName);
+  if (!def) throw new Error(`${regionName} is not one of the ${grouping.name}`);
+  const { dataset, file, rows, years, states, cachedAt } = await Datasets.loadRows(diseaseKey);
+  if (!rows || !rows.length) throw new Error('No data rows found in ' + file);
+  await Metrics.loadPopulation();
+
+  // same state × year pivot as the map page; only the member states are read from it
+  const members = Regions.members(grouping, regionName, states);
+  const { pivot, aaPivot, suppressed } = Datasets.pivot(rows);
+
+  // members listed in the grouping that the dataset has no rows for
+  const found = new Set(members.map(Metrics.canonicalName));
+  const absent = def.states.filter(s => !found.has(Metrics.canonicalName(s)));
+
+  current = { dataset, file, grouping, members, absent, years, pivot, aaPivot, suppressed, cachedAt };
+  if (!years.includes(selectedYear)) selectedYear = years[years.length - 1];
+  populateYearSelect();
+  metric = Metrics.syncMetricSelect(document.getElementById('metricSelectRegion'), rows, metric);
+
+  const sourceEl = document.getElementById('regionSource');
+  if (sourceEl) {
+    sourceEl.textContent = `${dataset.name} · Source: ${Datasets.citation(dataset)} · Regions: ${grouping.name}` + (grouping.source ? ` (${grouping.source})` : '')
+      + (cachedAt ? ` · offline copy, ${Offline.describeAge(cachedAt)}` : '');
+  }
+  renderAll();
+  try { await initRegionMap(await Datasets.loadGeo()); }
+  catch (e) { console.warn('[region.js] could not load usa_states.geojson', e); }
+}
+
+function populateYearSelect() {
+  const sel = document.getElementById('yearSelectRegion');
+  if (!sel) return;
+  sel.innerHTML = '';
+  current.years.forEach(y => {
+    const o = document.createElement('option');
+    o.value = y;
+    o.textContent = y;
+    sel.appendChild(o);
+  });
+  sel.value = selectedYear;
+}
+
+/* views */
+function renderAll() {
+  if (!current) return;
+  renderSummary();
+  drawLine();
+  drawMemberBar();
+  renderMemberTable();
+  syncUrl();
+}
+
+function renderSummary() {
+  const el = document.getElementById('regionSummary');
+  if (!el) return;
+  const v = regionValue(selectedYear);
+  const reporting = current.members.filter(s => memberStatus(s, selectedYear) === 'ok').length;
+  let text = `${current.grouping.name} · ${Metrics.label(metric)} (${selectedYear}): ${Metrics.formatValue(metric, v)}`;
+  const prev = regionValue(selectedYear - 1);
+  if (Number.isFinite(v) && Number.isFinite(prev) && prev !== 0) {
+    const pct = (v - prev) / prev * 100;
+    text += ` · ${pct >= 0 ? '+' : '−'}${Math.abs(pct).toFixed(1)}% vs ${selectedYear - 1}`;
+  }
+  text += ` · ${reporting} of ${current.members.length} member state${current.members.length === 1 ? '' : 's'} reporting`;
+  el.textContent = text;
+}
+
+function drawLine() {
+  Util.safeDestroy(window._regionLine);
+  const el = document.getElementById('regionLine');
+  if (!el) return;
+  const colors = Theme.colors();
+  const years = current.years;
+  window._regionLine = new Chart(el.getContext('2d'), {
+    type: 'line',
+    data: {
+      labels: years,
+      datasets: [{
+        label: `${regionName} — ${Metrics.label(metric)}`, data: years.map(regionValue),
+        borderColor: colors.primary, backgroundColor: colors.primaryFill, fill: true, tension: 0.25, spanGaps: false,
+        pointRadius: years.map(y => (y === selectedYear ? 6 : 3))
+      }]
+    },
+    options: {
+      responsive: true, maintainAspectRatio: false,
+      plugins: { legend: { display: false }, tooltip: { callbacks: { label: ctx => Metrics.formatValue(metric, ctx.raw) } } },
+      scales: { y: { beginAtZero: true, title: { display: true, text: Metrics.label(metric) }, ticks: { callback: Util.formatTick } } }
+    }
+  });
+}
+
+function drawMemberBar() {
+  Util.safeDestroy(window._memberBar);
+  const el = document.getElementById('memberBar');
+  if (!el) return;
+  const states = current.members.slice().sort((a, b) => (memberValue(b, selectedYear) ?? -Infinity) - (memberValue(a, selectedYear) ?? -Infinity));
+  window._memberBar = new Chart(el.getContext('2d'), {
+    type: 'bar',
+    data: {
+      labels: states,
+      datasets: [{ label: `${Metrics.label(metric)} (${selectedYear})`, data: states.map(s => memberValue(s, selectedYear)), backgroundColor: Theme.colors().bar, maxBarThickness: 44 }]
+    },
+    options: {
+      responsive: true, maintainAspectRatio: false,
+      plugins: {
+        legend: { display: false },
+        tooltip: { callbacks: { label: ctx => (ctx.raw == null ? Datasets.STATUS_TEXT[memberStatus(states[ctx.dataIndex], selectedYear)] : Metrics.formatValue(metric, ctx.raw)) } }
+      },
+      scales: { y: { beginAtZero: true, ticks: { callback: Util.formatTick } }, x: { ticks: { autoSkip: false, maxRotation: 45 } } },
+      onClick: (evt, elements) => { if (elements.length) window.location.href = stateLink(states[elements[0].index]); }
+    }
+  });
+}
+
+// one row per member state; the share column only makes sense for counts
+let memberTableView = null;
+function memberRows() {
+  const total = metric === 'cases' ? regionValue(selectedYear) : null;
+  return current.members.map(s => {
+    const v = memberValue(s, selectedYear);
+    return { state: s, value: v, share: total && v != null ? v / total * 100 : null, status: Datasets.STATUS_TEXT[memberStatus(s, selectedYear)] };
+  });
+}
+function renderMemberTable() {
+  const columns = [
+    { key: 'state', label: 'State', type: 'text' },
+    { key: 'value', label: `${Metrics.label(metric)} (${selectedYear})`, type: 'number', format: v => (v == null ? '' : Metrics.formatValue(metric, v)) }
+  ];
+  if (metric === 'cases') columns.push({ key: 'share', label: 'Share of region', type: 'number', format: v => (v == null ? '' : `${v.toFixed(1)}%`) });
+  columns.push({ key: 'status', label: 'Status', type: 'text' });
+  memberTableView = DataTable.render(document.getElementById('memberTable'), {
+    columns,
+    rows: memberRows(),
+    pageSize: 0,
+    sort: { key: 'value', dir: -1 },
+    rowKey: r => r.state,
+    onRowClick: r => { window.location.href = stateLink(r.state); },
+    emptyText: 'None of this region\'s states have rows in the dataset'
+  });
+  const note = document.getElementById('memberNote');
+  if (note) note.textContent = current.absent.length ? `Also in ${regionName} but without rows in ${current.dataset.name}: ${current.absent.join(', ')}.` : '';
+}
+
+/* map: member states highlighted, the rest greyed */
+let regionGeoLayer = null;
+function memberStyle(feature) {
+  const c = Theme.colors();
+  const isMember = Regions.regionOf(current.grouping, feature.properties.NAME) === regionName;
+  return { fillColor: isMember ? c.stateFill : c.otherState, weight: 1, color: c.mapBorder, fillOpacity: isMember ? 0.85 : 0.4 };
+}
+async function initRegionMap(geoJson) {
+  const container = document.getElementById('regionMap');
+  if (!container || !window.L) return;
+  const map = L.map(container, { scrollWheelZoom: false }).setView([37.8, -96], 4);
+  Offline.addBaseLayer(map, Offline.defaultBaseMap(sessionStorage.getItem('lastBaseMap')));
+  regionGeoLayer = L.geoJson(geoJson, {
+    style: memberStyle,
+    onEachFeature: (feature, layer) => {
+      const nm = feature.properties.NAME;
+      if (Regions.regionOf(current.grouping, nm) !== regionName) return;
+      layer.bindTooltip(nm);
+      layer.on('click', () => { window.location.href = stateLink(nm); });
+    }
+  }).addTo(map);
+  const bounds = L.latLngBounds([]);
+  regionGeoLayer.eachLayer(layer => { if (Regions.regionOf(current.grouping, layer.feature.properties.NAME) === regionName) bounds.extend(layer.getBounds()); });
+  if (bounds.isValid()) map.fitBounds(bounds.pad(0.08));
+  map.invalidateSize();
+  setTimeout(() => map.invalidateSize(), 250);
+}
+
+/* controls */
+const yearSelectRegion = document.getElementById('yearSelectRegion');
+if (yearSelectRegion) yearSelectRegion.addEventListener('change', () => {
+  selectedYear = Number(yearSelectRegion.value);
+  renderAll();
+});
+const metricSelectRegion = document.getElementById('metricSelectRegion');
+if (metricSelectRegion) {
+  metricSelectRegion.value = metric;
+  metricSelectRegion.addEventListener('change', () => {
+    metric = metricSelectRegion.value;
+    sessionStorage.setItem('lastMetric', metric);
+    renderAll();
+  });
+}
+
+window.addEventListener('themechange', () => {
+  renderAll();
+  if (regionGeoLayer) regionGeoLayer.setStyle(memberStyle);
+});
+
+/* export */
+Exporter.addChartButtons(document.querySelector('main'), () => `${regionName}-${diseaseKey}`);
+
+function exportMeta(view) {
+  if (!current) throw new Error('no data loaded yet');
+  return { disease: current.dataset.name, region: regionName, grouping: current.grouping.name, year: selectedYear, metric: Metrics.label(metric), view, sourceFile: current.file, source: Datasets.citation(current.dataset) };
+}
+
+function memberTable() {
+  const meta = exportMeta('Member states (selected year)');
+  const rows = memberTableView ? memberTableView.visibleRows() : memberRows();
+  return {
+    name: `${regionName}-${diseaseKey}-${selectedYear}-${metric}-members`, meta,
+    columns: ['State', `${Metrics.label(metric)} ${selectedYear}`].concat(metric === 'cases' ? ['Share of region (%)'] : []).concat(['Status']),
+    rows: rows.map(r => [r.state, r.value].concat(metric === 'cases' ? [r.share] : []).concat([r.status]))
+  };
+}
+
+function regionSeriesTable() {
+  const meta = exportMeta('Region and member states by year');
+  return {
+    name: `${regionName}-${diseaseKey}-${metric}-by-year`, meta,
+    columns: ['Year', `${regionName} (region)`].concat(current.members),
+    rows: current.years.map(y => [y, regionValue(y)].concat(current.members.map(s => {
+      const v = memberValue(s, y);
+      return v != null ? v : (memberStatus(s, y) === 'suppressed' ? 'suppressed' : null);
+    })))
+  };
+}
+
+Exporter.addDataMenu(document.getElementById('exportMenu'), [
+  { label: 'Member states (selected year)', table: memberTable },
+  { label: 'Region and members by year', table: regionSeriesTable }
+]);
+
+/* start loading */
+Offline.register();
+loadRegion().catch(err => {
+  console.error('[region.js] loadRegion error:', err);
+  const el = document.getElementById('regionSummary');
+  if (el) el.textContent = `Error loading region: ${err.message || err}`;
+});
@@ -0,0 +1,91 @@
+/* regions.js - state groupings for regional rollups (Census regions / divisions, HHS regions, custom ones)
+   - regions.json lists the groupings; each entry points at a file { name, source, note, regions: [{ name, states: [...] }] }
+   - a custom grouping (e.g. your own districts) is one more file plus one more line in regions.json
+   - member names are matched through the population table's aliases, so a dataset's spelling of a state still counts
+   - values for a region come from Metrics.aggregate over its member states
+   - exposes window.Regions used by map.js and region.js
+*/
+(function(){
+  const REGISTRY_URL = 'regions.json';
+
+  let registryCache = null;
+  const groupingCache = {};
+
+  async function listGroupings() {
+    if (!registryCache) {
+      const r = await fetch(REGISTRY_URL);
+      if (!r.ok) throw new Error(`Failed to load ${REGISTRY_URL}: ${r.status}`);
+      const json = await r.json();
+      registryCache = Array.isArray(json.groupings) ? json.groupings : [];
+    }
+    return registryCache.slice();
+  }
+
+  // { key, name, source, note, regions: [{ name, states }] } with a state → region lookup
+  async function load(key) {
+    if (groupingCache[key]) return groupingCache[key];
+    await Metrics.loadPopulation(); // its aliases normalize member names
+    const entry = (await listGroupings()).find(g => g.key === key);
+    if (!entry) throw new Error('No region grouping ' + key);
+    const r = await fetch(entry.file);
+    if (!r.ok) throw new Error(`Failed to load ${entry.file}: ${r.status}`);
+    const json = await r.json();
+    const regions = (json.regions || []).filter(g => g && g.name && Array.isArray(g.states)).map(g => ({ name: String(g.name), states: g.states.map(String) }));
+    const lookup = {};
+    regions.forEach(g => g.states.forEach(s => { lookup[Metrics.canonicalName(s)] = g.name; }));
+    groupingCache[key] = { key, name: entry.name || json.name || key, source: json.source || '', note: json.note || '', regions, lookup };
+    return groupingCache[key];
+  }
+
+  // region name for a state as the dataset spells it, or null when the grouping leaves it out
+  function regionOf(grouping, state) {
+    return grouping.lookup[Metrics.canonicalName(state)] || null;
+  }
+
+  // the dataset's states that belong to a region, in the dataset's spelling
+  function members(grouping, region, states) {
+    return states.filter(s => regionOf(grouping, s) === region);
+  }
+
+  // region → year → metric value over the member states found in the data
+  // data: { years, states, pivot, aaPivot } as built by the map page
+  function rollup(grouping, data, metric) {
+    const out = {};
+    grouping.regions.forEach(g => {
+      const states = members(grouping, g.name, data.states);
+      out[g.name] = {};
+      data.years.forEach(y => {
+        const v = Metrics.aggregate(metric, states, y, data.pivot, data.aaPivot);
+        if (v != null) out[g.name][y] = v;
+      });
+    });
+    return out;
+  }
+
+  // "States" plus one option per grouping
+  async function populateSelect(selectEl, selectedKey) {
+    if (!selectEl) return;
+    const list = await listGroupings();
+    selectEl.innerHTML = '';
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = 'States';
+    selectEl.appendChild(none);
+    list.forEach(g => {
+      const o = document.createElement('option');
+      o.value = g.key;
+      o.textContent = g.name || g.key;
+      selectEl.appendChild(o);
+    });
+    selectEl.value = list.some(g => g.key === selectedKey) ? selectedKey : '';
+  }
+
+  window.Regions = {
+    listGroupings,
+    load,
+    regionOf,
+    members,
+    rollup,
+    populateSelect
+  };
+})();
@@ -1,13 +1,27 @@
 /* state.js - final, robust version
    - robust Leaflet init (wait for container, fitBounds, invalidateSize)
    - scaled charts, tooltips, safe-destroy
-   - prefers .json dataset if available
+   - data comes through the shared loader in data.js (datasets.json manifest)
 */
 
 const p = new URLSearchParams(window.location.search);
 const stateParam = p.get('state');
 const diseaseKey = p.get('disease');
 const selectedYear = p.get('year');
+let metric = p.get('metric') || sessionStorage.getItem('lastMetric') || 'cases';
+const baseYear = p.get('baseYear'); // set when arriving from the map's change-between-years mode
+// extra diseases overlaid on the line chart (kept in the URL as ?diseases=A,B)
+let overlayKeys = (p.get('diseases') || '').split(',').map(k => k.trim()).filter(k => k && k !== diseaseKey);
+let axisMode = p.get('axis') || 'shared'; // 'shared' | 'independent' | 'indexed'
+let indexBase = p.get('indexBase') ? Number(p.get('indexBase')) : null;
+// projection of the primary series (?forecast=<model>&horizon=N); null = off
+let forecastModel = Forecast.MODELS[p.get('forecast')] ? p.get('forecast') : null;
+let forecastHorizon = Math.max(1, Math.min(Forecast.MAX_HORIZON, Number(p.get('horizon')) || 3));
+// anomaly settings are shared with the map's "Notable changes" panel
+const anomalyOpts = {
+  method: Anomaly.METHODS[sessionStorage.getItem('lastAnomalyMethod')] ? sessionStorage.getItem('lastAnomalyMethod') : 'residual',
+  threshold: Number(sessionStorage.getItem('lastAnomalyThreshold')) || Anomaly.DEFAULT_THRESHOLD
+};
 
 if (!stateParam || !diseaseKey) {
   const titleEl = document.getElementById('stateTitle');
@@ -16,32 +30,7 @@ if (!stateParam || !diseaseKey) {
 }
 document.getElementById('stateTitle').textContent = `${stateParam} — Detailed Report`;
 
-/* dataset mapping */
-const datasetsMap = {
-  'HIV': 'HIV_data.xlsx',
-  'TB': 'TB.xlsx',
-  'Diabetes': 'Diabetes.xlsx',
-  'Hepatitis-B': 'HepatitisB.xlsx',
-  'Hepatitis-A': 'HepatitisA.xlsx',
-  'Hepatitis-C': 'HepatitisC.xlsx',
-  'Gonorrhea':'Gonorrhea.xlsx',
-  'Chlamydia':'Chlamydia.xlsx',
-  'syphilis':'syphilis.xlsx',
-};
-
 /* helpers */
-function formatTick(v){
-  if (v === null || v === undefined) return '';
-  if (Math.abs(v) >= 1e6) return (v/1e6).toFixed(1).replace(/\.0$/,'') + 'M';
-  if (Math.abs(v) >= 1e3) return (v/1e3).toFixed(1).replace(/\.0$/,'') + 'k';
-  return String(v);
-}
-function roundUpNice(n){
-  if (!isFinite(n)) return n;
-  if (n <= 10) return Math.ceil(n);
-  const p = Math.pow(10, Math.floor(Math.log10(n)));
-  return Math.ceil(n / p) * p;
-}
 function niceSuggestedMaxForArr(arr){
   const maxVal = Math.max(...(arr||[0]));
   if (!isFinite(maxVal) || maxVal <= 0) return 10;
@@ -49,48 +38,6 @@ function niceSuggestedMaxForArr(arr){
   const p = Math.pow(10, Math.floor(Math.log10(raw)));
   return Math.ceil(raw / p) * p;
 }
-function safeDestroy(chartVar) {
-  try { if (chartVar && typeof chartVar.destroy === 'function') chartVar.destroy(); } catch(e) { console.warn('safeDestroy failed', e); }
-}
-
-/* prefer json candidate if present */
-async function pickFilenameForKey(key){
-  const base = datasetsMap[key];
-  if (!base) throw new Error('No dataset mapping for ' + key);
-  const jsonCandidate = base.replace(/\.xlsx$/i, '.json');
-  try {
-    const r = await fetch(jsonCandidate, { method: 'HEAD' });
-    if (r.ok) return jsonCandidate;
-  } catch(e){}
-  return base;
-}
-
-/* fetch rows: supports json, csv, xlsx */
-async function fetchRows(name){
-  if (!name) throw new Error('No filename');
-  const n = name.toLowerCase();
-  if (n.endsWith('.json')) {
-    const r = await fetch(name);
-    if (!r.ok) throw new Error(`Failed to fetch ${name} (${r.status})`);
-    return await r.json();
-  }
-  if (n.endsWith('.csv')) {
-    const txt = await (await fetch(name)).text();
-    const lines = txt.trim().split('\n').filter(Boolean);
-    const headers = lines[0].split(',').map(h=>h.trim());
-    return lines.slice(1).map(l => {
-      const cols = l.split(',');
-      const obj = {};
-      headers.forEach((h,i)=> obj[h] = cols[i]);
-      return obj;
-    });
-  }
-  // xlsx using SheetJS
-  const buf = await (await fetch(name)).arrayBuffer();
-  const wb = XLSX.read(buf);
-  const sheet = wb.Sheets[wb.SheetNames[0]];
-  return XLSX.utils.sheet_to_json(sheet);
-}
 
 /* robust: wait for an element to exist */
 function waitForElement(selector, timeout = 3000) {
@@ -107,20 +54,22 @@ function waitForElement(selector, timeout = 3000) {
 }
 
 /* Leaflet map init & highlight */
+let stateGeoLayer = null; // restyled in place when the theme changes
 async function initStateMapAndHighlight(geoJson, stateName) {
   try {
     const container = await waitForElement('#stateMap', 3000);
     container.innerHTML = '';
     const map = L.map(container, { scrollWheelZoom:false }).setView([37.8, -96], 4);
-    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png').addTo(map);
+    Offline.addBaseLayer(map, Offline.defaultBaseMap(sessionStorage.getItem('lastBaseMap')));
 
     let matchedFeature = null;
-    L.geoJson(geoJson, {
+    stateGeoLayer = L.geoJson(geoJson, {
       style: feature => {
         const name = (feature.properties.NAME || feature.properties.name || feature.properties.NAME_1 || '').toString().trim().toLowerCase();
         const isTarget = name === stateName.toString().trim().toLowerCase();
         if (isTarget) matchedFeature = feature;
-        return { fillColor: isTarget ? '#ff6b6b' : '#d1d5db', weight: 1, color: '#fff', fillOpacity: isTarget ? 0.85 : 0.5 };
+        const c = Theme.colors();
+        return { fillColor: isTarget ? c.stateFill : c.otherState, weight: 1, color: c.mapBorder, fillOpacity: isTarget ? 0.85 : 0.5 };
       },
       onEachFeature: (feature, layer) => {
         const nm = feature.properties.NAME || feature.properties.name || 'Unknown';
@@ -145,148 +94,842 @@ async function initStateMapAndHighlight(geoJson, stateName) {
   }
 }
 
+/* shades the compared span (baseYear → year) on the line chart */
+const spanHighlight = {
+  id: 'spanHighlight',
+  beforeDatasetsDraw(chart, args, opts) {
+    if (!opts || opts.from == null || opts.to == null) return;
+    const labels = chart.data.labels.map(String);
+    const i0 = labels.indexOf(String(opts.from)), i1 = labels.indexOf(String(opts.to));
+    if (i0 < 0 || i1 < 0) return;
+    const x = chart.scales.x, { top, bottom } = chart.chartArea;
+    const x0 = x.getPixelForValue(Math.min(i0, i1)), x1 = x.getPixelForValue(Math.max(i0, i1));
+    const ctx = chart.ctx;
+    ctx.save();
+    ctx.fillStyle = 'rgba(245,158,11,0.14)';
+    ctx.fillRect(x0, top, Math.max(1, x1 - x0), bottom - top);
+    ctx.strokeStyle = 'rgba(245,158,11,0.9)';
+    ctx.setLineDash([4, 3]);
+    [x0, x1].forEach(px => { ctx.beginPath(); ctx.moveTo(px, top); ctx.lineTo(px, bottom); ctx.stroke(); });
+    ctx.restore();
+  }
+};
+
+/* rows for the requested state (exact name first, then a case-insensitive substring match) */
+function filterStateRows(rows) {
+  const want = String(stateParam).trim().toLowerCase();
+  let stateRows = rows.filter(r => r.state.toLowerCase() === want);
+  if (!stateRows.length) stateRows = rows.filter(r => r.state.toLowerCase().includes(want));
+  return stateRows;
+}
+
+/* yearly series for one dataset: [{ year, cases, aa, status }] over every year the dataset covers;
+   status is 'ok', 'suppressed' (withheld in the source) or 'missing' (no usable row), and cases is null unless 'ok' */
+function seriesFromRows(rows, stateRows) {
+  const aaCol = Metrics.ageAdjustedColumn(rows);
+  const byYear = {};
+  stateRows.forEach(r => {
+    if (!r.year) return;
+    const e = byYear[r.year] || (byYear[r.year] = { year: r.year, cases: null, aa: null, status: 'missing' });
+    if (r.cases != null) { e.cases = (e.cases != null ? e.cases : 0) + r.cases; e.status = 'ok'; }
+    else if (r.suppressed && e.status !== 'ok') e.status = 'suppressed';
+    if (aaCol && r[aaCol] != null && r[aaCol] !== '') e.aa = r[aaCol];
+  });
+  return Datasets.yearsOf(rows).map(y => byYear[y] || { year: y, cases: null, aa: null, status: 'missing' });
+}
+
+// stand-in points/bars for the primary series' years without a value (grey = no data, hatched = suppressed)
+function gapDataset(labels, ctx, base) {
+  const status = {};
+  stateSeries.ts.forEach(t => { if (t.status !== 'ok') status[t.year] = t.status; });
+  const statuses = labels.map(y => status[y] || null);
+  if (!statuses.some(Boolean)) return null;
+  return Object.assign({
+    label: 'No value',
+    data: statuses.map(st => (st ? 0 : null)),
+    statuses,
+    backgroundColor: statuses.map(st => (st === 'suppressed' ? ColorScale.canvasHatch(ctx) : ColorScale.NO_DATA_COLOR)),
+    borderColor: ColorScale.SUPPRESSED_COLOR,
+    borderWidth: 1
+  }, base || {});
+}
+
+/* metric-dependent charts (line + bar); redrawn when the metric changes */
+let stateSeries = null; // { key, label, name, ts: [{ year, cases, aa }] }
+const overlaySeries = {}; // disease key -> same shape as stateSeries
+// series colors follow the light / dark palette (theme.js)
+const seriesColor = i => { const s = Theme.colors().series; return s[i % s.length]; };
+
+function seriesValues(series, years) {
+  const byYear = {};
+  series.ts.forEach(t => { byYear[t.year] = Metrics.valueFor(metric, t.cases, series.name, t.year, t.aa); });
+  return years.map(y => byYear[y] != null ? byYear[y] : null);
+}
+
+/* primary + overlay series as { label, values } over the union of their years */
+function lineSeries() {
+  const all = [stateSeries].concat(overlayKeys.map(k => overlaySeries[k]).filter(Boolean));
+  const years = Array.from(new Set(all.flatMap(s => s.ts.map(t => t.year)))).sort((a, b) => a - b);
+  return { years, series: all.map(s => ({ key: s.key, label: s.label, values: seriesValues(s, years) })) };
+}
+
+/* value → index relative to the base year (base = 100) */
+function indexed(values, years, base) {
+  const b = values[years.indexOf(base)];
+  return values.map(v => (Number.isFinite(v) && Number.isFinite(b) && b !== 0) ? v / b * 100 : null);
+}
+
+function drawLineChart() {
+  const lineEl = document.getElementById('lineChart');
+  Util.safeDestroy(window._lineChart);
+  if (!lineEl || !stateSeries) return;
+  const { years, series } = lineSeries();
+  const overlay = series.length > 1;
+  const span = baseYear && selectedYear && baseYear !== selectedYear ? { from: baseYear, to: selectedYear } : null;
+  syncIndexBaseSelect(years, series);
+
+  const mode = overlay ? axisMode : 'shared';
+  const datasets = series.map((s, i) => {
+    const color = seriesColor(i);
+    const data = mode === 'indexed' ? indexed(s.values, years, indexBase) : s.values;
+    return {
+      label: overlay ? s.label : Metrics.label(metric),
+      data,
+      borderColor: color,
+      backgroundColor: overlay ? color : Theme.colors().primaryFill,
+      fill: !overlay,
+      tension: 0.25,
+      spanGaps: false, // leave missing / suppressed years as visible breaks
+      yAxisID: mode === 'independent' ? `y${i}` : 'y'
+    };
+  });
+
+  const scales = {};
+  if (mode === 'independent') {
+    datasets.forEach((d, i) => {
+      const finite = d.data.filter(Number.isFinite);
+      scales[`y${i}`] = {
+        beginAtZero: true, position: i % 2 ? 'right' : 'left',
+        suggestedMax: Util.roundUpNice(Math.max(...finite, 0) * 1.08),
+        grid: { drawOnChartArea: i === 0 },
+        title: { display: true, text: d.label, color: d.borderColor },
+        ticks: { callback: Util.formatTick, color: d.borderColor }
+      };
+    });
+  } else {
+    const finite = datasets.flatMap(d => d.data.filter(Number.isFinite));
+    scales.y = {
+      beginAtZero: mode !== 'indexed',
+      suggestedMax: mode === 'indexed' ? undefined : Util.roundUpNice(Math.max(...finite, 0) * 1.08),
+      title: { display: mode === 'indexed', text: `Index (${indexBase} = 100)` },
+      ticks: { callback: Util.formatTick }
+    };
+  }
+
+  // unusual years of the primary series get a larger red point
+  const flags = new Set(flaggedYears().map(a => a.year));
+  if (flags.size) {
+    datasets[0].pointRadius = years.map(y => flags.has(y) ? 6 : 3);
+    datasets[0].pointBackgroundColor = years.map(y => flags.has(y) ? Theme.colors().alert : datasets[0].borderColor);
+  }
+
+  // forecast of the primary series, in whatever units it is plotted
+  const fc = forecastModel ? Forecast.project(forecastModel, years, datasets[0].data, forecastHorizon) : null;
+  const labels = Forecast.extendLabels(years, fc);
+  datasets.push(...Forecast.chartDatasets(labels, fc, { color: datasets[0].borderColor, yAxisID: datasets[0].yAxisID }));
+  renderForecastStats(years, datasets[0].data, mode === 'indexed');
+
+  // markers on the axis for years the primary series has no value (skipped when indexed: 0 isn't on that scale)
+  const gaps = mode === 'indexed' ? null : gapDataset(labels, lineEl.getContext('2d'), {
+    showLine: false, pointRadius: 6, pointHoverRadius: 7, pointStyle: 'rectRot', yAxisID: datasets[0].yAxisID
+  });
+  if (gaps) {
+    gaps.pointBackgroundColor = gaps.backgroundColor;
+    datasets.push(gaps);
+  }
+
+  const tooltipLabel = ctx => {
+    if (ctx.dataset.statuses) return `${Datasets.STATUS_TEXT[ctx.dataset.statuses[ctx.dataIndex]]}`;
+    const prefix = overlay || ctx.dataset.forecast ? `${ctx.dataset.label}: ` : '';
+    if (mode === 'indexed') return `${prefix}${Number.isFinite(ctx.raw) ? ctx.raw.toFixed(1) : 'No data'} (index)`;
+    return prefix + Metrics.formatValue(metric, ctx.raw);
+  };
+
+  window._lineChart = new Chart(lineEl.getContext('2d'), {
+    type: 'line',
+    data: { labels, datasets },
+    plugins: [spanHighlight],
+    options: {
+      responsive:true, maintainAspectRatio:false,
+      interaction: overlay ? { mode: 'index', intersect: false } : undefined,
+      plugins:{ legend: { display: overlay || !!fc, labels: { filter: Forecast.legendFilter } }, tooltip:{ callbacks:{ label: tooltipLabel } }, spanHighlight: span || {} },
+      onHover: onChartHover,
+      scales
+    }
+  });
+  renderCombinedTable(years, series);
+}
+
+function renderForecastStats(years, values, isIndexed) {
+  const el = document.getElementById('forecastStats');
+  if (!el) return;
+  if (!forecastModel) { el.textContent = ''; return; }
+  const fmt = isIndexed ? (v => `${v.toFixed(1)} index pts`) : (v => Metrics.formatValue(metric, v));
+  Forecast.renderStats(el, Forecast.evaluate(forecastModel, years, values), fmt);
+}
+
+/* year-keyed table with one column per plotted disease (only shown when overlaying) */
+function renderCombinedTable(years, series) {
+  const card = document.getElementById('combinedCard');
+  const table = document.getElementById('combinedTable');
+  if (!card || !table) return;
+  card.style.display = series.length > 1 ? '' : 'none';
+  if (series.length < 2) { table.innerHTML = ''; return; }
+  const th = '<tr><th style="padding:8px;text-align:left">Year</th>' + series.map(s => `<th style="padding:8px;text-align:left">${Util.escapeHtml(s.label)} (${Util.escapeHtml(Metrics.METRICS[metric].unit)})</th>`).join('') + '</tr>';
+  const body = years.map((y, i) => '<tr><td style="padding:8px">' + y + '</td>' + series.map(s => {
+    const v = s.values[i];
+    return `<td style="padding:8px">${Number.isFinite(v) ? Util.escapeHtml(metric === 'cases' ? Math.round(v).toLocaleString() : v.toFixed(2)) : ''}</td>`;
+  }).join('') + '</tr>').join('');
+  table.innerHTML = th + body;
+}
+
+// anomalies in the primary series under the current metric
+function flaggedYears() {
+  if (!stateSeries) return [];
+  const years = stateSeries.ts.map(t => t.year);
+  const values = stateSeries.ts.map(t => Metrics.valueFor(metric, t.cases, stateSeries.name, t.year, t.aa));
+  return Anomaly.detect(years, values, anomalyOpts);
+}
+
+function renderAnomalyNote(flags) {
+  const el = document.getElementById('anomalyNote');
+  if (!el) return;
+  el.textContent = flags.length
+    ? `Unusual years (${Anomaly.METHODS[anomalyOpts.method].label.toLowerCase()}, |z| ≥ ${anomalyOpts.threshold}): ${flags.map(a => a.year).join(', ')}`
+    : '';
+}
+
+/* scatter of raw cases; flagged years drawn as a separate red series */
+function drawScatter(flags) {
+  Util.safeDestroy(window._scatterChart);
+  const scEl = document.getElementById('scatterChart');
+  if (!scEl || !stateSeries) return;
+  const flagSet = new Set(flags.map(a => a.year));
+  const colors = Theme.colors();
+  const pts = stateSeries.ts.filter(t => t.cases != null).map(t => ({ x: t.year, y: t.cases }));
+  const datasets = [{ label:'Cases', data: pts.filter(pt => !flagSet.has(pt.x)), backgroundColor: colors.point, pointRadius:6 }];
+  if (flagSet.size) datasets.push({ label:'Flagged year', data: pts.filter(pt => flagSet.has(pt.x)), backgroundColor: colors.alert, pointRadius:8, pointStyle:'triangle' });
+  window._scatterChart = new Chart(scEl.getContext('2d'), {
+    type:'scatter',
+    data:{ datasets },
+    options:{ responsive:true, maintainAspectRatio:false, plugins:{ legend:{ display: flagSet.size > 0 }, tooltip:{ callbacks:{ label: it => `${it.raw.y.toLocaleString()} cases (${it.raw.x})` } } }, scales:{ x:{ title:{ display:true, text:'Year' } }, y:{ beginAtZero:true, ticks:{ callback: Util.formatTick } } } }
+  });
+}
+
+/* distribution of every state's value in this state's latest reported year, with this state's bin highlighted */
+function drawHistogram(ranking) {
+  Util.safeDestroy(window._stateHistChart);
+  const histEl = document.getElementById('histChart');
+  const titleEl = document.getElementById('histTitle');
+  const noteEl = document.getElementById('histNote');
+  if (!histEl || !stateSeries || !ranking) return;
+  const { years, grid } = ranking;
+  const name = stateSeries.name;
+  const year = years.filter(y => grid[name] && grid[name][y] != null).pop();
+  if (titleEl) titleEl.textContent = year != null ? `Distribution — all states, ${year}` : 'Distribution — all states';
+  if (year == null) { if (noteEl) noteEl.textContent = `${name} has no reported ${Metrics.METRICS[metric].short} to compare.`; return; }
+
+  const entries = ranking.states.filter(s => Number.isFinite(grid[s][year])).map(s => ({ state: s, value: grid[s][year] }));
+  const vals = entries.map(e => e.value);
+  const n = vals.length || 1;
+  const sorted = vals.slice().sort((a,b)=>a-b);
+  const q1 = sorted[Math.floor((sorted.length-1)*0.25)] || 0;
+  const q3 = sorted[Math.floor((sorted.length-1)*0.75)] || 0;
+  const iqr = Math.max(0, q3 - q1);
+  let bins;
+  if (iqr > 0) {
+    const h = 2 * iqr / Math.cbrt(n);
+    const range = Math.max(...vals) - Math.min(...vals) || 1;
+    bins = Math.max(4, Math.min(12, Math.round(range / h) || Math.round(Math.sqrt(n))));
+  } else {
+    bins = Math.max(4, Math.min(12, Math.round(Math.sqrt(n))));
+  }
+  const minV = vals.length ? Math.min(...vals) : 0;
+  const maxV = vals.length ? Math.max(...vals) : 0;
+  const width = (maxV - minV) / (bins || 1) || 1;
+  const binOf = v => Math.min(bins-1, Math.floor((v-minV)/width));
+  const members = Array.from({ length: bins }, () => []);
+  entries.forEach(e => members[binOf(e.value)].push(e.state));
+  const edge = v => Util.formatTick(metric === 'cases' ? Math.round(v) : Number(v.toPrecision(3)));
+  const labels = members.map((_,i)=> `${edge(minV + i*width)}–${edge(minV + (i+1)*width)}`);
+  const mine = grid[name][year];
+  // a territory is drawn against the states: its bin is marked only when its value falls inside their range
+  const mineBin = mine >= minV && mine <= maxV ? binOf(mine) : -1;
+  const colors = Theme.colors();
+  window._stateHistChart = new Chart(histEl.getContext('2d'), {
+    type:'bar',
+    data:{ labels, datasets:[{ label:'States', data: members.map(m => m.length), backgroundColor: members.map((_, i) => (i === mineBin ? colors.stateFill : colors.hist)), maxBarThickness:40 }]},
+    options:{
+      responsive:true, maintainAspectRatio:false,
+      plugins:{
+        legend:{ display:false },
+        tooltip:{ callbacks:{
+          title: it => it && it.length ? `${it[0].label} ${Metrics.METRICS[metric].unit}` : '',
+          label: ctx => `${ctx.raw} state${ctx.raw === 1 ? '' : 's'}`,
+          afterLabel: ctx => {
+            const m = members[ctx.dataIndex];
+            return m.length <= 6 ? m.join(', ') : (ctx.dataIndex === mineBin ? `including ${name}` : '');
+          }
+        } }
+      },
+      scales:{ y:{ beginAtZero:true, ticks:{ precision:0 }, title:{ display:true, text:'States' } }, x:{ ticks:{ autoSkip:true, maxRotation:30 } } }
+    }
+  });
+  if (noteEl) {
+    const others = entries.filter(e => e.state !== name);
+    const pct = Stats.percentileOf(mine, others.map(e => e.value));
+    noteEl.textContent = `${name}: ${Metrics.formatValue(metric, mine)} in ${year}`
+      + (pct != null ? ` — higher than ${Math.round(pct * 100)}% of the ${others.length < entries.length ? 'other ' : ''}${others.length} states` : '')
+      + ` · median state ${Metrics.formatValue(metric, Stats.median(vals))}`;
+  }
+}
+
+function drawMetricCharts() {
+  if (!stateSeries) return;
+  const years = stateSeries.ts.map(t => t.year);
+  const values = stateSeries.ts.map(t => Metrics.valueFor(metric, t.cases, stateSeries.name, t.year, t.aa));
+  const finite = values.filter(Number.isFinite);
+  const span = baseYear && selectedYear && baseYear !== selectedYear ? { from: baseYear, to: selectedYear } : null;
+
+  // LINE chart (primary + overlays), scatter with flagged years
+  drawLineChart();
+  const flags = flaggedYears();
+  drawScatter(flags);
+  renderAnomalyNote(flags);
+
+  // BAR chart
+  Util.safeDestroy(window._stateBarChart);
+  const barEl = document.getElementById('barChart');
+  if (barEl) {
+    const barSuggested = niceSuggestedMaxForArr(finite);
+    const barCtx = barEl.getContext('2d');
+    const datasets = [{ label: `Yearly ${Metrics.METRICS[metric].short}`, data: values, backgroundColor: Theme.colors().bar, maxBarThickness:48, borderWidth:1, borderColor: Theme.colors().barEdge }];
+    // short stand-in bars for years without a value, so gaps read as gaps rather than zeros
+    const gaps = gapDataset(years, barCtx, { grouped: false, maxBarThickness: 48 });
+    if (gaps) { gaps.data = gaps.statuses.map(st => (st ? barSuggested * 0.04 : null)); datasets.push(gaps); }
+    window._stateBarChart = new Chart(barCtx, {
+      type:'bar',
+      data:{ labels: years, datasets },
+      options:{
+        responsive:true, maintainAspectRatio:false,
+        onHover: onChartHover,
+        plugins:{ legend:{ display:false }, tooltip:{ callbacks:{ title: items => items && items.length ? `Year ${items[0].label}` : '', label: ctx => ctx.dataset.statuses ? Datasets.STATUS_TEXT[ctx.dataset.statuses[ctx.dataIndex]] : Metrics.formatValue(metric, ctx.raw) } } },
+        scales:{ y:{ beginAtZero:true, suggestedMax: barSuggested, ticks:{ callback: Util.formatTick } }, x:{ ticks:{ autoSkip:true, maxRotation:30 } } }
+      }
+    });
+  }
+
+  // summary (latest reported year; gaps counted separately)
+  const reported = stateSeries.ts.filter(t => t.status === 'ok');
+  const latest = reported.length ? reported[reported.length - 1] : null;
+  const summaryEl = document.getElementById('stateSummary');
+  if (summaryEl) {
+    let text = latest ? `Latest (${latest.year}): ${latest.cases.toLocaleString()} cases` : 'No reported values';
+    if (latest && metric !== 'cases') text += ` · ${Metrics.formatValue(metric, values[years.indexOf(latest.year)])}`;
+    const nSup = stateSeries.ts.filter(t => t.status === 'suppressed').length;
+    const nMiss = stateSeries.ts.filter(t => t.status === 'missing').length;
+    if (nSup) text += ` · ${nSup} year${nSup === 1 ? '' : 's'} suppressed`;
+    if (nMiss) text += ` · ${nMiss} year${nMiss === 1 ? '' : 's'} with no data`;
+    if (span) {
+      const b = values[years.indexOf(Number(span.from))], t = values[years.indexOf(Number(span.to))];
+      if (Number.isFinite(b) && Number.isFinite(t)) {
+        const d = t - b, sign = d > 0 ? '+' : (d < 0 ? '−' : '±');
+        const pct = b !== 0 ? ` (${sign}${Math.abs(d / b * 100).toFixed(1)}%)` : '';
+        text += ` · Change ${span.from} → ${span.to}: ${sign}${Metrics.formatValue(metric, Math.abs(d))}${pct}`;
+      }
+    }
+    summaryEl.textContent = text;
+  }
+  const ranking = allStates ? stateRanking() : null;
+  renderRank(ranking);
+  renderStatsPanel(ranking);
+  drawHistogram(ranking);
+}
+
+/* rank among states: every state's value per year under the current metric, ranked with Rankings */
+let allStates = null; // { years, pivot, aaPivot }: state → year → cases / age-adjusted rate, for every state in the dataset
+
+function buildAllStates(rows) {
+  const { pivot, aaPivot } = Datasets.pivot(rows);
+  return { years: Datasets.yearsOf(rows), pivot, aaPivot };
+}
+
+/* { years, ranks: year → state → rank, counts: year → states ranked, grid: state → year → value,
+     states: the 50 states and DC in the dataset }; grid also holds the territories (and Palau), which are not ranked */
+function stateRanking() {
+  const { years, pivot, aaPivot } = allStates;
+  const grid = {}, ranked = {};
+  Object.keys(pivot).forEach(s => {
+    grid[s] = {};
+    years.forEach(y => {
+      const v = Metrics.valueFor(metric, pivot[s][y], s, y, aaPivot[s][y]);
+      if (v != null) grid[s][y] = v;
+    });
+  });
+  const states = Object.keys(grid).filter(Metrics.isState);
+  states.forEach(s => { ranked[s] = grid[s]; });
+  return Object.assign({ years, grid, states }, Rankings.byYear(ranked, years));
+}
+
+// "Rank among states (2023, rate): 5th highest of 51 · up 2 places since 2022" for the selected (or latest ranked) year
+function renderRank(ranking) {
+  if (!ranking || !stateSeries) return;
+  const { years, ranks, counts } = ranking;
+  const name = stateSeries.name;
+  const ranked = years.filter(y => ranks[y][name] != null);
+  const year = ranked.includes(Number(selectedYear)) ? Number(selectedYear) : ranked[ranked.length - 1];
+  const el = document.getElementById('stateRank');
+  if (el) {
+    if (!Metrics.isState(name)) {
+      el.textContent = 'Rank among states: not ranked (ranks cover the 50 states and DC)';
+    } else if (year == null) {
+      el.textContent = 'Rank among states: not ranked (no reported values)';
+    } else {
+      const r = ranks[year][name];
+      let text = `Rank among states (${year}, ${Metrics.METRICS[metric].short}): ${Rankings.describe(r, counts[year])}`;
+      const prev = years[years.indexOf(year) - 1];
+      if (prev != null && ranks[prev][name] != null) {
+        const d = ranks[prev][name] - r;
+        text += d === 0 ? ` · same as ${prev}` : ` · ${d > 0 ? 'up' : 'down'} ${Math.abs(d)} place${Math.abs(d) === 1 ? '' : 's'} since ${prev}`;
+      }
+      el.textContent = text;
+    }
+  }
+  drawRankChart(ranking, year);
+}
+
+function drawRankChart(ranking, markYear) {
+  Util.safeDestroy(window._rankChart);
+  const el = document.getElementById('rankChart');
+  if (!el || !Metrics.isState(stateSeries.name)) return;
+  const { years, ranks, counts, grid } = ranking;
+  const name = stateSeries.name;
+  const colors = Theme.colors();
+  window._rankChart = new Chart(el.getContext('2d'), {
+    type: 'line',
+    data: {
+      labels: years,
+      datasets: [{
+        label: `${name} — rank`, data: years.map(y => (ranks[y][name] != null ? ranks[y][name] : null)),
+        borderColor: colors.primary, backgroundColor: colors.primary, tension: 0, spanGaps: false,
+        pointRadius: years.map(y => (y === markYear ? 6 : 3))
+      }]
+    },
+    options: {
+      responsive: true, maintainAspectRatio: false,
+      plugins: {
+        legend: { display: false },
+        tooltip: { callbacks: { label: ctx => `${Rankings.describe(ctx.raw, counts[years[ctx.dataIndex]])} · ${Metrics.formatValue(metric, grid[name][years[ctx.dataIndex]])}` } }
+      },
+      scales: {
+        y: {
+          reverse: true, min: 1, max: Math.max(1, ...years.map(y => counts[y])),
+          title: { display: true, text: `Rank (1 = highest ${Metrics.METRICS[metric].short})` },
+          ticks: { precision: 0, callback: v => (Number.isInteger(v) ? Rankings.ordinal(v) : '') }
+        },
+        x: { ticks: { autoSkip: true, maxRotation: 30 } }
+      }
+    }
+  });
+}
+
+/* summary statistics: this state next to the nation and the median state, same dataset and metric */
+let statsView = null; // { head, rows } as shown, reused by the exports
+
+// most common peak year among states, "2021 (14 states)"
+function commonPeakYear(list) {
+  const counts = {};
+  list.forEach(st => { counts[st.peakYear] = (counts[st.peakYear] || 0) + 1; });
+  const year = Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a - b)[0];
+  return year ? `${year} (${counts[year]} state${counts[year] === 1 ? '' : 's'})` : '—';
+}
+
+function renderStatsPanel(ranking) {
+  const el = document.getElementById('statsPanel');
+  if (!el || !ranking || !stateSeries) return;
+  const { years, grid, states } = ranking;
+  const { pivot, aaPivot } = allStates;
+  const name = stateSeries.name;
+  const all = Object.keys(pivot); // USA totals keep the territories; the median state doesn't
+  const seriesOf = s => years.map(y => (grid[s][y] != null ? grid[s][y] : null));
+  const mine = Stats.describe(years, seriesOf(name));
+  const nation = Stats.describe(years, years.map(y => Metrics.aggregate(metric, all, y, pivot, aaPivot)));
+  const others = states.map(s => Stats.describe(years, seriesOf(s))).filter(Boolean);
+  const fmt = v => (v == null ? '—' : Metrics.formatValue(metric, v));
+  const mid = pick => Stats.median(others.map(pick).filter(v => v != null));
+  const withYear = p => (p ? `${fmt(p.value)} (${p.year})` : '—');
+
+  // share of the national case count (always counts, whatever the metric) in this state's latest reported year
+  const shareYear = mine ? mine.latest.year : null;
+  const shareOf = s => {
+    const total = Metrics.aggregate('cases', all, shareYear, pivot);
+    const c = pivot[s][shareYear];
+    return c != null && total ? c / total : null;
+  };
+  const pct = f => (f == null ? '—' : `${(f * 100).toFixed(1)}%`);
+
+  const rows = !mine ? [] : [
+    ['Mean', fmt(mine.mean), fmt(nation && nation.mean), fmt(mid(st => st.mean))],
+    ['Median', fmt(mine.median), fmt(nation && nation.median), fmt(mid(st => st.median))],
+    ['Minimum', withYear(mine.min), withYear(nation && nation.min), fmt(mid(st => st.min.value))],
+    ['Maximum', withYear(mine.max), withYear(nation && nation.max), fmt(mid(st => st.max.value))],
+    ['Peak year', String(mine.peakYear), nation ? String(nation.peakYear) : '—', commonPeakYear(others)],
+    [mine.cagr ? `Growth per year (CAGR ${mine.cagr.from}–${mine.cagr.to})` : 'Growth per year (CAGR)',
+      mine.cagr ? Stats.formatPct(mine.cagr.rate) : '—', nation && nation.cagr ? Stats.formatPct(nation.cagr.rate) : '—', Stats.formatPct(mid(st => (st.cagr ? st.cagr.rate : null)))],
+    [mine.yoy ? `Latest change (${mine.yoy.from} → ${mine.yoy.to})` : 'Latest change',
+      mine.yoy ? Stats.formatPct(mine.yoy.pct) : '—', nation && nation.yoy ? Stats.formatPct(nation.yoy.pct) : '—', Stats.formatPct(mid(st => (st.yoy ? st.yoy.pct : null)))],
+    [`Share of national cases (${shareYear})`, pct(shareOf(name)), '100%', pct(Stats.median(states.map(shareOf).filter(v => v != null)))]
+  ];
+  statsView = { head: ['', name, 'USA', 'Median state'], rows };
+
+  el.innerHTML = !rows.length
+    ? `<div class="note">${Util.escapeHtml(name)} has no reported ${Util.escapeHtml(Metrics.METRICS[metric].short)} values.</div>`
+    : `<table class="stats-table"><thead><tr>${statsView.head.map(h => `<th scope="col">${Util.escapeHtml(h)}</th>`).join('')}</tr></thead>`
+      + `<tbody>${rows.map(r => `<tr><th scope="row">${Util.escapeHtml(r[0])}</th>${r.slice(1).map(c => `<td>${Util.escapeHtml(c)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+  const note = document.getElementById('statsNote');
+  if (note) {
+    note.textContent = `${Metrics.label(metric)}, over the years each series has values for. USA is every jurisdiction in ${stateSeries.label} combined, territories included`
+      + (metric === 'cases' ? ' (summed cases)' : ' (a rate over their combined population)')
+      + `; the median state is the middle of the 50 states and DC (${others.length} with values) for each figure on its own.`;
+  }
+}
+
+let rawData = null; // { dataset, file, cols, rows } behind the raw table
+let rawTableView = null; // DataTable instance showing rawData
+
+// mapped columns keep their source header
+function rawHeader(dataset, c) {
+  return (dataset.columns && typeof dataset.columns[c] === 'string') ? dataset.columns[c] : c;
+}
+
+function rawTableNote(text) {
+  const el = document.getElementById('rawTable');
+  if (!el) return;
+  rawTableView = null;
+  el.innerHTML = '<div class="note"></div>';
+  el.firstChild.textContent = text;
+}
+
+/* raw rows as read from the source: sortable / filterable, suppressed cases spelled out,
+   rows linked by year to the line and bar charts */
+function renderRawTable() {
+  const el = document.getElementById('rawTable');
+  if (!el || !rawData) return;
+  const { dataset, cols, rows } = rawData;
+  rawTableView = DataTable.render(el, {
+    columns: cols.map(c => {
+      const col = { key: c, label: rawHeader(dataset, c) };
+      if (c === 'year') Object.assign(col, { type: 'number', format: v => (v == null ? '' : String(v)) });
+      if (c === 'cases') {
+        Object.assign(col, {
+          type: 'number',
+          format: (v, r) => (v == null ? (r.suppressed ? 'Suppressed' : 'No data') : DataTable.formatNumber(v)),
+          cellClass: r => (r.cases == null ? 'cell-status' : '')
+        });
+      }
+      return col;
+    }),
+    rows,
+    rowKey: r => r.year,
+    onRowHover: r => highlightChartYear(r ? r.year : null)
+  });
+}
+
+const linkedCharts = () => [window._lineChart, window._stateBarChart].filter(Boolean);
+
+// table row hovered → show that year's point / bar with its tooltip
+function highlightChartYear(year) {
+  linkedCharts().forEach(chart => {
+    const idx = year == null ? -1 : chart.data.labels.map(Number).indexOf(Number(year));
+    const value = idx >= 0 ? chart.data.datasets[0].data[idx] : null;
+    const active = Number.isFinite(value) ? [{ datasetIndex: 0, index: idx }] : [];
+    chart.setActiveElements(active);
+    if (chart.tooltip) chart.tooltip.setActiveElements(active, { x: 0, y: 0 });
+    chart.update('none');
+  });
+}
+
+// chart point / bar hovered → highlight that year's rows in the raw table
+function onChartHover(evt, elements, chart) {
+  if (!rawTableView) return;
+  const el = elements && elements[0];
+  rawTableView.highlight(el ? Number(chart.data.labels[el.index]) : null);
+}
+
 /* main loader */
 async function loadState() {
   try {
-    const fname = await pickFilenameForKey(diseaseKey);
-    console.log('[state.js] loading dataset:', fname);
-    const rows = await fetchRows(fname);
+    const { dataset, file, rows, cachedAt } = await Datasets.loadRows(diseaseKey);
+    console.log('[state.js] loading dataset:', file);
+    const sourceEl = document.getElementById('stateSource');
+    if (sourceEl) sourceEl.textContent = `${dataset.name} · Source: ${Datasets.citation(dataset)}` + (cachedAt ? ` · offline copy, ${Offline.describeAge(cachedAt)}` : '');
 
     // filter rows for the requested state (case-insensitive)
-    let stateRows = rows.filter(r => String(r.State || r.state || '').trim().toLowerCase() === String(stateParam).trim().toLowerCase());
+    const stateRows = filterStateRows(rows);
     if (!stateRows.length) {
-      stateRows = rows.filter(r => String(r.State || r.state || '').toLowerCase().includes(String(stateParam).toLowerCase()));
-    }
-    if (!stateRows.length) {
-      const rawTable = document.getElementById('rawTable');
-      if (rawTable) rawTable.innerHTML = '<tr><td>No data for state</td></tr>';
+      rawTableNote('No data for state');
       return;
     }
 
-    // render raw table
-    const cols = Object.keys(stateRows[0]);
-    const th = '<tr>' + cols.map(c => `<th style="padding:8px;text-align:left">${c}</th>`).join('') + '</tr>';
-    const body = stateRows.map(r => '<tr>' + cols.map(c => `<td style="padding:8px">${r[c] ?? ''}</td>`).join('') + '</tr>').join('');
-    const rawTable = document.getElementById('rawTable');
-    if (rawTable) rawTable.innerHTML = th + body;
+    const cols = Object.keys(stateRows[0]).filter(c => c !== 'suppressed');
+    rawData = { dataset, file, cols, rows: stateRows };
+    renderRawTable();
 
     // timeseries
-    const ts = stateRows.map(r => ({ year: Number(r.Year || r.year), cases: Number(r.Cases || r.cases) || 0 }))
-                        .filter(x => !isNaN(x.year))
-                        .sort((a,b) => a.year - b.year);
-    const years = ts.map(t => t.year);
-    const cases = ts.map(t => t.cases);
+    const ts = seriesFromRows(rows, stateRows);
 
     // map + highlight
     let geoJson;
-    try { geoJson = await (await fetch('usa_states.geojson')).json(); }
+    try { geoJson = await Datasets.loadGeo(); }
     catch(e){ console.warn('[state.js] could not load usa_states.geojson', e); }
     if (geoJson) await initStateMapAndHighlight(geoJson, stateParam);
 
-    // summary
-    const latest = ts.length ? ts[ts.length - 1] : null;
-    const summaryEl = document.getElementById('stateSummary');
-    if (summaryEl) summaryEl.textContent = latest ? `Latest (${latest.year}): ${latest.cases.toLocaleString()} cases` : '';
-
-    // LINE chart
-    safeDestroy(window._lineChart);
-    const lineEl = document.getElementById('lineChart');
-    if (lineEl) {
-      window._lineChart = new Chart(lineEl.getContext('2d'), {
-        type: 'line',
-        data: { labels: years, datasets: [{ label: 'Cases', data: cases, borderColor: '#0f6ef6', backgroundColor: 'rgba(15,110,246,0.08)', fill:true, tension:0.25 }]},
-        options: {
-          responsive:true, maintainAspectRatio:false,
-          plugins:{ tooltip:{ callbacks:{ label: ctx => `${ctx.raw.toLocaleString()} cases` } } },
-          scales: { y: { beginAtZero:true, suggestedMax: roundUpNice(Math.max(...cases || [0]) * 1.08), ticks: { callback: formatTick } } }
-        }
-      });
-    }
+    // metric-dependent charts + summary
+    await Metrics.loadPopulation();
+    stateSeries = { key: diseaseKey, label: dataset.name, name: stateRows[0].state || stateParam, ts };
+    allStates = buildAllStates(rows);
+    metric = Metrics.syncMetricSelect(document.getElementById('metricSelectState'), rows, metric);
+    await Promise.all(overlayKeys.map(loadOverlay));
+    drawMetricCharts();
+    renderOverlayPicker();
 
-    // SCATTER chart
-    safeDestroy(window._scatterChart);
-    const scEl = document.getElementById('scatterChart');
-    if (scEl) {
-      window._scatterChart = new Chart(scEl.getContext('2d'), {
-        type:'scatter',
-        data:{ datasets:[ { label:'Cases', data: years.map((y,i)=>({ x:y, y:cases[i] })), backgroundColor:'#06b6d4', pointRadius:6 } ]},
-        options:{ responsive:true, maintainAspectRatio:false, plugins:{ tooltip:{ callbacks:{ label: it => `${it.raw.y.toLocaleString()} cases (${it.raw.x})` } } }, scales:{ x:{ title:{ display:true, text:'Year' } }, y:{ beginAtZero:true, ticks:{ callback: formatTick } } } }
-      });
+  } catch (err) {
+    console.error('[state.js] loadState error:', err);
+    rawTableNote(`Error loading state data: ${err.message}`);
+    const mapWrap = document.getElementById('stateMap');
+    if (mapWrap) {
+      mapWrap.innerHTML = '<div style="padding:12px;color:var(--muted)"></div>';
+      mapWrap.firstChild.textContent = `State map unavailable: ${err.message}`;
     }
+  }
+}
 
-    // BAR chart
-    safeDestroy(window._stateBarChart);
-    const barEl = document.getElementById('barChart');
-    if (barEl) {
-      const barSuggested = niceSuggestedMaxForArr(cases);
-      window._stateBarChart = new Chart(barEl.getContext('2d'), {
-        type:'bar',
-        data:{ labels: years, datasets:[{ label:'Yearly Cases', data: cases, backgroundColor:'rgba(16,185,129,0.9)', maxBarThickness:48, borderWidth:1, borderColor:'rgba(255,255,255,0.06)'}] },
-        options:{
-          responsive:true, maintainAspectRatio:false,
-          plugins:{ legend:{ display:false }, tooltip:{ callbacks:{ title: items => items && items.length ? `Year ${items[0].label}` : '', label: ctx => `${ctx.raw.toLocaleString()} cases` } } },
-          scales:{ y:{ beginAtZero:true, suggestedMax: barSuggested, ticks:{ callback: formatTick } }, x:{ ticks:{ autoSkip:true, maxRotation:30 } } }
-        }
-      });
-    }
+/* ---------- disease overlays ---------- */
+async function loadOverlay(key) {
+  if (overlaySeries[key]) return;
+  try {
+    const { dataset, rows } = await Datasets.loadRows(key);
+    const stateRows = filterStateRows(rows);
+    overlaySeries[key] = { key, label: dataset.name, name: stateRows.length ? stateRows[0].state : stateParam, ts: seriesFromRows(rows, stateRows) };
+  } catch (err) {
+    console.warn('[state.js] overlay failed for', key, err);
+    overlayKeys = overlayKeys.filter(k => k !== key);
+  }
+}
 
-    // HISTOGRAM
-    safeDestroy(window._stateHistChart);
-    const histEl = document.getElementById('histChart');
-    if (histEl) {
-      (function(){
-        const vals = cases.slice();
-        const n = vals.length || 1;
-        const sorted = vals.slice().sort((a,b)=>a-b);
-        const q1 = sorted[Math.floor((sorted.length-1)*0.25)] || 0;
-        const q3 = sorted[Math.floor((sorted.length-1)*0.75)] || 0;
-        const iqr = Math.max(0, q3 - q1);
-        let bins;
-        if (iqr > 0) {
-          const h = 2 * iqr / Math.cbrt(n);
-          const range = Math.max(...vals) - Math.min(...vals) || 1;
-          bins = Math.max(4, Math.min(12, Math.round(range / h) || Math.round(Math.sqrt(n))));
-        } else {
-          bins = Math.max(4, Math.min(12, Math.round(Math.sqrt(n))));
-        }
-        const minV = vals.length ? Math.min(...vals) : 0;
-        const maxV = vals.length ? Math.max(...vals) : 0;
-        const width = (maxV - minV) / (bins || 1) || 1;
-        const counts = new Array(bins).fill(0);
-        vals.forEach(v => { const idx = Math.min(bins-1, Math.floor((v-minV)/width)); counts[idx] += 1; });
-        const labels = new Array(bins).fill(0).map((_,i)=> `${Math.round(minV + i*width)}–${Math.round(minV + (i+1)*width)}`);
-        window._stateHistChart = new Chart(histEl.getContext('2d'), {
-          type:'bar',
-          data:{ labels, datasets:[{ label:'Count', data:counts, backgroundColor:'rgba(99,102,241,0.9)', maxBarThickness:40 }]},
-          options:{ responsive:true, maintainAspectRatio:false, plugins:{ tooltip:{ callbacks:{ title: it => it && it.length ? it[0].label : '', label: ctx => `${ctx.raw} states` } } }, scales:{ y:{ beginAtZero:true }, x:{ ticks:{ autoSkip:true, maxRotation:30 } } } }
-        });
-      })();
-    }
+/* keep overlay and forecast choices in the URL so the view can be shared */
+function syncOverlayUrl() {
+  const q = new URLSearchParams(window.location.search);
+  if (overlayKeys.length) q.set('diseases', overlayKeys.join(',')); else q.delete('diseases');
+  if (axisMode !== 'shared') q.set('axis', axisMode); else q.delete('axis');
+  if (axisMode === 'indexed' && indexBase) q.set('indexBase', indexBase); else q.delete('indexBase');
+  if (forecastModel) { q.set('forecast', forecastModel); q.set('horizon', forecastHorizon); } else { q.delete('forecast'); q.delete('horizon'); }
+  history.replaceState(null, '', `${window.location.pathname}?${q.toString().replace(/%2C/g, ',')}`);
+}
 
-  } catch (err) {
-    console.error('[state.js] loadState error:', err);
-    const rawTable = document.getElementById('rawTable');
-    if (rawTable) rawTable.innerHTML = `<tr><td>Error loading state data: ${err.message}</td></tr>`;
-    const mapWrap = document.getElementById('stateMap');
-    if (mapWrap) mapWrap.innerHTML = `<div style="padding:12px;color:var(--muted)">State map unavailable: ${err.message}</div>`;
+/* default base = first year every plotted series has a non-zero value for */
+function syncIndexBaseSelect(years, series) {
+  const sel = document.getElementById('indexBaseYear');
+  if (!indexBase || !years.includes(indexBase)) {
+    const common = years.find((y, i) => series.every(s => Number.isFinite(s.values[i]) && s.values[i] !== 0));
+    indexBase = common != null ? common : years[0];
   }
+  if (!sel) return;
+  sel.innerHTML = years.map(y => `<option value="${y}">${y}</option>`).join('');
+  sel.value = indexBase;
+  sel.disabled = axisMode !== 'indexed';
+}
+
+/* one checkbox per manifest dataset (except the page's own disease) */
+async function renderOverlayPicker() {
+  const wrap = document.getElementById('overlayPicker');
+  if (!wrap) return;
+  const list = await Datasets.listDatasets();
+  wrap.innerHTML = '';
+  list.filter(d => d.key !== diseaseKey).forEach(d => {
+    const label = document.createElement('label');
+    label.className = 'note';
+    const cb = document.createElement('input');
+    cb.type = 'checkbox';
+    cb.value = d.key;
+    cb.checked = overlayKeys.includes(d.key);
+    cb.addEventListener('change', async () => {
+      overlayKeys = cb.checked ? overlayKeys.concat(d.key) : overlayKeys.filter(k => k !== d.key);
+      if (cb.checked) await loadOverlay(d.key);
+      syncOverlayUrl();
+      drawLineChart();
+    });
+    label.appendChild(cb);
+    label.appendChild(document.createTextNode(' ' + (d.name || d.key)));
+    wrap.appendChild(label);
+  });
+}
+
+const axisModeSelect = document.getElementById('axisMode');
+if (axisModeSelect) {
+  axisModeSelect.value = axisMode;
+  axisModeSelect.addEventListener('change', () => { axisMode = axisModeSelect.value; syncOverlayUrl(); drawLineChart(); });
 }
+const indexBaseSelect = document.getElementById('indexBaseYear');
+if (indexBaseSelect) indexBaseSelect.addEventListener('change', () => { indexBase = Number(indexBaseSelect.value); syncOverlayUrl(); drawLineChart(); });
 
-/* theme toggle */
-const tbtn = document.getElementById('themeToggleState');
-const savedTheme = localStorage.getItem('theme') || 'light';
-document.documentElement.setAttribute('data-theme', savedTheme);
-if (tbtn) {
-  tbtn.textContent = savedTheme === 'dark' ? '☀️' : '🌙';
-  tbtn.addEventListener('click', () => {
-    const t = document.documentElement.getAttribute('data-theme') === 'dark' ? 'light' : 'dark';
-    document.documentElement.setAttribute('data-theme', t);
-    localStorage.setItem('theme', t);
-    tbtn.textContent = t === 'dark' ? '☀️' : '🌙';
+/* ---------- forecast controls ---------- */
+const forecastToggle = document.getElementById('forecastToggle');
+const forecastModelSelect = document.getElementById('forecastModel');
+const forecastHorizonSelect = document.getElementById('forecastHorizon');
+Forecast.populateModelSelect(forecastModelSelect, forecastModel);
+if (forecastHorizonSelect) forecastHorizonSelect.value = String(forecastHorizon);
+if (forecastToggle) forecastToggle.checked = !!forecastModel;
+function onForecastChange() {
+  forecastModel = forecastToggle && forecastToggle.checked ? forecastModelSelect.value : null;
+  forecastHorizon = Number(forecastHorizonSelect.value) || 3;
+  syncOverlayUrl();
+  drawLineChart();
+}
+[forecastToggle, forecastModelSelect, forecastHorizonSelect].forEach(el => { if (el) el.addEventListener('change', onForecastChange); });
+
+/* metric toggle */
+const metricSelectState = document.getElementById('metricSelectState');
+if (metricSelectState) {
+  metricSelectState.value = metric;
+  metricSelectState.addEventListener('change', () => {
+    metric = metricSelectState.value;
+    sessionStorage.setItem('lastMetric', metric);
+    drawMetricCharts();
   });
 }
 
+/* ---------- exports: per-chart PNG/SVG + PDF report ---------- */
+Exporter.addChartButtons(document.querySelector('main'), () => `${stateParam}-${diseaseKey}`);
+
+const textOf = id => { const el = document.getElementById(id); return el ? el.textContent.trim() : ''; };
+
+// the state map's vector layer as a PNG (tiles are not included); null if it can't be rendered
+async function stateMapImage() {
+  const svg = document.querySelector('#stateMap .leaflet-overlay-pane svg');
+  if (!svg) return null;
+  try {
+    const { svg: markup, width, height } = Exporter.composeMapSvg({ title: stateParam, map: svg });
+    return { type: 'image', src: await Exporter.svgToPNG(markup, width, height), width, height, caption: 'State map' };
+  } catch (err) {
+    console.warn('[state.js] state map not exported', err);
+    return null;
+  }
+}
+
+function chartImage(canvasId) {
+  const canvas = document.getElementById(canvasId);
+  const chart = canvas && Chart.getChart(canvas);
+  if (!chart) return null;
+  const titleEl = canvas.closest('.card').querySelector('.chart-title, .section-title');
+  const title = titleEl && titleEl.firstChild ? titleEl.firstChild.textContent.trim() : canvasId;
+  return { type: 'image', src: Exporter.chartPNG(chart, title), width: chart.width, height: chart.height + 30 };
+}
+
+function rawTableSection() {
+  if (!rawData) return null;
+  const t = rawDataTable();
+  return t.rows.length ? { type: 'table', head: t.columns, rows: t.rows } : null;
+}
+
+function exportMeta(view) {
+  if (!rawData || !stateSeries) throw new Error('no data loaded yet');
+  return { disease: rawData.dataset.name, state: stateSeries.name, year: selectedYear ? Number(selectedYear) : null, metric: Metrics.label(metric), view, sourceFile: rawData.file, source: Datasets.citation(rawData.dataset) };
+}
+
+// the raw table as displayed (filters and sort applied; every page)
+function rawDataTable() {
+  if (!rawData) throw new Error('no data loaded yet');
+  const { dataset, cols } = rawData;
+  const rows = rawTableView ? rawTableView.visibleRows() : rawData.rows;
+  const meta = exportMeta(rows.length === rawData.rows.length ? 'Raw data' : `Raw data (filtered, ${rows.length} of ${rawData.rows.length} rows)`);
+  return {
+    name: `${stateParam}-${diseaseKey}-raw`, meta, columns: cols.map(c => rawHeader(dataset, c)),
+    rows: rows.map(r => cols.map(c => (c === 'cases' && r.cases == null ? (r.suppressed ? 'suppressed' : null) : (r[c] ?? null))))
+  };
+}
+
+// the rank-over-time chart: position among all states per year under the current metric
+function rankTable() {
+  const meta = exportMeta('Rank among states by year');
+  if (!allStates) throw new Error('no data loaded yet');
+  const { years, ranks, counts, grid } = stateRanking();
+  const name = stateSeries.name;
+  return {
+    name: `${stateParam}-${diseaseKey}-${metric}-rank-by-year`, meta, columns: ['Year', 'Rank', 'States ranked', Metrics.label(metric)],
+    rows: years.map(y => [y, ranks[y][name] != null ? ranks[y][name] : null, counts[y], grid[name] && grid[name][y] != null ? grid[name][y] : null])
+  };
+}
+
+// the statistics panel as shown
+function statsTable() {
+  const meta = exportMeta('Summary statistics');
+  if (!statsView || !statsView.rows.length) throw new Error('no statistics to export');
+  return { name: `${stateParam}-${diseaseKey}-${metric}-statistics`, meta, columns: ['Statistic'].concat(statsView.head.slice(1)), rows: statsView.rows };
+}
+
+// the primary line: one value per year under the current metric
+function seriesTable() {
+  const meta = exportMeta('Time series');
+  return {
+    name: `${stateParam}-${diseaseKey}-${metric}-by-year`, meta, columns: ['Year', Metrics.label(metric), 'Status'],
+    rows: stateSeries.ts.map(t => [t.year, Metrics.valueFor(metric, t.cases, stateSeries.name, t.year, t.aa),
+      ({ ok: '', suppressed: 'suppressed', missing: 'no data' })[t.status]])
+  };
+}
+
+Exporter.addDataMenu(document.getElementById('exportMenu'), [
+  { label: 'Raw data', table: rawDataTable },
+  { label: 'Time series (selected metric)', table: seriesTable },
+  { label: 'Rank among states by year', table: rankTable },
+  { label: 'Summary statistics', table: statsTable }
+]);
+
+async function downloadReport() {
+  const name = stateSeries ? stateSeries.name : stateParam;
+  const disease = stateSeries ? stateSeries.label : diseaseKey;
+  const sections = [
+    { type: 'heading', text: `${name} — ${disease}` },
+    { type: 'text', text: `${Metrics.label(metric)}${selectedYear ? ` · selected year ${selectedYear}` : ''} · generated ${new Date().toLocaleString()}` },
+    { type: 'text', text: [textOf('stateSummary'), textOf('stateRank'), textOf('forecastStats'), textOf('anomalyNote')].filter(Boolean).join('\n') }
+  ];
+  if (statsView && statsView.rows.length) sections.push({ type: 'heading', text: 'Summary statistics' }, { type: 'table', head: ['Statistic'].concat(statsView.head.slice(1)), rows: statsView.rows });
+  const mapImg = await stateMapImage();
+  if (mapImg) sections.push(mapImg);
+  ['lineChart', 'barChart', 'histChart', 'scatterChart', 'rankChart'].map(chartImage).filter(Boolean).forEach(sec => sections.push(sec));
+  const table = rawTableSection();
+  if (table) sections.push({ type: 'heading', text: 'Raw data' }, table);
+  sections.push({ type: 'text', text: textOf('stateSource') });
+  Exporter.reportPDF(sections, `${Exporter.fileSlug(name)}-${Exporter.fileSlug(diseaseKey)}-report.pdf`);
+}
+
+const downloadReportBtn = document.getElementById('downloadReport');
+if (downloadReportBtn) downloadReportBtn.addEventListener('click', async () => {
+  downloadReportBtn.disabled = true;
+  try { await downloadReport(); }
+  catch (err) { Exporter.reportError('Report failed: ' + (err.message || err)); }
+  finally { downloadReportBtn.disabled = false; }
+});
+
+/* theme / high-contrast switch: recolor charts and the state map from the loaded series */
+window.addEventListener('themechange', () => {
+  if (!stateSeries) return;
+  drawMetricCharts();
+  if (stateGeoLayer) stateGeoLayer.resetStyle();
+});
+
 /* start loading */
+Offline.register();
 loadState();
 
 
@@ -0,0 +1,61 @@
+/* stats.js - summary statistics for one yearly series (a state, the nation) and where a value sits among many
+   - describe(): mean, median, min / max with their years, peak year, CAGR and the latest year-over-year change
+   - CAGR runs from the first to the last reported year and needs both to be above zero
+   - percentileOf(): share of the other values that are below a value (ties count half)
+   - exposes window.Stats used by state.js
+*/
+(function(){
+  function median(vs) {
+    const s = vs.filter(Number.isFinite).sort((a, b) => a - b);
+    if (!s.length) return null;
+    const m = Math.floor(s.length / 2);
+    return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+  }
+
+  /* years / values in step (null = no value)
+     → { n, first, latest, mean, median, min: { value, year }, max: { value, year }, peakYear,
+         cagr: { rate, from, to } | null, yoy: { pct, from, to } | null } or null when nothing is reported */
+  function describe(years, values) {
+    const pts = years.map((y, i) => ({ year: Number(y), value: values[i] })).filter(p => Number.isFinite(p.value));
+    if (!pts.length) return null;
+    const vs = pts.map(p => p.value);
+    const min = pts.reduce((a, b) => (b.value < a.value ? b : a));
+    const max = pts.reduce((a, b) => (b.value > a.value ? b : a));
+    const first = pts[0], latest = pts[pts.length - 1];
+    const span = latest.year - first.year;
+    const cagr = span > 0 && first.value > 0 && latest.value > 0
+      ? { rate: Math.pow(latest.value / first.value, 1 / span) - 1, from: first.year, to: latest.year }
+      : null;
+    const prev = pts.length > 1 ? pts[pts.length - 2] : null;
+    const yoy = prev && prev.value !== 0 ? { pct: (latest.value - prev.value) / prev.value, from: prev.year, to: latest.year } : null;
+    return {
+      n: pts.length, first, latest,
+      mean: vs.reduce((a, b) => a + b, 0) / vs.length,
+      median: median(vs),
+      min, max, peakYear: max.year,
+      cagr, yoy
+    };
+  }
+
+  // 0…1: how much of `others` lies below `value`
+  function percentileOf(value, others) {
+    const vs = others.filter(Number.isFinite);
+    if (!Number.isFinite(value) || !vs.length) return null;
+    const below = vs.filter(v => v < value).length, same = vs.filter(v => v === value).length;
+    return (below + same / 2) / vs.length;
+  }
+
+  // "+4.2%" / "−1.0%" for a fraction
+  function formatPct(f, digits) {
+    if (f == null || !Number.isFinite(f)) return '—';
+    const d = digits == null ? 1 : digits;
+    return `${f > 0 ? '+' : (f < 0 ? '−' : '±')}${Math.abs(f * 100).toFixed(d)}%`;
+  }
+
+  window.Stats = {
+    median,
+    describe,
+    percentileOf,
+    formatPct
+  };
+})();
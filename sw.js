@@ -0,0 +1,90 @@
+/* sw.js - service worker for running the dashboard without a network
+   - install: precaches the pages, scripts, styles, vendored libraries, geojson, population table,
+     every dataset file listed in datasets.json and every region grouping listed in regions.json
+   - the libraries are served from vendor/; only those copies work offline, the CDN fallbacks never do
+   - same-origin GETs go to the network first; when that fails the cached copy is served
+   - cached copies carry an X-Cached-At header (ms since epoch) so pages can say how old their data is
+   - cross-origin requests (map tiles, CDN fallbacks) are left to the browser and not cached
+*/
+const CACHE_NAME = 'phd-offline-v1';
+const CACHED_AT_HEADER = 'X-Cached-At';
+
+const APP_SHELL = [
+  './', 'index.html', 'map.html', 'state.html', 'compare.html', 'region.html', 'correlate.html',
+  'style.css', 'logo.png', 'usa_map.jpg',
+  'script.js', 'data.js', 'util.js', 'metrics.js', 'regions.js', 'rankings.js', 'stats.js', 'colorscale.js', 'forecast.js', 'anomaly.js', 'correlation.js', 'quality.js', 'upload.js', 'exporter.js', 'datatable.js',
+  'insets.js', 'theme.js', 'a11y.js', 'offline.js', 'cdn-fallback.js', 'parse-worker.js', 'map.js', 'state.js', 'compare.js', 'region.js', 'correlate.js',
+  'datasets.json', 'population.json', 'regions.json', 'usa_states.geojson'
+];
+
+// the pinned builds committed under vendor/ (see vendor/README.md)
+const VENDOR = [
+  'vendor/xlsx.full.min.js', 'vendor/chart.umd.min.js', 'vendor/chartjs-chart-matrix.min.js',
+  'vendor/chartjs-plugin-zoom.min.js', 'vendor/jspdf.umd.min.js',
+  'vendor/leaflet/leaflet.js', 'vendor/leaflet/leaflet.css',
+  'vendor/leaflet/images/layers.png', 'vendor/leaflet/images/layers-2x.png',
+  'vendor/leaflet/images/marker-icon.png', 'vendor/leaflet/images/marker-icon-2x.png', 'vendor/leaflet/images/marker-shadow.png'
+];
+
+// copy of a response with the time it was cached
+async function stamped(res) {
+  const headers = new Headers(res.headers);
+  headers.set(CACHED_AT_HEADER, String(Date.now()));
+  return new Response(await res.blob(), { status: res.status, statusText: res.statusText, headers });
+}
+
+async function put(cache, url) {
+  try {
+    const res = await fetch(url, { cache: 'no-cache' });
+    if (res.ok) await cache.put(url, await stamped(res));
+  } catch (err) {
+    // optional files (.json twins) may not be deployed
+  }
+}
+
+async function precache() {
+  const cache = await caches.open(CACHE_NAME);
+  await Promise.all(APP_SHELL.concat(VENDOR).map(url => put(cache, url)));
+  try {
+    const manifest = await (await fetch('datasets.json', { cache: 'no-cache' })).json();
+    await Promise.all((manifest.datasets || []).map(d => d.file).filter(Boolean).map(file => put(cache, file)));
+  } catch (err) {
+    console.warn('[sw] could not precache datasets', err);
+  }
+  try {
+    const regions = await (await fetch('regions.json', { cache: 'no-cache' })).json();
+    await Promise.all((regions.groupings || []).map(g => g.file).filter(Boolean).map(file => put(cache, file)));
+  } catch (err) {
+    console.warn('[sw] could not precache region groupings', err);
+  }
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== CACHE_NAME).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const req = event.request;
+  if (req.method !== 'GET' || new URL(req.url).origin !== self.location.origin) return;
+  event.respondWith((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    // page URLs carry ?disease=…&year=…; cache and match on the path alone
+    const key = req.url.split('?')[0];
+    try {
+      const res = await fetch(req);
+      if (res.ok) stamped(res.clone()).then(copy => cache.put(key, copy)).catch(() => {});
+      return res;
+    } catch (err) {
+      const hit = await cache.match(key);
+      return hit || Response.error();
+    }
+  })());
+});
@@ -0,0 +1,113 @@
+/* theme.js - light / dark theme shared by every page
+   - a choice made with a [data-theme-toggle] button is remembered in localStorage; until then the theme follows prefers-color-scheme, live
+   - sets data-theme on <html> and Chart.js's default text / grid colors (high contrast included), then updates open charts
+   - colors(): the chart and map palette for the current theme; pages redraw from data already in memory on 'themechange'
+   - base map tiles are darkened in CSS, so switching never reloads tiles or data
+   - load after the Chart.js vendor script and before a11y.js and the page script
+   - exposes window.Theme
+*/
+(function(){
+  // the old map page wrote 'theme' on every visit, so that key can't tell a real choice from the default;
+  // only toggles store THEME_KEY, and the legacy key is cleared
+  const THEME_KEY = 'themeChoice';
+  const LEGACY_THEME_KEY = 'theme';
+  const SERIES = {
+    light: ['#0f6ef6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#06b6d4', '#ec4899', '#84cc16', '#64748b'],
+    dark: ['#60a5fa', '#f87171', '#34d399', '#fbbf24', '#a78bfa', '#22d3ee', '#f472b6', '#a3e635', '#94a3b8']
+  };
+  const PALETTES = {
+    light: {
+      text: '#4b5563', grid: 'rgba(8,36,68,0.1)',
+      primary: '#0f6ef6', primaryFill: 'rgba(15,110,246,0.08)',
+      bar: 'rgba(16,185,129,0.9)', barEdge: 'rgba(255,255,255,0.12)', hist: 'rgba(99,102,241,0.9)',
+      point: '#06b6d4', alert: '#ef4444', focus: '#f59e0b',
+      mapBorder: '#ffffff', outline: '#111827', stateFill: '#ff6b6b', otherState: '#d1d5db',
+      series: SERIES.light
+    },
+    dark: {
+      text: '#cbd5e1', grid: 'rgba(255,255,255,0.12)',
+      primary: '#60a5fa', primaryFill: 'rgba(96,165,250,0.16)',
+      bar: 'rgba(52,211,153,0.85)', barEdge: 'rgba(0,0,0,0.3)', hist: 'rgba(129,140,248,0.9)',
+      point: '#22d3ee', alert: '#f87171', focus: '#fbbf24',
+      mapBorder: '#1f2937', outline: '#f9fafb', stateFill: '#f87171', otherState: '#374151',
+      series: SERIES.dark
+    }
+  };
+  // high contrast keeps the hues but pushes text, grid lines and borders to the extremes
+  const HIGH_CONTRAST = {
+    light: { text: '#000000', grid: 'rgba(0,0,0,0.6)', mapBorder: '#000000', outline: '#000000' },
+    dark: { text: '#ffffff', grid: 'rgba(255,255,255,0.6)', mapBorder: '#ffffff', outline: '#ffffff' }
+  };
+
+  const media = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+  const system = () => (media && media.matches ? 'dark' : 'light');
+  function saved() {
+    const t = localStorage.getItem(THEME_KEY);
+    return t === 'dark' || t === 'light' ? t : null;
+  }
+  const current = () => (document.documentElement.getAttribute('data-theme') === 'dark' ? 'dark' : 'light');
+  const highContrast = () => document.documentElement.getAttribute('data-contrast') === 'high';
+
+  function colors() {
+    const t = current();
+    return Object.assign({}, PALETTES[t], highContrast() ? HIGH_CONTRAST[t] : {});
+  }
+
+  function syncToggles() {
+    const dark = current() === 'dark';
+    document.querySelectorAll('[data-theme-toggle]').forEach(b => {
+      b.textContent = dark ? '☀️' : '🌙';
+      b.title = dark ? 'Switch to light theme' : 'Switch to dark theme';
+      b.setAttribute('aria-label', b.title);
+    });
+  }
+
+  // push the palette into Chart.js defaults and re-render charts that are already open
+  function applyCharts() {
+    if (!window.Chart || !Chart.defaults) return;
+    const c = colors();
+    Chart.defaults.color = c.text;
+    Chart.defaults.borderColor = c.grid;
+    Object.values(Chart.instances || {}).forEach(ch => { try { ch.update(); } catch (e) { /* destroyed */ } });
+  }
+
+  // re-apply the current theme (also used when high contrast changes) and tell pages to redraw
+  function refresh() {
+    syncToggles();
+    applyCharts();
+    window.dispatchEvent(new CustomEvent('themechange', { detail: { theme: current(), colors: colors() } }));
+  }
+
+  function set(theme, remember) {
+    document.documentElement.setAttribute('data-theme', theme === 'dark' ? 'dark' : 'light');
+    if (remember) localStorage.setItem(THEME_KEY, current());
+    refresh();
+  }
+
+  const toggle = () => set(current() === 'dark' ? 'light' : 'dark', true);
+
+  localStorage.removeItem(LEGACY_THEME_KEY);
+  document.documentElement.setAttribute('data-theme', saved() || system());
+  applyCharts();
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', syncToggles);
+  else syncToggles();
+
+  document.addEventListener('click', e => {
+    const btn = e.target.closest && e.target.closest('[data-theme-toggle]');
+    if (btn) toggle();
+  });
+  // follow the system setting until the user picks a theme themselves
+  if (media) {
+    const onSystem = () => { if (!saved()) set(system(), false); };
+    if (media.addEventListener) media.addEventListener('change', onSystem);
+    else if (media.addListener) media.addListener(onSystem);
+  }
+
+  window.Theme = {
+    current,
+    colors,
+    set,
+    toggle,
+    refresh
+  };
+})();
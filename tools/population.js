@@ -0,0 +1,98 @@
+/* tools/population.js - merge the Census Bureau's annual population estimates into population.json
+   - usage (from the repository root, Node 16+): node tools/population.js FILE.csv [FILE.csv ...]
+   - reads every POPESTIMATEyyyy column of each file; rows are the state totals (SUMLEV 040, and SEX / ORIGIN / RACE / AGEGRP 0 where present)
+   - files are applied in order, so list the postcensal vintages first and the intercensal ones after them to prefer the latter
+   - only jurisdictions already in population.json are filled; the Island Areas have no annual estimates and keep their census counts
+   - the files, from https://www2.census.gov/programs-surveys/popest/datasets/ :
+       2000-2010/intercensal/state/st-est00int-alldata.csv
+       2010-2020/state/totals/nst-est2020-alldata.csv
+       2020-2024/state/totals/NST-EST2024-alldata.csv
+*/
+const fs = require('fs');
+const path = require('path');
+
+const TABLE = path.join(__dirname, '..', 'population.json');
+const TOTAL_COLUMNS = ['SEX', 'ORIGIN', 'RACE', 'AGEGRP'];
+
+// one CSV line → fields (the Census files quote a field only when it holds a comma)
+function splitLine(line) {
+  const out = [];
+  let cur = '', quoted = false;
+  for (const c of line) {
+    if (c === '"') quoted = !quoted;
+    else if (c === ',' && !quoted) { out.push(cur); cur = ''; }
+    else cur += c;
+  }
+  out.push(cur);
+  return out.map(f => f.trim());
+}
+
+// name → year → estimate for the state total rows of one file
+function readEstimates(file) {
+  const lines = fs.readFileSync(file, 'latin1').split(/\r?\n/).filter(Boolean);
+  const head = splitLine(lines[0]).map(h => h.toUpperCase());
+  const nameCol = head.indexOf('NAME');
+  if (nameCol < 0) throw new Error(`${file}: no NAME column`);
+  const yearCols = head.map((h, i) => ({ i, m: /^POPESTIMATE(\d{4})$/.exec(h) })).filter(c => c.m).map(c => ({ i: c.i, year: Number(c.m[1]) }));
+  if (!yearCols.length) throw new Error(`${file}: no POPESTIMATEyyyy columns`);
+  const sumlev = head.indexOf('SUMLEV');
+  const totals = TOTAL_COLUMNS.map(c => head.indexOf(c)).filter(i => i >= 0);
+  const out = {};
+  lines.slice(1).forEach(line => {
+    const f = splitLine(line);
+    if (sumlev >= 0 && Number(f[sumlev]) !== 40) return;
+    if (totals.some(i => Number(f[i]) !== 0)) return;
+    const byYear = out[f[nameCol]] = {};
+    yearCols.forEach(c => { const v = Number(f[c.i]); if (f[c.i] !== '' && Number.isFinite(v)) byYear[c.year] = v; });
+  });
+  return out;
+}
+
+function main(files) {
+  if (!files.length) {
+    console.error('usage: node tools/population.js FILE.csv [FILE.csv ...]');
+    process.exit(1);
+  }
+  const table = JSON.parse(fs.readFileSync(TABLE, 'utf8'));
+  const canonical = n => table.aliases[n] || n;
+
+  // name → year → population, starting from what the table has
+  const merged = {};
+  Object.keys(table.states).forEach(s => {
+    merged[s] = {};
+    table.years.forEach((y, i) => { if (table.states[s][i] != null) merged[s][y] = table.states[s][i]; });
+  });
+  const filled = new Set();
+  files.forEach(file => {
+    const est = readEstimates(file);
+    Object.keys(est).forEach(name => {
+      const s = canonical(name);
+      if (!merged[s]) return;
+      Object.assign(merged[s], est[name]);
+      filled.add(s);
+    });
+  });
+
+  const years = Array.from(new Set(Object.values(merged).flatMap(m => Object.keys(m).map(Number)))).sort((a, b) => a - b);
+  const states = Object.keys(table.states);
+  const lines = [
+    '{',
+    `  "source": "U.S. Census Bureau annual population estimates (July 1) for the states, DC and Puerto Rico; decennial census resident population (April 1), 2000, 2010 and 2020, for the Island Areas",`,
+    `  "note": ${JSON.stringify(table.note)},`,
+    `  "years": [${years.join(', ')}],`,
+    '  "aliases": {',
+    Object.keys(table.aliases).map(a => `    ${JSON.stringify(a)}: ${JSON.stringify(table.aliases[a])}`).join(',\n'),
+    '  },',
+    '  "states": {',
+    states.map(s => `    ${JSON.stringify(s)}: [${years.map(y => (merged[s][y] != null ? merged[s][y] : 'null')).join(', ')}]`).join(',\n'),
+    '  }',
+    '}',
+    ''
+  ];
+  fs.writeFileSync(TABLE, lines.join('\n'));
+  const missing = states.filter(s => !filled.has(s));
+  console.log(`population.json: ${years[0]}–${years[years.length - 1]}, annual estimates for ${filled.size} of ${states.length}`
+    + (missing.length ? `; census counts only: ${missing.join(', ')}` : ''));
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,167 @@
+/* upload.js - "your own dataset" panel on map.html
+   - drag-and-drop / file picker for .xlsx, .csv, .json
+   - column-mapping wizard (State, Year, Cases + optional breakdown columns) with a preview of the first rows
+   - list of stored uploads with show / remove
+   - storage and parsing live in data.js (Datasets.parseUpload / saveUpload / removeUpload)
+   - exposes window.Upload
+*/
+(function(){
+  const ACCEPT = ['.xlsx', '.csv', '.json'];
+  const PREVIEW_ROWS = 10;
+  const FIELDS = [
+    { key: 'state', label: 'State', guess: /state|jurisdiction|geograph|location/i },
+    { key: 'year', label: 'Year', guess: /year|^yr$|period/i },
+    { key: 'cases', label: 'Cases', guess: /case|count|total|number/i }
+  ];
+
+  function columnsOf(raw) {
+    const seen = new Set();
+    (raw || []).slice(0, 200).forEach(r => Object.keys(r).forEach(k => seen.add(k)));
+    return Array.from(seen);
+  }
+
+  // { state, year, cases } column guesses: the usual header names first, then a looser match
+  function guessMapping(columns) {
+    const out = {};
+    FIELDS.forEach(f => {
+      const exact = Datasets.columnCandidates({}, f.key).find(c => columns.includes(c));
+      out[f.key] = exact || columns.find(c => f.guess.test(c) && !Object.values(out).includes(c)) || '';
+    });
+    return out;
+  }
+
+  function isAccepted(file) {
+    return !!file && ACCEPT.some(ext => file.name.toLowerCase().endsWith(ext));
+  }
+
+  // drop zone + file input; calls onFile(File) for the first accepted file
+  function bindDropZone(zoneEl, inputEl, onFile) {
+    const pick = files => {
+      const file = Array.from(files || []).find(isAccepted);
+      if (file) onFile(file);
+      else if (files && files.length) onFile(null, `Only ${ACCEPT.join(', ')} files can be uploaded`);
+    };
+    if (inputEl) inputEl.addEventListener('change', () => { pick(inputEl.files); inputEl.value = ''; });
+    if (!zoneEl) return;
+    ['dragenter', 'dragover'].forEach(t => zoneEl.addEventListener(t, e => { e.preventDefault(); zoneEl.classList.add('dragging'); }));
+    ['dragleave', 'drop'].forEach(t => zoneEl.addEventListener(t, () => zoneEl.classList.remove('dragging')));
+    zoneEl.addEventListener('drop', e => { e.preventDefault(); pick(e.dataTransfer && e.dataTransfer.files); });
+  }
+
+  // what the current mapping would give on the map: "52 states (3 not on the map) · 2010–2023 · 4 rows without a number"
+  function mappingSummary(raw, mapping, geo) {
+    const rows = Datasets.normalizeRows(raw, mapping);
+    const states = Datasets.statesOf(rows), years = Datasets.yearsOf(rows);
+    const names = new Set(((geo && geo.features) || []).map(f => f.properties.NAME));
+    const offMap = names.size ? states.filter(s => !names.has(s)).length : 0;
+    const noNumber = rows.filter(r => r.cases == null && !r.suppressed).length;
+    const suppressed = rows.filter(r => r.suppressed).length;
+    const parts = [`${raw.length.toLocaleString()} rows`, `${states.length} states${offMap ? ` (${offMap} not on the map)` : ''}`];
+    parts.push(years.length ? `years ${years[0]}–${years[years.length - 1]}` : 'no valid years');
+    if (suppressed) parts.push(`${suppressed} suppressed`);
+    if (noNumber) parts.push(`${noNumber} rows without a number`);
+    return parts.join(' · ');
+  }
+
+  function previewTable(raw, columns, mapping, breakdowns) {
+    const role = c => {
+      const f = FIELDS.find(x => mapping[x.key] === c);
+      if (f) return f.label;
+      return breakdowns.includes(c) ? 'Breakdown' : '';
+    };
+    let html = '<table class="upload-preview"><thead><tr>' + columns.map(c => {
+      const r = role(c);
+      return `<th class="${r ? 'mapped' : ''}">${Util.escapeHtml(c)}${r ? `<br><small>${r}</small>` : ''}</th>`;
+    }).join('') + '</tr></thead><tbody>';
+    raw.slice(0, PREVIEW_ROWS).forEach(row => {
+      html += '<tr>' + columns.map(c => `<td class="${role(c) ? 'mapped' : ''}">${Util.escapeHtml(row[c])}</td>`).join('') + '</tr>';
+    });
+    html += '</tbody></table>';
+    if (raw.length > PREVIEW_ROWS) html += `<div class="note">First ${PREVIEW_ROWS} of ${raw.length.toLocaleString()} rows</div>`;
+    return html;
+  }
+
+  /* mapping wizard for parsed rows.
+     opts: { raw, fileName, geo, onSave({ name, fileName, columns, breakdowns, raw }), onCancel() } */
+  function renderWizard(el, opts) {
+    if (!el) return;
+    const raw = opts.raw || [];
+    const columns = columnsOf(raw);
+    const mapping = guessMapping(columns);
+    let breakdowns = [];
+    const options = columns.map(c => `<option value="${Util.escapeHtml(c)}">${Util.escapeHtml(c)}</option>`).join('');
+
+    el.innerHTML = `
+      <div class="note">${Util.escapeHtml(opts.fileName)} · pick the columns the dashboard should read</div>
+      <div class="year-slider">
+        <label class="note" for="uploadName">Name</label>
+        <input type="text" id="uploadName" value="${Util.escapeHtml(String(opts.fileName).replace(/\.[^.]+$/, ''))}" aria-label="dataset name">
+        ${FIELDS.map(f => `<label class="note" for="uploadMap-${f.key}">${f.label}</label>
+        <select id="uploadMap-${f.key}" data-field="${f.key}"><option value="">—</option>${options}</select>`).join('')}
+      </div>
+      <div class="note">Breakdowns (optional; kept with each row, the map sums over them):</div>
+      <div class="overlay-picker upload-breakdowns"></div>
+      <div class="note upload-summary"></div>
+      <div class="upload-preview-wrap"></div>
+      <div class="year-slider">
+        <button class="btn-green upload-save">Save and show</button>
+        <button class="btn-light upload-cancel">Cancel</button>
+      </div>`;
+
+    const selects = Array.from(el.querySelectorAll('select[data-field]'));
+    const bdWrap = el.querySelector('.upload-breakdowns');
+    const summary = el.querySelector('.upload-summary');
+    const previewWrap = el.querySelector('.upload-preview-wrap');
+    const save = el.querySelector('.upload-save');
+    selects.forEach(s => { s.value = mapping[s.getAttribute('data-field')] || ''; });
+
+    function refresh() {
+      selects.forEach(s => { mapping[s.getAttribute('data-field')] = s.value; });
+      const used = Object.values(mapping).filter(Boolean);
+      breakdowns = breakdowns.filter(c => !used.includes(c));
+      bdWrap.innerHTML = columns.filter(c => !used.includes(c)).map(c =>
+        `<label class="note"><input type="checkbox" value="${Util.escapeHtml(c)}"${breakdowns.includes(c) ? ' checked' : ''}> ${Util.escapeHtml(c)}</label>`).join('') || '<span class="note">No other columns</span>';
+      bdWrap.querySelectorAll('input').forEach(cb => cb.addEventListener('change', () => {
+        breakdowns = Array.from(bdWrap.querySelectorAll('input:checked')).map(i => i.value);
+        previewWrap.innerHTML = previewTable(raw, columns, mapping, breakdowns);
+      }));
+      const complete = FIELDS.every(f => mapping[f.key]) && new Set(used).size === used.length;
+      save.disabled = !complete;
+      summary.textContent = complete ? mappingSummary(raw, mapping, opts.geo) : 'Pick a different column for each of State, Year and Cases';
+      previewWrap.innerHTML = previewTable(raw, columns, mapping, breakdowns);
+    }
+    selects.forEach(s => s.addEventListener('change', refresh));
+    refresh();
+
+    save.addEventListener('click', () => {
+      const name = el.querySelector('#uploadName').value.trim() || opts.fileName;
+      const cols = {};
+      FIELDS.forEach(f => { cols[f.key] = mapping[f.key]; });
+      opts.onSave({ name, fileName: opts.fileName, columns: cols, breakdowns: breakdowns.slice(), raw });
+    });
+    el.querySelector('.upload-cancel').addEventListener('click', () => { el.innerHTML = ''; if (opts.onCancel) opts.onCancel(); });
+  }
+
+  // stored uploads with show / remove buttons
+  function renderList(el, uploads, handlers) {
+    if (!el) return;
+    if (!uploads.length) { el.innerHTML = '<div class="note">No uploaded datasets in this browser.</div>'; return; }
+    let html = '<table class="upload-list"><thead><tr><th>Name</th><th>File</th><th>Rows</th><th>Uploaded</th><th></th></tr></thead><tbody>';
+    uploads.forEach(u => {
+      html += `<tr><td>${Util.escapeHtml(u.name)}</td><td>${Util.escapeHtml(u.fileName)}</td><td>${u.raw.length.toLocaleString()}</td>` +
+        `<td>${new Date(u.uploadedAt).toLocaleString()}</td>` +
+        `<td><button class="btn-light" data-open="${Util.escapeHtml(u.key)}">Show</button> <button class="btn-light" data-remove="${Util.escapeHtml(u.key)}">Remove</button></td></tr>`;
+    });
+    el.innerHTML = html + '</tbody></table>';
+    el.querySelectorAll('button[data-open]').forEach(b => b.addEventListener('click', () => handlers.onOpen(b.getAttribute('data-open'))));
+    el.querySelectorAll('button[data-remove]').forEach(b => b.addEventListener('click', () => handlers.onRemove(b.getAttribute('data-remove'))));
+  }
+
+  window.Upload = {
+    ACCEPT,
+    guessMapping,
+    bindDropZone,
+    renderWizard,
+    renderList
+  };
+})();
@@ -0,0 +1,40 @@
+/* util.js - small helpers the pages and modules share
+   - escapeHtml() for any text put into innerHTML or an attribute (state and column names come from the data files)
+   - chart helpers: formatTick() for axis labels (12k, 1.5M), roundUpNice() for axis maxima, safeDestroy() before redrawing a canvas
+   - exposes window.Util used by the page scripts, colorscale.js, quality.js and upload.js
+*/
+(function(){
+  const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+  // null / undefined → ''
+  function escapeHtml(v) {
+    return String(v == null ? '' : v).replace(/[&<>"']/g, c => ENTITIES[c]);
+  }
+
+  // 1500 → "1.5k", 2000000 → "2M"
+  function formatTick(v) {
+    if (v === null || v === undefined) return '';
+    if (Math.abs(v) >= 1e6) return (v / 1e6).toFixed(1).replace(/\.0$/, '') + 'M';
+    if (Math.abs(v) >= 1e3) return (v / 1e3).toFixed(1).replace(/\.0$/, '') + 'k';
+    return String(v);
+  }
+
+  // next 1, 2, 3… × power of ten at or above n
+  function roundUpNice(n) {
+    if (!isFinite(n)) return n;
+    if (n <= 10) return Math.ceil(n);
+    const p = Math.pow(10, Math.floor(Math.log10(n)));
+    return Math.ceil(n / p) * p;
+  }
+
+  function safeDestroy(chart) {
+    try { if (chart && typeof chart.destroy === 'function') chart.destroy(); } catch (e) { console.warn('safeDestroy failed', e); }
+  }
+
+  window.Util = {
+    escapeHtml,
+    formatTick,
+    roundUpNice,
+    safeDestroy
+  };
+})();